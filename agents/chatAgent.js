@@ -2,248 +2,1012 @@ import { ChatOpenAI } from "@langchain/openai";
 import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
 import { ChatAnthropic } from "@langchain/anthropic";
 import { HumanMessage, SystemMessage, AIMessage, BaseMessage, ToolMessage } from "@langchain/core/messages";
-import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { ChatPromptTemplate, MessagesPlaceholder } from "@langchain/core/prompts";
 import { PerplexitySearchTool } from "../tools/PerplexitySearchTool.js";
 import { GoogleGroundingTool } from "../tools/GoogleGroundingTool.js";
+import { SearchProviderTool } from "../tools/SearchProviderTool.js";
+import { PerplexitySearchAgent } from "./searchAgent.js";
+import { SearchProviderRegistry } from "../search/providerRegistry.js";
+import { formatSearchContext, formatBibliography, buildCitationReport } from "../search/citations.js";
+import { CacheStore } from "../stores/cacheStore.js";
+import { HeuristicSearchDecision } from "../search/searchDecision.js";
+import { QueryPlanner } from "../search/queryPlanner.js";
+import { fuseSearchResults } from "../search/resultFusion.js";
+import { DeepReader } from "../search/deepReader.js";
+import { AnswerVerifier } from "../search/answerVerifier.js";
+import { ResearchPlanner } from "../search/researchPlanner.js";
+import { CircuitBreakerRegistry } from "../utils/resilience.js";
+import { logger } from "../utils/logger.js";
+import { Tracer } from "../utils/tracing.js";
+import { createModelCatalog, ModelNotFoundError } from "../models/modelCatalog.js";
+import { UsageTracker, DEFAULT_SEARCH_PRICES } from "../utils/usage.js";
+import { InMemoryConversationStore, newConversationId } from "../stores/conversationStore.js";
+import { trimMessagesToTokenBudget } from "../utils/tokens.js";
+import { normalizeSearchOptions, mergeSearchOptions, filterSearchResult } from "../search/searchOptions.js";
+import { PersonaRegistry, personaInstructions } from "../personas/personaRegistry.js";
 
-const RAG_PROMPT_TEMPLATE = ChatPromptTemplate.fromMessages([
+const log = logger.child({ component: "LangChainChatAgent" });
+
+const MODEL_CLIENTS = {
+    openai: ChatOpenAI,
+    google: ChatGoogleGenerativeAI,
+    anthropic: ChatAnthropic,
+};
+// Per-request overrides (e.g. from /v1/chat/completions) mapped to each client's constructor field names.
+const MODEL_OPTION_FIELDS = {
+    openai: { temperature: "temperature", maxTokens: "maxTokens" },
+    google: { temperature: "temperature", maxTokens: "maxOutputTokens" },
+    anthropic: { temperature: "temperature", maxTokens: "maxTokens" },
+};
+const PROVIDER_LABELS = {
+    openai: ["OpenAI", "OpenAI"],
+    google: ["Google", "Google Gemini"],
+    anthropic: ["Anthropic", "Anthropic Claude"],
+};
+
+const QUERY_REWRITE_PROMPT = ChatPromptTemplate.fromMessages([
     ["system",
-        "You are a helpful AI assistant. Answer the user's questions truthfully and informatively based on the provided search context." +
-        "Cite your sources from the context clearly using numbers like [1], [2] next to the relevant information." +
-        "If the search context does not contain enough information to answer the question, state that you don't know." +
-        "Search Context:\n\n{search_context}\n\n"
+        "You rewrite follow-up messages into standalone web search queries. " +
+        "Use the conversation so far to resolve pronouns and implied subjects (e.g. \"it\", \"last year\", \"what about X\"). " +
+        "Return only the search query, with no quotes or explanation."
     ],
-    ["human", "{user_input}"]
+    new MessagesPlaceholder("history"),
+    ["human", "Follow-up message: {user_input}"]
 ]);
 
-const ERROR_FALLBACK_PROMPT = ChatPromptTemplate.fromMessages([
-    ["system", "You are an AI assistant. Explain politely that an error occurred."],
-    ["human", "I'm very sorry, but I encountered an internal error while processing your request. Please try again or rephrase your question. (Original user query: {original_query})"]
-]);
+// Shown when answering fails; the persona's errorFallbackPrompt is the message it answers.
+const ERROR_FALLBACK_SYSTEM_PROMPT = "You are an AI assistant. Explain politely that an error occurred.";
 
 class LangChainChatAgent {
-    constructor(apiKeys) {
+    constructor(apiKeys, options = {}) {
         this.apiKeys = apiKeys;
+        this.conversationStore = options.conversationStore || new InMemoryConversationStore();
+        this.historyMaxTokens = options.historyMaxTokens || 2000;
+        this.maxToolIterations = options.maxToolIterations || 4;
+        this.searchProviders = options.searchProviders || new SearchProviderRegistry();
+        this.cache = options.cache || new CacheStore();
+        this.queryPlanner = options.queryPlanner || new QueryPlanner();
+        this.maxFusedSources = options.maxFusedSources || 10;
+        this.deepReader = options.deepReader || new DeepReader({ cache: this.cache });
+        this.deepReadByDefault = options.deepRead || false; // per request: options.deepRead of processMessage
+        this.answerVerifier = options.answerVerifier || new AnswerVerifier();
+        this.verifyByDefault = options.verify || false; // per request: options.verify of processMessage
+        this.researchPlanner = options.researchPlanner || new ResearchPlanner();
+        this.heuristicDecision = new HeuristicSearchDecision();
+        this.searchDecision = options.searchDecision || this.heuristicDecision;
+        this.breakers = options.circuitBreakers || new CircuitBreakerRegistry();
+        this.modelRetries = options.modelRetries ?? 2;
+        this.modelFailoverChain = options.modelFailoverChain || []; // e.g. ["anthropic", "openai", "google"]
+        this.searchFailoverChain = options.searchFailoverChain || ["perplexity_web_search", "google_search_grounding"];
+        this.searchRequestOptions = options.searchRequestOptions || {}; // { timeoutMs, retries } for the built-in search tools
+        this.searchOptions = normalizeSearchOptions(options.searchOptions || {}); // deployment-wide, see search/searchOptions.js
+        this.modelCatalog = options.modelCatalog || createModelCatalog();
+        this.personas = options.personas || new PersonaRegistry([], { modelCatalog: this.modelCatalog }); // see personas/personaRegistry.js
+        this.usageStore = options.usageStore || null;
+        this.searchPrices = options.searchPrices || DEFAULT_SEARCH_PRICES;
+        this.tracer = options.tracer || new Tracer(); // pass one with a MetricsRegistry to get metrics from the spans
+        // Builds a chat model client for a catalog entry; tests pass one returning fake models.
+        this.chatModelFactory = options.chatModelFactory || ((entry, fields) => new MODEL_CLIENTS[entry.provider](fields));
+        this.clients = new Map(); // "provider:id[:option=value...]" -> chat model client, built on first use
+        this.clientEntries = new WeakMap(); // chat model client -> catalog entry
         this.models = {};
         this.tools = {};
         this._initializeModels();
-        this._initializeTools();
-        this.searchCache = {};
-        this.searchCacheTTL = 5 * 60 * 1000;
+        this._initializeTools(options.tools);
     }
 
+    // this.models holds each configured provider's default "capable" and "fast" models from the catalog.
     _initializeModels() {
-        console.log("[LangChainChatAgent] Initializing models...");
-        if (this.apiKeys.openai) {
-            this.models.openai_capable = new ChatOpenAI({ apiKey: this.apiKeys.openai, model: "gpt-4-turbo", temperature: 0.2, streaming: true });
-            this.models.openai_fast = new ChatOpenAI({ apiKey: this.apiKeys.openai, model: "gpt-3.5-turbo", temperature: 0.7, streaming: true });
-            console.log("  OpenAI models initialized.");
-        } else { console.warn("OpenAI API key missing. OpenAI models will not be available."); }
+        for (const provider of this.modelCatalog.providers()) {
+            const [keyLabel, modelLabel] = PROVIDER_LABELS[provider];
+            if (!this.apiKeys[provider]) {
+                log.warn(`${keyLabel} API key missing. ${modelLabel} models will not be available.`, { provider });
+                continue;
+            }
+            const capable = this.modelCatalog.defaultModel(provider, 'capable') || this.modelCatalog.list(provider)[0];
+            const fast = this.modelCatalog.defaultModel(provider, 'fast') || capable;
+            this.models[`${provider}_capable`] = this._clientFor(capable);
+            this.models[`${provider}_fast`] = this._clientFor(fast);
+            log.info(`${modelLabel} models initialized.`, { provider, capable: capable.id, fast: fast.id });
+        }
+    }
+
+    // `tools` (search tools with a name, a { query } schema and search()) replaces the built-in ones; the
+    // perplexity_web_search and google_search_grounding names keep their roles in rules mode.
+    _initializeTools(tools = null) {
+        if (tools) {
+            for (const tool of tools) {
+                this.tools[tool.name] = tool;
+            }
+            return;
+        }
+        const perplexityProvider = this.searchProviders.list().find(p => p instanceof PerplexitySearchAgent);
+        if (perplexityProvider || this.apiKeys.perplexity) {
+            this.tools.perplexity_web_search = new PerplexitySearchTool(this.apiKeys.perplexity, { ...this.searchRequestOptions, searchAgent: perplexityProvider, cache: this.cache });
+            log.info("Search tool initialized.", { tool: this.tools.perplexity_web_search.name });
+        } else { log.warn("Perplexity API key missing. Perplexity search will not be available."); }
 
         if (this.apiKeys.google) {
-            this.models.google_capable = new ChatGoogleGenerativeAI({ apiKey: this.apiKeys.google, model: "gemini-2.5-pro", temperature: 0.2, streaming: true });
-            this.models.google_fast = new ChatGoogleGenerativeAI({ apiKey: this.apiKeys.google, model: "gemini-2.5-pro", temperature: 0.7, streaming: true });
-            console.log("  Google Gemini models initialized.");
-        } else { console.warn("Google API key missing. Google Gemini models will not be available."); }
+            this.tools.google_search_grounding = new GoogleGroundingTool(this.apiKeys.google, { ...this.searchRequestOptions, cache: this.cache });
+            log.info("Search tool initialized.", { tool: this.tools.google_search_grounding.name });
+        } else { log.warn("Google API key missing. Google Grounding will not be available."); }
+
+        for (const provider of this.searchProviders.list()) {
+            if (provider === perplexityProvider) {
+                continue;
+            }
+            const tool = new SearchProviderTool(provider, { cache: this.cache });
+            this.tools[tool.name] = tool;
+            log.info("Search tool initialized.", { tool: tool.name });
+        }
+    }
 
-        if (this.apiKeys.anthropic) {
-            this.models.anthropic_capable = new ChatAnthropic({ apiKey: this.apiKeys.anthropic, model: "claude-3-sonnet-20240229", temperature: 0.2, streaming: true });
-            this.models.anthropic_fast = new ChatAnthropic({ apiKey: this.apiKeys.anthropic, model: "claude-3-haiku-20240307", temperature: 0.7, streaming: true });
-            console.log("  Anthropic Claude models initialized.");
-        } else { console.warn("Anthropic API key missing. Anthropic models will not be available."); }
+    // Looks a requested model up in the catalog by id or alias; throws a ModelNotFoundError naming the
+    // available models if it isn't listed or its provider has no API key.
+    resolveModel(modelProvider, modelName) {
+        const entry = this.modelCatalog.resolve(modelProvider, modelName);
+        if (!this.models[`${modelProvider}_capable`] && !this.models[`${modelProvider}_fast`]) {
+            throw new ModelNotFoundError(`Model provider "${modelProvider}" is not configured. Check API keys.`);
+        }
+        return entry;
     }
 
-    _initializeTools() {
-        console.log("[LangChainChatAgent] Initializing tools...");
-        if (this.apiKeys.perplexity) {
-            this.tools.perplexity_web_search = new PerplexitySearchTool(this.apiKeys.perplexity);
-            console.log("  PerplexitySearchTool initialized.");
-        } else { console.warn("Perplexity API key missing. Perplexity search will not be available."); }
+    // The model a request asks for: the named one, else its persona's default model, else the default model of
+    // modelProvider (OpenAI when the request names no provider either).
+    resolveRequestModel(modelProvider, modelName, persona) {
+        if (!modelProvider && !modelName && persona?.model) {
+            return this.findModel(persona.model);
+        }
+        return this.resolveModel(modelProvider || "openai", modelName);
+    }
 
-        if (this.apiKeys.google) {
-            this.tools.google_search_grounding = new GoogleGroundingTool(this.apiKeys.google);
-            console.log("  GoogleGroundingTool initialized.");
-        } else { console.warn("Google API key missing. Google Grounding will not be available."); }
+    // Same, for a model named without a provider ("gpt-4-turbo", "anthropic/fast"), as OpenAI-style clients send it.
+    findModel(modelName) {
+        const entry = this.modelCatalog.find(modelName);
+        return this.resolveModel(entry.provider, entry.id);
+    }
+
+    // Clients are cached per catalog entry and `modelOptions` ({ temperature, maxTokens }) values, so requests
+    // with the same overrides (e.g. a persona's temperature) share one client.
+    _clientFor(entry, modelOptions = {}) {
+        const overrides = Object.keys(MODEL_OPTION_FIELDS[entry.provider])
+            .filter(option => modelOptions[option] !== undefined && modelOptions[option] !== null)
+            .map(option => [option, modelOptions[option]]);
+        const key = [entry.provider, entry.id, ...overrides.map(([option, value]) => `${option}=${value}`)].join(':');
+        if (this.clients.has(key)) {
+            return this.clients.get(key);
+        }
+        const fields = { apiKey: this.apiKeys[entry.provider], model: entry.id, temperature: entry.temperature, streaming: true, maxRetries: this.modelRetries };
+        for (const [option, value] of overrides) {
+            fields[MODEL_OPTION_FIELDS[entry.provider][option]] = value;
+        }
+        const client = this.chatModelFactory(entry, fields);
+        this.clientEntries.set(client, entry);
+        this.clients.set(key, client);
+        return client;
+    }
+
+    // The persona's language and format instructions followed by the request's own, for _withInstructions.
+    _instructionsFor(persona, instructions, options) {
+        return [persona && personaInstructions(persona, options), instructions].filter(Boolean).join("\n\n") || null;
+    }
+
+    // Appends request-specific instructions (e.g. an API caller's system messages) to the system prompt.
+    _withInstructions(messages, instructions) {
+        if (!instructions || !(messages[0] instanceof SystemMessage)) {
+            return messages;
+        }
+        return [new SystemMessage(`${messages[0].content}\n\n${instructions}`), ...messages.slice(1)];
     }
 
     _getLLM(modelProvider, modelName) {
-        if (!this.models[modelProvider + '_capable'] && !this.models[modelProvider + '_fast']) {
-            return null; // Provider not initialized
+        try {
+            return this._clientFor(this.resolveModel(modelProvider, modelName));
+        } catch (error) {
+            log.warn(error.message);
+            return null;
+        }
+    }
+
+    // The catalog as shown by GET /models, with whether each model can be used on this deployment.
+    listModels() {
+        return this.modelCatalog.list().map(entry => ({
+            ...entry,
+            available: Boolean(this.models[`${entry.provider}_capable`] || this.models[`${entry.provider}_fast`]),
+        }));
+    }
+
+    // For GET /health: which model providers and search tools are configured, and whether they are reachable,
+    // from a live check where `healthChecker` (a ProviderHealthChecker) has one, else from the circuit breaker.
+    async providerHealth(healthChecker = null) {
+        const models = await Promise.all(this.modelCatalog.providers().map(async (provider) => {
+            if (!this.models[`${provider}_capable`] && !this.models[`${provider}_fast`]) {
+                return { provider, configured: false, reachable: false, checkedBy: null };
+            }
+            const circuitBreaker = this.breakers.get(`llm:${provider}`).state;
+            const check = await healthChecker?.check(provider);
+            if (check) {
+                return { provider, configured: true, reachable: check.reachable, checkedBy: 'probe', circuitBreaker, latencyMs: check.latencyMs, checkedAt: check.checkedAt, error: check.error };
+            }
+            return { provider, configured: true, reachable: circuitBreaker !== 'open', checkedBy: 'circuit_breaker', circuitBreaker };
+        }));
+        const search = Object.values(this.tools).map(tool => {
+            const circuitBreaker = this.breakers.get(`search:${tool.name}`).state;
+            return { tool: tool.name, configured: true, reachable: circuitBreaker !== 'open', checkedBy: 'circuit_breaker', circuitBreaker };
+        });
+        return { models, search };
+    }
+
+    shouldSearchWeb(userInput, history = []) {
+        const { needsSearch, reason } = this.heuristicDecision.evaluate(userInput, history);
+        log.debug('Heuristic search decision', { needsSearch, reason });
+        return needsSearch;
+    }
+
+    // `run` is the per-request state, { usage, signal, deepRead, searchOptions, persona, trace, log }: model calls
+    // attribute their tokens to the request's UsageTracker under `purpose`, and are aborted with the request's
+    // AbortSignal. `searchOptions` are the request's merged search options and `persona` its persona. `trace` is
+    // the request's tracing Trace (utils/tracing.js) and `log` its logger, which adds the request and trace ids.
+    // Without a trace (e.g. when a helper is called on its own) nothing is traced.
+    _callConfig({ usage, signal } = {}, purpose) {
+        const config = usage ? { callbacks: [usage], tags: [purpose] } : {};
+        if (signal) {
+            config.signal = signal;
         }
-        if (modelName.includes("fast")) {
-            return this.models[`${modelProvider}_fast`];
+        return config;
+    }
+
+    // Runs the configured search-decision strategy; the LLM-based ones use the provider's fast model.
+    // A persona whose search policy is "never" or "always" decides instead.
+    async _decideSearch(userMessage, history, modelProvider, forceSearch, { usage, signal, persona, trace, log: requestLog = log } = {}) {
+        if (persona?.search === 'never') {
+            return { strategy: 'persona', needsSearch: false, reason: `Persona "${persona.id}" never searches`, confidence: 1, rewrittenQuery: null };
         }
-        // Handle explicit modelName overrides
-        if (modelProvider === "openai" && modelName !== "gpt-4-turbo" && modelName !== "gpt-3.5-turbo") {
-            return new ChatOpenAI({ apiKey: this.apiKeys.openai, model: modelName, temperature: 0.2, streaming: true });
+        if (forceSearch) {
+            return { strategy: 'forced', needsSearch: true, reason: 'forceSearch requested', confidence: 1, rewrittenQuery: null };
         }
-        if (modelProvider === "google" && modelName !== "gemini-2.5-pro" && modelName !== "gemini-2.5-pro") {
-            return new ChatGoogleGenerativeAI({ apiKey: this.apiKeys.google, model: modelName, temperature: 0.2, streaming: true });
+        if (persona?.search === 'always') {
+            return { strategy: 'persona', needsSearch: true, reason: `Persona "${persona.id}" always searches`, confidence: 1, rewrittenQuery: null };
         }
-        if (modelProvider === "anthropic" && modelName !== "claude-3-sonnet-20240229" && modelName !== "claude-3-haiku-20240307") {
-            return new ChatAnthropic({ apiKey: this.apiKeys.anthropic, model: modelName, temperature: 0.2, streaming: true });
+        const span = trace?.startSpan('search.decision', { 'search.decision.strategy': this.searchDecision.name });
+        try {
+            const decision = await this.searchDecision.decide(userMessage, { history, llm: this._getFastLLM(modelProvider), callbacks: usage ? [usage] : undefined, signal });
+            requestLog.info('Search decision', { strategy: decision.strategy, needsSearch: decision.needsSearch, confidence: decision.confidence, reason: decision.reason });
+            span?.end({ 'search.decision.strategy': decision.strategy, 'search.needed': decision.needsSearch, 'search.decision.confidence': decision.confidence });
+            return decision;
+        } catch (error) {
+            span?.fail(error);
+            signal?.throwIfAborted();
+            requestLog.warn('Search decision strategy failed, using heuristic', { strategy: this.searchDecision.name, error });
+            const decision = this.heuristicDecision.evaluate(userMessage, history);
+            return { ...decision, reason: `${decision.reason} (${this.searchDecision.name} strategy failed)` };
         }
-        return this.models[`${modelProvider}_capable`];
     }
 
-    shouldSearchWeb(userInput) {
-        const lowerInput = userInput.toLowerCase();
+    _getFastLLM(modelProvider) {
+        return this.models[`${modelProvider}_fast`] || this.models.openai_fast || this.models.google_fast || this.models.anthropic_fast || null;
+    }
+
+    _toChatMessages(history) {
+        return history.map(m => m.role === 'assistant' ? new AIMessage(m.content) : new HumanMessage(m.content));
+    }
 
-        if (lowerInput.includes("search for") || lowerInput.includes("look up") ||
-            lowerInput.includes("find information on") || lowerInput.includes("web search for")) {
-            console.log(`[shouldSearchWeb] TRUE: Explicit command`);
-            return true;
+    // Turns a follow-up like "and what about last year?" into a standalone query using the prior turns.
+    async _rewriteSearchQuery(userMessage, history, modelProvider, run = {}) {
+        const requestLog = run.log || log;
+        if (!history.length) {
+            return userMessage;
         }
+        const llm = this._getFastLLM(modelProvider);
+        if (!llm) {
+            return userMessage;
+        }
+        try {
+            const messages = await QUERY_REWRITE_PROMPT.formatMessages({
+                history: this._toChatMessages(history),
+                user_input: userMessage
+            });
+            const response = await llm.invoke(messages, this._callConfig(run, "query_rewrite"));
+            const rewritten = String(response.content || '').trim();
+            if (rewritten) {
+                requestLog.info('Rewrote search query', { query: requestLog.content(rewritten) });
+                return rewritten;
+            }
+        } catch (error) {
+            run.signal?.throwIfAborted();
+            requestLog.warn('Query rewrite failed, using original message', { error });
+        }
+        return userMessage;
+    }
 
-        const timeSensitiveKeywords = ["latest", "current", "recent", "news", "today", "yesterday", "now", "breaking", "update", "2024", "2025"];
-        if (timeSensitiveKeywords.some(keyword => lowerInput.includes(keyword))) {
-            console.log(`[shouldSearchWeb] TRUE: Time-sensitive keyword`);
-            return true;
+    // The requested model first, then the same tier ("capable"/"fast") of each provider in the failover chain.
+    _modelCandidates(llm, modelProvider) {
+        const tier = this.clientEntries.get(llm)?.tier || (llm === this.models[`${modelProvider}_fast`] ? 'fast' : 'capable');
+        const candidates = [{ provider: modelProvider, llm }];
+        for (const provider of this.modelFailoverChain) {
+            const fallback = this.models[`${provider}_${tier}`];
+            if (provider !== modelProvider && fallback) {
+                candidates.push({ provider, llm: fallback });
+            }
         }
+        return candidates;
+    }
+
+    // Yields text chunks, plus { type: "failover", data } notices when a provider fails before producing any
+    // output and the next one in the chain takes over. Providers whose circuit breaker is open are skipped
+    // (unless nothing else is left). Once text has been streamed a switch would garble the answer, so a
+    // mid-stream failure ends with the error fallback instead. A cancelled request (run.signal) just stops.
+    async *_streamGenerate(llm, promptMessages, originalQuery, modelProvider, run = {}) {
+        const candidates = this._modelCandidates(llm, modelProvider);
+        const available = candidates.filter(c => this.breakers.get(`llm:${c.provider}`).isAvailable());
+        const requestLog = run.log || log;
+        let lastError = null;
 
-        if (lowerInput.includes("who is the current") || lowerInput.includes("what is the stock price") ||
-            lowerInput.includes("weather in") || lowerInput.includes("election results") ||
-            lowerInput.includes("current events") || lowerInput.includes("what's happening")) {
-            console.log(`[shouldSearchWeb] TRUE: Dynamic fact query`);
-            return true;
+        for (const candidate of available.length ? available : candidates.slice(0, 1)) {
+            const breaker = this.breakers.get(`llm:${candidate.provider}`);
+            // Claims a half-open breaker's trial, which another request may have taken in the meantime.
+            if (available.length && !breaker.canRequest()) {
+                continue;
+            }
+            if (candidate !== candidates[0]) {
+                const reason = lastError ? lastError.message : `circuit breaker for ${modelProvider} is open`;
+                yield { type: "failover", data: { capability: "llm", provider: candidate.provider, model: candidate.llm.model || candidate.llm.modelName || null, reason } };
+            }
+            let accumulatedContent = '';
+            const span = run.trace?.startSpan('llm.stream', { 'llm.provider': candidate.provider, 'llm.model': this.clientEntries.get(candidate.llm)?.id || null, 'llm.purpose': 'answer' });
+            try {
+                const stream = candidate.llm.stream(promptMessages, this._callConfig(run, "answer"));
+                for await (const chunk of this._traceStream(stream, span)) {
+                    const text = this._chunkText(chunk.content);
+                    if (text) {
+                        accumulatedContent += text;
+                        yield text;
+                    }
+                }
+                breaker.recordSuccess();
+                return;
+            } catch (error) {
+                if (run.signal?.aborted) {
+                    breaker.releaseTrial();
+                    run.signal.throwIfAborted();
+                }
+                breaker.recordFailure();
+                lastError = error;
+                requestLog.error('Model stream failed', { provider: candidate.provider, outputChars: accumulatedContent.length, error });
+                if (accumulatedContent) {
+                    break;
+                }
+            }
         }
+        yield* this._streamErrorFallback(lastError, originalQuery, run);
+    }
 
-        console.log(`[shouldSearchWeb] FALSE: No strong search indicator`);
-        return false;
+    async *_streamErrorFallback(error, originalQuery, run = {}) {
+        try {
+            const persona = run.persona || this.personas.get();
+            const fallbackPrompt = ChatPromptTemplate.fromMessages([["system", ERROR_FALLBACK_SYSTEM_PROMPT], ["human", persona.errorFallbackPrompt]]);
+            const fallbackMessages = this._withInstructions(await fallbackPrompt.formatMessages({ original_query: originalQuery }), this._instructionsFor(persona, null, { format: false }));
+            const config = this._callConfig(run, "error_fallback");
+            const fallbackStream = await this.models.openai_fast?.stream(fallbackMessages, config) || await this.models.google_fast?.stream(fallbackMessages, config);
+            if (fallbackStream) {
+                for await (const chunk of fallbackStream) {
+                    const text = this._chunkText(chunk.content);
+                    if (text) {
+                        yield text;
+                    }
+                }
+                return;
+            }
+        } catch (fallbackError) {
+            run.signal?.throwIfAborted();
+            (run.log || log).error('Error fallback model failed too', { error: fallbackError });
+        }
+        yield `Error generating response: ${error.message}`;
     }
 
-    async *_streamGenerate(llm, promptMessages, originalQuery) {
-        let accumulatedContent = '';
+    // Passes a model stream's chunks through while timing it as an "llm.stream" span: time to first token (a
+    // "first_token" event), total latency and outcome. A consumer that stops early ends it as cancelled.
+    async *_traceStream(streamPromise, span) {
+        let outputChars = 0;
         try {
-            const stream = await llm.stream(promptMessages);
-            for await (const chunk of stream) {
-                if (chunk.content) {
-                    accumulatedContent += chunk.content;
-                    yield chunk.content;
+            for await (const chunk of await streamPromise) {
+                const text = this._chunkText(chunk.content);
+                if (text && !outputChars) {
+                    span?.addEvent('first_token');
+                    span?.setAttributes({ 'llm.time_to_first_token_ms': span.elapsedMs() });
                 }
+                outputChars += text.length;
+                yield chunk;
             }
+            span?.end({ 'llm.output_chars': outputChars });
         } catch (error) {
-            console.error(`LLM Streaming Error for query "${originalQuery}":`, error);
-            const fallbackMessages = await ERROR_FALLBACK_PROMPT.formatMessages({ original_query: originalQuery });
-            const fallbackStream = await this.models.openai_fast?.stream(fallbackMessages) || await this.models.google_fast?.stream(fallbackMessages);
-            if (fallbackStream) {
-                for await (const chunk of fallbackStream) {
-                    yield chunk.content || '';
-                }
+            span?.fail(error, { 'llm.output_chars': outputChars });
+            throw error;
+        } finally {
+            span?.end({ 'llm.output_chars': outputChars }, 'cancelled');
+        }
+    }
+
+    // Chunk content is a plain string for OpenAI/Gemini, but Anthropic streams an array of content blocks.
+    _chunkText(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+        if (Array.isArray(content)) {
+            return content.map(block => block.type === 'text' || block.type === 'text_delta' ? block.text || '' : '').join('');
+        }
+        return '';
+    }
+
+    _supportsToolCalling(llm) {
+        return typeof llm.bindTools === 'function' && this.clientEntries.get(llm)?.supportsTools !== false && Object.keys(this.tools).length > 0;
+    }
+
+    // Search tools used in rules mode, primary first: Google Grounding for models the catalog marks with
+    // supportsGrounding (it runs on Gemini, so other providers don't get it), otherwise Perplexity, followed by
+    // every registered search provider.
+    _searchToolsFor(modelProvider, modelEntry = null) {
+        const tools = [];
+        const grounded = modelEntry ? modelEntry.supportsGrounding : modelProvider === "google";
+        if (grounded && this.tools.google_search_grounding) {
+            tools.push(this.tools.google_search_grounding);
+        }
+        if (this.tools.perplexity_web_search) {
+            tools.push(this.tools.perplexity_web_search);
+        }
+        tools.push(...Object.values(this.tools).filter(tool => tool instanceof SearchProviderTool));
+        return tools;
+    }
+
+    // Traced as a "search.call" span; the tool adds its cache lookup as a child span. The tool applies the search
+    // options it can; the result is then filtered here, so excluded domains never reach the model or the citations.
+    async _searchWithBreaker(tool, query, { usage, signal, trace, searchOptions, log: requestLog = log } = {}) {
+        const breaker = this.breakers.get(`search:${tool.name}`);
+        const span = trace?.startSpan('search.call', { 'search.tool': tool.name, 'search.query': trace.log.content(query) });
+        try {
+            const { result, removed } = filterSearchResult(await tool.search(query, { usage, signal, span, searchOptions }), searchOptions);
+            breaker.recordSuccess();
+            if (removed) {
+                requestLog.info("Filtered search sources by search options", { tool: tool.name, removed });
+            }
+            span?.end({ 'search.sources': result.sources.length, 'search.filtered_sources': removed });
+            return result;
+        } catch (error) {
+            // A search aborted because the request was cancelled says nothing about the provider's health.
+            if (signal?.aborted) {
+                breaker.releaseTrial();
             } else {
-                yield `Error generating response: ${error.message}`;
+                breaker.recordFailure();
             }
+            span?.fail(error);
+            throw error;
         }
     }
 
-    async *processMessage(userMessage, modelProvider, modelName = "gpt-4-turbo", forceSearch = false) {
-        console.log(`[LangChainChatAgent] Processing message: "${userMessage}" with provider: ${modelProvider}, model: ${modelName}`);
-        let llm = this._getLLM(modelProvider, modelName);
-        if (!llm) {
-            yield JSON.stringify({ type: "error", data: `Error: Model provider "${modelProvider}" not initialized or model "${modelName}" not found. Check API keys.` }) + "\n";
+    // Runs every sub-query against every tool in parallel, skipping tools whose circuit breaker is open.
+    // Individual failures are logged and skipped; a sub-query for which every tool failed is retried
+    // against the remaining tools of the search failover chain, one at a time, until one succeeds.
+    async _runSearchFanOut(queries, tools, run = {}) {
+        const skipped = tools.filter(tool => !this.breakers.get(`search:${tool.name}`).canRequest()).map(tool => tool.name);
+        const primaryTools = tools.filter(tool => !skipped.includes(tool.name));
+        const failoverTools = this.searchFailoverChain
+            .map(name => this.tools[name])
+            .filter(tool => tool && !tools.includes(tool));
+        const runs = [];
+        const failures = [];
+        const requestLog = run.log || log;
+
+        await Promise.all(queries.map(async (query) => {
+            const settled = await Promise.allSettled(primaryTools.map(tool => this._searchWithBreaker(tool, query, run)));
+            settled.forEach((outcome, i) => {
+                const tool = primaryTools[i];
+                if (outcome.status === 'fulfilled') {
+                    runs.push({ query, toolName: tool.name, result: outcome.value });
+                } else {
+                    requestLog.warn('Search failed for sub-query', { tool: tool.name, query: requestLog.content(query), error: outcome.reason });
+                    failures.push({ query, toolName: tool.name, error: outcome.reason });
+                }
+            });
+            if (settled.some(outcome => outcome.status === 'fulfilled') || run.signal?.aborted) {
+                return;
+            }
+            for (const tool of failoverTools) {
+                if (!this.breakers.get(`search:${tool.name}`).canRequest()) {
+                    continue;
+                }
+                requestLog.warn('Failing over to another search tool', { tool: tool.name, query: requestLog.content(query) });
+                try {
+                    runs.push({ query, toolName: tool.name, result: await this._searchWithBreaker(tool, query, run), failover: true });
+                    return;
+                } catch (error) {
+                    if (run.signal?.aborted) {
+                        return;
+                    }
+                    requestLog.warn('Failover search failed for sub-query', { tool: tool.name, query: requestLog.content(query), error });
+                    failures.push({ query, toolName: tool.name, error });
+                }
+            }
+        }));
+        // Keep the fused ranking independent of which search finished first.
+        const order = queries.flatMap(query => [...primaryTools, ...failoverTools].map(tool => `${query}\u0000${tool.name}`));
+        runs.sort((x, y) => order.indexOf(`${x.query}\u0000${x.toolName}`) - order.indexOf(`${y.query}\u0000${y.toolName}`));
+        run.signal?.throwIfAborted();
+        return { runs, failures, skipped };
+    }
+
+    // The search context for the model, with sources numbered from offset + 1. With deep reading on for the
+    // request, it is built from passages of the pages themselves; the provider's own summary and snippets are
+    // the fallback when none of them can be read. Returns { content, sources, deepRead }.
+    async _searchContext(searchResult, query, run, offset = 0) {
+        const sources = searchResult.sources.map(source => ({ ...source, index: source.index + offset }));
+        if (!run.deepRead) {
+            return { content: formatSearchContext(searchResult, offset), sources, deepRead: null };
+        }
+        const result = await (run.trace
+            ? run.trace.inSpan('deep_read', { 'deep_read.candidates': sources.length }, span => this.deepReader.read(query, sources, { signal: run.signal, span }))
+            : this.deepReader.read(query, sources, { signal: run.signal }));
+        const deepRead = { sourcesRead: result.read, failures: result.failures, passages: result.passages.length };
+        return { content: result.content || formatSearchContext(searchResult, offset), sources, deepRead };
+    }
+
+    // Without a modelName the provider's default model from the catalog is used. options.userId is the
+    // account the request's usage is recorded against; aborting options.signal cancels the request, stopping
+    // model streams and search requests in flight. Stateless callers pass the prior turns as options.history
+    // ({ role, content } messages) with options.persist = false instead of a stored conversation, plus any
+    // options.instructions for the system prompt and options.modelOptions ({ temperature, maxTokens }).
+    // options.deepRead turns deep reading of the sources on or off for this request (see search/deepReader.js),
+    // options.verify the check of a search-backed answer against its sources (see search/answerVerifier.js).
+    // options.searchOptions restrict this request's searches, on top of the deployment's (see search/searchOptions.js).
+    // options.persona is the id of the persona that answers (see personas/personaRegistry.js), else the default
+    // one; its model applies when the request names neither a provider nor a model. The request is traced as a
+    // "chat.request" span, joining the caller's trace if options.traceparent (a W3C traceparent header) is given,
+    // and its log lines carry options.requestId.
+    async *processMessage(userMessage, modelProvider, modelName = null, forceSearch = false, options = {}) {
+        const conversationId = options.conversationId || newConversationId();
+        const requestedMode = options.mode || "agent";
+        const signal = options.signal || null;
+        const trace = this.tracer.startTrace("chat.request", {
+            requestId: options.requestId,
+            traceparent: options.traceparent,
+            signal,
+            attributes: { "chat.mode": requestedMode, "llm.provider": modelProvider, "llm.model": modelName, "chat.conversation_id": conversationId }
+        });
+        const requestLog = trace.log.child({ component: "LangChainChatAgent" });
+        requestLog.info("Processing message", { message: requestLog.content(userMessage), provider: modelProvider, model: modelName, mode: requestedMode, persona: options.persona, conversationId });
+        let persona;
+        let modelEntry;
+        let llm;
+        let searchOptions;
+        try {
+            persona = this.personas.get(options.persona);
+            modelEntry = this.resolveRequestModel(modelProvider, modelName, persona);
+            llm = this._clientFor(modelEntry, { ...options.modelOptions, temperature: options.modelOptions?.temperature ?? persona.temperature });
+            // The persona's search options go between the deployment's and the request's, under the same rules.
+            searchOptions = mergeSearchOptions(mergeSearchOptions(this.searchOptions, persona.searchOptions), normalizeSearchOptions(options.searchOptions || {}));
+        } catch (error) {
+            trace.root.fail(error);
+            yield JSON.stringify({ type: "error", data: `Error: ${error.message}` }) + "\n";
             yield JSON.stringify({ type: "end" }) + "\n";
             return;
         }
+        modelProvider = modelEntry.provider;
+        // Only the rules path can hold the model to a persona that always or never searches (research always does).
+        const mode = persona.search === "auto" || (requestedMode === "research" && persona.search === "always") ? requestedMode : "rules";
+        trace.root.setAttributes({ "chat.mode": mode, "chat.persona": persona.id, "llm.provider": modelProvider, "llm.model": modelEntry.id });
+
+        const usage = new UsageTracker({ modelCatalog: this.modelCatalog, searchPrices: this.searchPrices, signal });
+        try {
+            const storedMessages = options.history || await this.conversationStore.getMessages(conversationId);
+            const history = trimMessagesToTokenBudget(storedMessages, this.historyMaxTokens);
+            const context = {
+                userMessage, modelProvider, modelEntry, forceSearch, conversationId, requestId: options.requestId,
+                history, instructions: options.instructions || null, llm, usage, signal, trace, log: requestLog,
+                deepRead: options.deepRead ?? this.deepReadByDefault, searchOptions, persona
+            };
+
+            // Models without tool calling (or deployments without search tools) always use the rule-based path,
+            // as do providers whose circuit breaker is open, since only that path can fail over to another model.
+            const agentAvailable = mode === "agent" && this._supportsToolCalling(llm) && this.breakers.get(`llm:${modelProvider}`).canRequest();
+            let result;
+            if (mode === "research") {
+                result = yield* this._runResearch(context);
+            } else if (agentAvailable) {
+                result = yield* this._runToolAgent(context);
+            } else {
+                result = yield* this._runRules(context);
+            }
+
+            if (result.answer && result.searchSources.length) {
+                yield JSON.stringify({ type: "citations", data: buildCitationReport(result.answer, result.searchSources) }) + "\n";
+            }
+
+            let verification = null;
+            if (result.answer && (options.verify ?? this.verifyByDefault)) {
+                verification = await this._verifyAnswer(result, modelProvider, { usage, signal, trace, log: requestLog });
+                yield JSON.stringify({ type: "verification", data: verification }) + "\n";
+            }
+
+            if (result.answer && options.persist !== false) {
+                await this.conversationStore.appendMessages(conversationId, [
+                    { role: 'user', content: userMessage },
+                    { role: 'assistant', content: result.answer, persona: persona.id, usedSearch: result.usedSearch, searchQuery: result.searchQuery, searchSources: result.searchSources, verification }
+                ], { userId: options.userId || null });
+            }
+
+        } catch (error) {
+            if (signal?.aborted) {
+                // A cancelled answer is incomplete, so it isn't added to the conversation.
+                requestLog.info("Request cancelled", { conversationId, reason: signal.reason?.message || String(signal.reason) });
+                trace.root.fail(signal.reason);
+                yield JSON.stringify({ type: "cancelled", data: { reason: signal.reason?.message || String(signal.reason) } }) + "\n";
+                return;
+            }
+            requestLog.error("Top-level processMessage error", { error });
+            trace.root.fail(error);
+            yield JSON.stringify({ type: "error", data: error.message || "An unexpected error occurred during processing." }) + "\n";
+        } finally {
+            // Recorded before anything is yielded, so usage is counted even if the client has disconnected.
+            const usageSummary = usage.summary();
+            if (this.usageStore) {
+                try {
+                    await this.usageStore.record(options.userId || 'anonymous', usageSummary);
+                } catch (error) {
+                    requestLog.error("Failed to record usage", { error });
+                }
+            }
+            trace.root.end({ "usage.total_tokens": usageSummary.totalTokens, "usage.searches": usageSummary.searches });
+            yield JSON.stringify({ type: "usage", data: usageSummary }) + "\n";
+            yield JSON.stringify({ type: "end" }) + "\n";
+        }
+    }
+
+    // Checks the answer's claims against the search context it was written from, with the fast model. Answers
+    // that didn't use search have nothing to be checked against, and a failed check doesn't fail the request.
+    async _verifyAnswer(result, modelProvider, run) {
+        const requestLog = run.log || log;
+        if (!result.searchContext) {
+            return { status: "skipped", reason: "The answer did not use search results." };
+        }
+        const llm = this._getFastLLM(modelProvider);
+        if (!llm) {
+            return { status: "skipped", reason: "No model available to verify with." };
+        }
+        const span = run.trace?.startSpan('answer.verification');
+        try {
+            // A research report is checked without its bibliography, whose entries aren't claims.
+            const verification = await this.answerVerifier.verify(result.report ?? result.answer, result.searchContext, { llm, callbacks: [run.usage], signal: run.signal });
+            const counts = { supported: verification.supported.length, unsupported: verification.unsupported.length, contradicted: verification.contradicted.length };
+            requestLog.info('Answer verified', { ...counts, confidence: verification.confidence });
+            span?.end({ 'verification.confidence': verification.confidence, 'verification.contradicted': counts.contradicted });
+            return verification;
+        } catch (error) {
+            span?.fail(error);
+            run.signal?.throwIfAborted();
+            requestLog.warn('Answer verification failed', { error });
+            return { status: "failed", reason: error.message };
+        }
+    }
 
-        let needsSearch = forceSearch || this.shouldSearchWeb(userMessage);
+    // Rule-based path: a search-decision strategy decides, the query is planned into sub-queries, and the fused
+    // results of every sub-query across the available search tools feed the RAG prompt.
+    async *_runRules({ userMessage, modelProvider, modelEntry, forceSearch, conversationId, requestId, history, instructions, llm, usage, signal, deepRead, searchOptions, persona, trace, log: requestLog }) {
+        const run = { usage, signal, deepRead, searchOptions, persona, trace, log: requestLog };
+        const historyMessages = this._toChatMessages(history);
         let searchToolUsed = 'none';
         let searchContent = '';
         let searchSources = [];
         let isSearchSuccessful = false;
+        let searchQuery = userMessage;
+        let subQueries = [];
+        let searchToolsUsed = [];
+        let failedSearchTools = [];
+        let skippedSearchTools = [];
+        let deepReadReport = null;
+        const searchDecision = await this._decideSearch(userMessage, history, modelProvider, forceSearch, run);
+        let needsSearch = searchDecision.needsSearch;
 
-        try {
-            if (needsSearch) {
-                let cacheKey = `${userMessage.toLowerCase()}-${modelProvider}`;
-                let cachedResult = this.searchCache[cacheKey];
-
-                if (cachedResult && (Date.now() - cachedResult.timestamp < this.searchCacheTTL)) {
-                    console.log(`[LangChainChatAgent] Cache Hit for search query: "${userMessage}"`);
-                    searchContent = cachedResult.data.content;
-                    searchSources = cachedResult.data.sources;
-                    searchToolUsed = cachedResult.data.toolUsed;
+        if (needsSearch) {
+            searchQuery = searchDecision.rewrittenQuery || await this._rewriteSearchQuery(userMessage, history, modelProvider, run);
+            const searchTools = this._searchToolsFor(modelProvider, modelEntry);
+            if (searchTools.length) {
+                const plan = await this.queryPlanner.plan(searchQuery, { llm: this._getFastLLM(modelProvider), callbacks: [usage], signal });
+                requestLog.info('Search plan', { strategy: plan.strategy, queries: plan.queries.map(query => requestLog.content(query)), tools: searchTools.map(t => t.name) });
+                const { runs, failures, skipped } = await this._runSearchFanOut(plan.queries, searchTools, run);
+                subQueries = [...new Set(runs.map(run => run.query))];
+                searchToolsUsed = [...new Set(runs.map(run => run.toolName))];
+                failedSearchTools = [...new Set(failures.map(failure => failure.toolName))];
+                skippedSearchTools = skipped;
+
+                if (runs.length) {
+                    const searchResult = fuseSearchResults(runs, { maxSources: Math.min(this.maxFusedSources, searchOptions.maxSources || Infinity) });
+                    const context = await this._searchContext(searchResult, searchQuery, run);
+                    searchContent = context.content;
+                    searchSources = context.sources;
+                    deepReadReport = context.deepRead;
+                    searchToolUsed = searchToolsUsed[0];
                     isSearchSuccessful = true;
+                    usage.recordSearchContext(searchContent);
+                    requestLog.info('Fused search results', { runs: runs.length, sources: searchSources.length, contextChars: searchContent.length });
                 } else {
-                    console.log(`[LangChainChatAgent] Cache Miss. Performing live search for: "${userMessage}"`);
-
-                    if (modelProvider === "google" && this.tools.google_search_grounding) {
-                        console.log(`[LangChainChatAgent] Attempting Google Grounding for: "${userMessage}"`);
-                        try {
-                            const groundedResult = await this.tools.google_search_grounding._call({ query: userMessage });
-                            searchContent = groundedResult;
-                            searchSources = this.tools.google_search_grounding._parseCitations(
-                                this.tools.google_search_grounding.cache[`grounded_${userMessage.toLowerCase()}`]?.citations // Retrieve citations from tool's cache if stored
-                            ).map(c => c.url).filter(Boolean);
-                            searchToolUsed = 'google_search_grounding';
-                            isSearchSuccessful = true;
-                            console.log(`[LangChainChatAgent] Google Grounding Result (first 200 chars): "${String(searchContent).substring(0, 200)}..."`);
-                        } catch (toolError) {
-                            console.error(`[LangChainChatAgent] Google Grounding Tool Error:`, toolError);
-                            searchContent = `Error: Google Grounding failed for "${userMessage}": ${toolError.message}`;
-                            searchToolUsed = 'google_search_grounding_failed';
-                        }
+                    // Last resort: answer without search (the direct prompt below), flagged by isSearchSuccessful: false.
+                    searchContent = `Error: every search failed for "${searchQuery}": ${failures.map(f => f.error.message).join('; ') || 'all search providers are temporarily disabled'}`;
+                    searchToolUsed = `${searchTools[0].name}_failed`;
+                }
+            } else {
+                requestLog.warn('No suitable search tool available, answering without explicit search', { provider: modelProvider });
+                searchContent = `(No search tool available for your request.)`;
+                needsSearch = false;
+            }
+        }
 
-                    } else if (this.tools.perplexity_web_search) {
-                        console.log(`[LangChainChatAgent] Attempting Perplexity Search for: "${userMessage}"`);
-                        try {
-                            const perplexityResultContent = await this.tools.perplexity_web_search._call({ query: userMessage });
-                            const fullPerplexityResult = this.tools.perplexity_web_search.cache[userMessage.toLowerCase()]?.data;
-
-                            searchContent = perplexityResultContent;
-                            searchSources = fullPerplexityResult?.sources || [];
-                            searchToolUsed = 'perplexity_web_search';
-                            isSearchSuccessful = true;
-                            console.log(`[LangChainChatAgent] Perplexity Search Result (first 200 chars): "${String(searchContent).substring(0, 200)}..."`);
-                        } catch (toolError) {
-                            console.error(`[LangChainChatAgent] Perplexity Search Tool Error:`, toolError);
-                            searchContent = `Error: Perplexity search failed for "${userMessage}": ${toolError.message}`;
-                            searchToolUsed = 'perplexity_web_search_failed';
-                        }
-                    } else {
-                        console.warn(`[LangChainChatAgent] No suitable search tool available for provider ${modelProvider}. Answering without explicit search.`);
-                        searchContent = `(No search tool available for your request.)`;
-                        needsSearch = false;
-                    }
+        yield JSON.stringify({
+            type: "metadata",
+            data: {
+                conversationId: conversationId,
+                requestId: requestId || null,
+                mode: "rules",
+                model: modelEntry?.id || null,
+                persona: persona?.id || null,
+                searchDecision: { strategy: searchDecision.strategy, reason: searchDecision.reason, confidence: searchDecision.confidence },
+                usedSearch: needsSearch,
+                searchTool: searchToolUsed,
+                searchTools: searchToolsUsed,
+                failedSearchTools: failedSearchTools,
+                skippedSearchTools: skippedSearchTools,
+                searchQuery: needsSearch ? searchQuery : null,
+                subQueries: subQueries,
+                searchSources: searchSources,
+                deepRead: deepReadReport,
+                isSearchSuccessful: isSearchSuccessful
+            }
+        }) + "\n";
 
-                    if (isSearchSuccessful) {
-                        this.searchCache[cacheKey] = {
-                            data: { content: searchContent, sources: searchSources, toolUsed: searchToolUsed },
-                            timestamp: Date.now()
-                        };
-                    }
-                }
+
+        let messagesForLLM;
+        if (needsSearch && isSearchSuccessful) {
+            const ragPrompt = ChatPromptTemplate.fromMessages([["system", persona.ragPrompt], new MessagesPlaceholder("history"), ["human", "{user_input}"]]);
+            messagesForLLM = await ragPrompt.formatMessages({
+                search_context: searchContent,
+                history: historyMessages,
+                user_input: userMessage
+            });
+            requestLog.debug('Using RAG prompt', { contextChars: searchContent.length });
+        } else {
+            messagesForLLM = [
+                new SystemMessage(persona.systemPrompt),
+                ...historyMessages,
+                new HumanMessage(userMessage)
+            ];
+            requestLog.debug('Using direct prompt (no search context)');
+        }
+        messagesForLLM = this._withInstructions(messagesForLLM, this._instructionsFor(persona, instructions));
+
+        let answer = '';
+        for await (const chunk of this._streamGenerate(llm, messagesForLLM, userMessage, modelProvider, run)) {
+            if (typeof chunk !== 'string') {
+                yield JSON.stringify(chunk) + "\n";
+                continue;
+            }
+            answer += chunk;
+            yield JSON.stringify({ type: "chunk", data: chunk }) + "\n";
+        }
+
+        return {
+            answer,
+            usedSearch: needsSearch && isSearchSuccessful,
+            searchQuery: needsSearch ? searchQuery : null,
+            searchSources,
+            searchContext: needsSearch && isSearchSuccessful ? searchContent : null
+        };
+    }
+
+    // Research path: the model plans the report's outline, then search rounds run until the results cover it or
+    // the step or time budget is used up. Each round searches the gaps the model finds in the results so far (the
+    // first one every section's query), and is reported with "progress" events. The report is written from the
+    // fused results of every round and ends with a bibliography of the sources it can cite.
+    async *_runResearch({ userMessage, modelProvider, modelEntry, conversationId, requestId, history, instructions, llm, usage, signal, deepRead, searchOptions, persona, trace, log: requestLog }) {
+        const run = { usage, signal, deepRead, searchOptions, persona, trace, log: requestLog };
+        const planner = this.researchPlanner;
+        const startedAt = Date.now();
+        const searchTools = this._searchToolsFor(modelProvider, modelEntry);
+        const progress = (data) => JSON.stringify({ type: "progress", data: { ...data, maxSteps: planner.maxSteps, elapsedMs: Date.now() - startedAt } }) + "\n";
+
+        yield JSON.stringify({
+            type: "metadata",
+            data: {
+                conversationId: conversationId,
+                requestId: requestId || null,
+                mode: "research",
+                model: modelEntry?.id || null,
+                persona: persona?.id || null,
+                searchTools: searchTools.map(tool => tool.name),
+                maxSteps: planner.maxSteps,
+                timeBudgetMs: planner.timeBudgetMs
             }
+        }) + "\n";
 
-            yield JSON.stringify({
-                type: "metadata",
-                data: { usedSearch: needsSearch, searchTool: searchToolUsed, searchSources: searchSources, isSearchSuccessful: isSearchSuccessful }
-            }) + "\n";
+        const question = await this._rewriteSearchQuery(userMessage, history, modelProvider, run);
+        const planning = { llm, callbacks: [usage], signal: signal || undefined };
+        const outline = await trace.inSpan('research.outline', {}, async span => {
+            const planned = await planner.outline(question, planning);
+            span.setAttributes({ 'research.sections': planned.sections.length, 'research.outline_strategy': planned.strategy });
+            return planned;
+        });
+        requestLog.info('Research outline', { strategy: outline.strategy, sections: outline.sections.length });
+        yield progress({ step: 0, phase: "outline", title: outline.title, sections: outline.sections.map(section => section.heading), strategy: outline.strategy });
 
+        // The request's or deployment's maxSources caps the report's sources as it does rules mode's.
+        const maxSources = Math.min(planner.maxSources, searchOptions.maxSources || Infinity);
+        const runs = [];
+        const searched = [];
+        const failedSearchTools = new Set();
+        let queries = searchTools.length ? planner.initialQueries(outline) : [];
+        let step = 0;
+        let stopReason = searchTools.length ? null : "no_search_tools";
+        while (queries.length) {
+            step++;
+            yield progress({ step, phase: "search", queries });
+            const round = await this._runSearchFanOut(queries, searchTools, run);
+            runs.push(...round.runs);
+            searched.push(...queries);
+            round.failures.forEach(failure => failedSearchTools.add(failure.toolName));
+            const fused = fuseSearchResults(runs, { maxSources });
 
-            let messagesForLLM;
-            if (needsSearch && isSearchSuccessful) {
-                messagesForLLM = await RAG_PROMPT_TEMPLATE.formatMessages({
-                    search_context: searchContent,
-                    user_input: userMessage
-                });
-                console.log(`[LangChainChatAgent] Using RAG prompt. LLM will process ${searchContent.length} chars of context.`);
+            // Gaps are only looked for while there is budget left to search them.
+            let gaps = [];
+            if (!runs.length) {
+                stopReason = "search_failed";
+            } else if (step >= planner.maxSteps) {
+                stopReason = "max_steps";
+            } else if (Date.now() - startedAt >= planner.timeBudgetMs) {
+                stopReason = "time_budget";
             } else {
-                messagesForLLM = [
-                    new SystemMessage("You are a helpful AI assistant. Respond directly to the user's question."),
-                    new HumanMessage(userMessage)
-                ];
-                console.log(`[LangChainChatAgent] Using direct prompt (no search context).`);
+                gaps = await trace.inSpan('research.gaps', { 'research.step': step }, () => planner.findGaps(question, outline, formatSearchContext(fused), searched, planning));
+                stopReason = gaps.length ? null : "covered";
             }
+            requestLog.info('Research step', { step, queries: queries.length, runs: round.runs.length, sources: fused.sources.length, gaps: gaps.length, stopReason });
+            yield progress({ step, phase: "review", sources: fused.sources.length, failedSearchTools: [...failedSearchTools], gaps });
+            queries = gaps.map(gap => gap.query);
+        }
 
-            for await (const chunk of this._streamGenerate(llm, messagesForLLM, userMessage)) {
-                yield JSON.stringify({ type: "chunk", data: chunk }) + "\n";
+        let searchContent = "(No search results were found for this question.)";
+        let searchSources = [];
+        if (runs.length) {
+            const context = await this._searchContext(fuseSearchResults(runs, { maxSources }), question, run);
+            searchContent = context.content;
+            searchSources = context.sources;
+            usage.recordSearchContext(searchContent);
+        }
+        yield progress({ step, phase: "writing", sources: searchSources.length, stopReason });
+
+        const messagesForLLM = this._withInstructions(await planner.reportMessages({
+            userMessage,
+            outline,
+            searchContext: searchContent,
+            history: this._toChatMessages(history)
+        }), this._instructionsFor(persona, instructions, { format: false }));
+
+        let report = '';
+        for await (const chunk of this._streamGenerate(llm, messagesForLLM, userMessage, modelProvider, run)) {
+            if (typeof chunk !== 'string') {
+                yield JSON.stringify(chunk) + "\n";
+                continue;
             }
+            report += chunk;
+            yield JSON.stringify({ type: "chunk", data: chunk }) + "\n";
+        }
+
+        let answer = report;
+        if (report && searchSources.length) {
+            const bibliography = `\n\n${formatBibliography(searchSources)}\n`;
+            answer += bibliography;
+            yield JSON.stringify({ type: "chunk", data: bibliography }) + "\n";
+        }
 
+        return {
+            answer,
+            report,
+            usedSearch: runs.length > 0,
+            searchQuery: runs.length ? question : null,
+            searchSources,
+            searchContext: runs.length ? searchContent : null
+        };
+    }
+
+    // Agent path: the search tools are bound to the model, which decides when (and how often) to call them.
+    async *_runToolAgent({ userMessage, modelProvider, modelEntry, conversationId, requestId, history, instructions, llm, usage, signal, deepRead, searchOptions, persona, trace, log: requestLog }) {
+        const run = { usage, signal, deepRead, searchOptions, persona, trace, log: requestLog };
+        const tools = Object.values(this.tools);
+        const llmWithTools = llm.bindTools(tools);
+        const messages = this._withInstructions([
+            new SystemMessage(persona.agentPrompt),
+            ...this._toChatMessages(history),
+            new HumanMessage(userMessage)
+        ], this._instructionsFor(persona, instructions));
+        const searchQueries = [];
+        const searchSources = [];
+        const searchContexts = [];
+        let answer = '';
+
+        yield JSON.stringify({
+            type: "metadata",
+            data: { conversationId: conversationId, requestId: requestId || null, mode: "agent", model: modelEntry?.id || null, persona: persona?.id || null, availableTools: tools.map(t => t.name) }
+        }) + "\n";
+
+        try {
+            for (let iteration = 0; iteration <= this.maxToolIterations; iteration++) {
+                // On the last iteration the model must answer with what it has, so stop offering tools.
+                const model = iteration === this.maxToolIterations ? llm : llmWithTools;
+                let response = null;
+                const span = trace.startSpan('llm.stream', { 'llm.provider': modelProvider, 'llm.model': modelEntry?.id || null, 'llm.purpose': 'agent', 'llm.iteration': iteration });
+                for await (const chunk of this._traceStream(model.stream(messages, this._callConfig(run, "answer")), span)) {
+                    response = response ? response.concat(chunk) : chunk;
+                    const text = this._chunkText(chunk.content);
+                    if (text) {
+                        answer += text;
+                        yield JSON.stringify({ type: "chunk", data: text }) + "\n";
+                    }
+                }
+
+                const toolCalls = response?.tool_calls || [];
+                if (!toolCalls.length) {
+                    break;
+                }
+                messages.push(new AIMessage({ content: response.content, tool_calls: toolCalls }));
+
+                for (const toolCall of toolCalls) {
+                    yield JSON.stringify({ type: "tool_call", data: { id: toolCall.id, name: toolCall.name, args: toolCall.args } }) + "\n";
+
+                    const tool = this.tools[toolCall.name];
+                    let content;
+                    let sources = [];
+                    let isError = false;
+                    try {
+                        if (!tool) {
+                            throw new Error(`Unknown tool "${toolCall.name}".`);
+                        }
+                        const { query } = await tool.schema.parseAsync(toolCall.args);
+                        const searchResult = await this._searchWithBreaker(tool, query, run);
+                        // Number this search's sources after the ones the model has already seen.
+                        const context = await this._searchContext(searchResult, query, run, searchSources.length);
+                        content = context.content;
+                        sources = context.sources;
+                        searchSources.push(...sources);
+                        searchContexts.push(content);
+                        searchQueries.push(query);
+                        usage.recordSearchContext(content);
+                    } catch (toolError) {
+                        signal?.throwIfAborted();
+                        requestLog.warn('Tool call failed', { tool: toolCall.name, error: toolError });
+                        content = `Error: ${toolError.message}`;
+                        isError = true;
+                    }
+
+                    yield JSON.stringify({ type: "tool_result", data: { id: toolCall.id, name: toolCall.name, content, sources, isError } }) + "\n";
+                    messages.push(new ToolMessage({ content: String(content), tool_call_id: toolCall.id, name: toolCall.name }));
+                }
+            }
+            this.breakers.get(`llm:${modelProvider}`).recordSuccess();
         } catch (error) {
-            console.error("[LangChainChatAgent] Top-level processMessage error:", error);
-            yield JSON.stringify({ type: "error", data: error.message || "An unexpected error occurred during processing." }) + "\n";
-        } finally {
-            yield JSON.stringify({ type: "end" }) + "\n";
+            if (signal?.aborted) {
+                this.breakers.get(`llm:${modelProvider}`).releaseTrial();
+                throw error;
+            }
+            this.breakers.get(`llm:${modelProvider}`).recordFailure();
+            requestLog.error('Tool agent error', { error });
+            for await (const chunk of this._streamErrorFallback(error, userMessage, run)) {
+                yield JSON.stringify({ type: "chunk", data: chunk }) + "\n";
+            }
+            return { answer: '', usedSearch: false, searchQuery: null, searchSources: [], searchContext: null };
         }
+
+        return {
+            answer,
+            usedSearch: searchQueries.length > 0,
+            searchQuery: searchQueries[searchQueries.length - 1] || null,
+            searchSources,
+            searchContext: searchContexts.join('\n\n') || null
+        };
     }
 }
 
@@ -1,25 +1,58 @@
 import axios from 'axios';
+import { normalizeSources } from '../search/citations.js';
+import { retry } from '../utils/resilience.js';
+import { logger } from '../utils/logger.js';
+import { NO_SEARCH_OPTIONS } from '../search/searchOptions.js';
 
+const log = logger.child({ component: 'PerplexitySearchAgent' });
+
+// A larger search context gets a longer summary; "medium" keeps the concise 750 tokens.
+const CONTEXT_SIZE_MAX_TOKENS = { low: 400, medium: 750, high: 1500 };
+// Perplexity's limit on search_domain_filter entries; domains beyond it are left to post-filtering.
+const MAX_DOMAIN_FILTERS = 20;
+
+// `sources` are normalized source objects ({ index, url, title, snippet, domain, publishedAt }, see search/citations.js);
+// `citations` keeps the provider's raw citation data, and `usage` the tokens the provider's own model
+// billed for the search ({ inputTokens, outputTokens }), if it reports them.
 class SearchResult {
-    constructor(content, sources, citations) {
+    constructor(content, sources, citations, usage = null) {
         this.content = content;
         this.sources = sources;
         this.citations = citations;
+        this.usage = usage;
+    }
+
+    // Builds a SearchResult from a ranked list of { title, url, snippet } hits (Tavily, Brave, SearXNG, local index).
+    // The hits become the numbered sources; `answer` is an optional provider-written summary.
+    static fromResultList(results, answer = '') {
+        return new SearchResult(answer, normalizeSources(results.filter(r => r.url)), results);
     }
 }
 
 class PerplexitySearchAgent {
-    constructor(apiKey) {
+    constructor(apiKey, { timeoutMs = 15000, retries = 2 } = {}) {
         if (!apiKey) {
-            console.warn("Perplexity API key is missing. PerplexitySearchAgent will not function.");
+            log.warn('Perplexity API key is missing. PerplexitySearchAgent will not function.');
             this.apiKey = null;
         } else {
             this.apiKey = apiKey;
         }
+        this.name = 'perplexity';
+        this.description = 'Searches the web with Perplexity and returns a summarized answer with citations.';
         this.baseUrl = 'https://api.perplexity.ai/chat/completions';
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+    }
+
+    // Search provider interface (see search/providerRegistry.js).
+    async search(query, { signal, searchOptions } = {}) {
+        return this.searchWeb(query, undefined, { signal, searchOptions });
     }
 
-    async searchWeb(query, model = 'sonar') {
+    // `signal` aborts the HTTP request (and any retries) when the client has gone away. `searchOptions` (see
+    // search/searchOptions.js) map to Perplexity's domain and recency filters, user location and search context
+    // size; language isn't supported.
+    async searchWeb(query, model = 'sonar', { signal, searchOptions = NO_SEARCH_OPTIONS } = {}) {
         if (!this.apiKey) {
             throw new Error("Perplexity API key is not set. Cannot perform search.");
         }
@@ -38,34 +71,51 @@ class PerplexitySearchAgent {
                 },
                 {
                     role: 'user',
-                    content: `Search for: ${query}`
+                    content: query
                 }
             ],
-            max_tokens: 750, // Optimized for conciseness
+            max_tokens: CONTEXT_SIZE_MAX_TOKENS[searchOptions.contextSize || 'medium'],
             temperature: 0.2,
             return_citations: true,
             return_images: false,
             web_search_options: {
-                "search_context_size": "medium"
+                "search_context_size": searchOptions.contextSize || 'medium'
             }
-
         };
+        // Perplexity takes one domain list, with excluded domains prefixed by "-".
+        const domainFilter = [...searchOptions.includeDomains, ...searchOptions.excludeDomains.map(domain => `-${domain}`)];
+        if (domainFilter.length) {
+            payload.search_domain_filter = domainFilter.slice(0, MAX_DOMAIN_FILTERS);
+        }
+        if (searchOptions.recency) {
+            payload.search_recency_filter = searchOptions.recency;
+        }
+        if (searchOptions.country) {
+            payload.web_search_options.user_location = { country: searchOptions.country };
+        }
 
         try {
-            const response = await axios.post(this.baseUrl, payload, { headers });
+            const response = await retry(
+                () => axios.post(this.baseUrl, payload, { headers, timeout: this.timeoutMs, signal }),
+                { retries: this.retries, label: 'Perplexity search', signal }
+            );
             return this._parseSearchResult(response.data);
         } catch (error) {
-            console.error(`Perplexity API request error for query "${query}":`, error.response?.status, error.response?.data || error.message);
-            throw new Error(`Perplexity API error: ${error.response?.status || error.message}`);
+            log.error('Perplexity request failed', { query: log.content(query), status: error.response?.status, error });
+            const apiError = new Error(`Perplexity API error: ${error.response?.status || error.message}`);
+            apiError.status = error.response?.status;
+            throw apiError;
         }
     }
 
     _parseSearchResult(data) {
         const content = data.choices?.[0]?.message?.content || '';
         const citations = data.citations || [];
-        const sources = citations.map(citation => citation.url || '').filter(url => url);
+        // search_results carries titles and dates for the same URLs, in the same order the answer's [n] markers use.
+        const sources = normalizeSources(data.search_results?.length ? data.search_results : citations);
+        const usage = data.usage ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 } : null;
 
-        return new SearchResult(content, sources, citations);
+        return new SearchResult(content, sources, citations, usage);
     }
 }
 
@@ -0,0 +1,404 @@
+import express from 'express';
+import cors from 'cors';
+import { isValidConversationId, ownsConversation } from './stores/conversationStore.js';
+import { usagePeriod } from './stores/usageStore.js';
+import { createApiKeyAuth, loadApiKeys, allowsPersona } from './middleware/auth.js';
+import { RateLimiter, createRateLimitMiddleware } from './middleware/rateLimiter.js';
+import { createRequestLogging } from './middleware/requestLogging.js';
+import { createOpenAICompatRouter } from './routes/openaiCompat.js';
+import { normalizeSearchOptions } from './search/searchOptions.js';
+import { logger } from './utils/logger.js';
+import { MetricsRegistry, METRICS_CONTENT_TYPE } from './utils/metrics.js';
+
+const log = logger.child({ component: 'Server' });
+
+// The HTTP API around already-built services, so tests can run it against fakes; server.js builds the real
+// services from the environment and listens. `env` holds the HTTP settings (API keys, rate limits, CORS, admin
+// and metrics tokens, body and message size limits, the default chat mode). `healthChecker` is optional.
+function createApp({ chatAgent, conversationStore, cache, usageStore, usageBudgets, circuitBreakers, metrics = new MetricsRegistry(), healthChecker = null }, env = process.env) {
+    const app = express();
+    const parseList = (value) => value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+    const maxMessageLength = parseInt(env.MAX_MESSAGE_LENGTH, 10) || 8000;
+
+    // TRUST_PROXY is passed to Express ("1" = one reverse proxy in front) so rate limits see the client's IP.
+    if (env.TRUST_PROXY) {
+        app.set('trust proxy', /^\d+$/.test(env.TRUST_PROXY) ? parseInt(env.TRUST_PROXY, 10) : env.TRUST_PROXY);
+    }
+
+    // Request ids, access logs and HTTP metrics for every request (see GET /metrics).
+    app.use(createRequestLogging({ metrics }));
+
+    // CORS_ORIGINS is a comma-separated allowlist of browser origins; "*" allows any origin.
+    const corsOrigins = parseList(env.CORS_ORIGINS) || ['*'];
+    if (corsOrigins.includes('*')) {
+        log.warn('CORS_ORIGINS is not restricted; any website can call this API from a browser.');
+    }
+    app.use(cors({
+        origin: (origin, callback) => callback(null, !origin || corsOrigins.includes('*') || corsOrigins.includes(origin)),
+        exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
+    }));
+    app.use(express.json({ limit: env.MAX_BODY_SIZE || '100kb' }));
+
+    const authenticate = createApiKeyAuth(loadApiKeys(env), { trustUserIdHeader: env.TRUST_USER_ID_HEADER === 'true' });
+    if (!authenticate.enabled) {
+        log.warn('No API_KEYS configured; the API is open to anyone who can reach it.');
+        if (env.TRUST_USER_ID_HEADER === 'true') {
+            log.warn('TRUST_USER_ID_HEADER is set; any caller can act as any user by sending X-User-Id.');
+        }
+    }
+    const rateLimiter = new RateLimiter({
+        requestsPerMinute: parseInt(env.RATE_LIMIT_REQUESTS_PER_MINUTE, 10) || 60,
+        concurrentStreams: parseInt(env.RATE_LIMIT_CONCURRENT_STREAMS, 10) || 3,
+    });
+    const limitRequests = createRateLimitMiddleware(rateLimiter);
+    const limitStreams = createRateLimitMiddleware(rateLimiter, { stream: true });
+
+    // Streams in progress, by request id, so POST /chat/:requestId/cancel can abort them.
+    const activeRequests = new Map();
+
+    // Requests are validated before the event stream starts, so clients get a plain JSON error with a status code.
+    app.post('/chat', authenticate, limitStreams, async (req, res) => {
+        const {
+            message,
+            modelProvider,
+            modelName,
+            persona,
+            forceSearch = false,
+            conversationId,
+            mode = env.CHAT_MODE || 'agent',
+            deepRead,
+            verify,
+            searchOptions,
+            requestId = req.requestId
+        } = req.body || {};
+
+        if (!message || typeof message !== 'string') {
+            return res.status(400).json({ error: 'Message is required.' });
+        }
+
+        if (message.length > maxMessageLength) {
+            return res.status(413).json({ error: `Message is too long (${message.length} characters, the limit is ${maxMessageLength}).` });
+        }
+
+        if (conversationId !== undefined && !isValidConversationId(conversationId)) {
+            return res.status(400).json({ error: 'conversationId must be 1-128 letters, digits, "-" or "_".' });
+        }
+
+        if (!['agent', 'rules', 'research'].includes(mode)) {
+            return res.status(400).json({ error: 'mode must be "agent", "rules" or "research".' });
+        }
+
+        if (deepRead !== undefined && typeof deepRead !== 'boolean') {
+            return res.status(400).json({ error: 'deepRead must be true or false.' });
+        }
+
+        if (verify !== undefined && typeof verify !== 'boolean') {
+            return res.status(400).json({ error: 'verify must be true or false.' });
+        }
+
+        if (searchOptions !== undefined) {
+            try {
+                normalizeSearchOptions(searchOptions);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        }
+
+        if (!isValidConversationId(requestId)) {
+            return res.status(400).json({ error: 'requestId must be 1-128 letters, digits, "-" or "_".' });
+        }
+
+        if (persona !== undefined && typeof persona !== 'string') {
+            return res.status(400).json({ error: 'persona must be a persona id.' });
+        }
+
+        if (activeRequests.has(requestId)) {
+            return res.status(409).json({ error: `Request "${requestId}" is already in progress.` });
+        }
+
+        // Another user's conversation gets the same 404 as an unknown one when read, so it can't be continued either.
+        if (conversationId !== undefined) {
+            const existing = await conversationStore.getConversation(conversationId);
+            if (existing && !ownsConversation(existing, req.auth.userId)) {
+                return res.status(404).json({ error: 'Conversation not found.' });
+            }
+        }
+
+        // Without a persona, the key's default persona, else the deployment's.
+        let personaEntry;
+        try {
+            personaEntry = chatAgent.personas.get(persona ?? req.auth.defaultPersona);
+            chatAgent.resolveRequestModel(modelProvider, modelName, personaEntry);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (!allowsPersona(req.auth, personaEntry.id)) {
+            return res.status(403).json({ error: `This API key may not use persona "${personaEntry.id}".` });
+        }
+
+        const userId = req.auth.userId;
+        const budgetCheck = await usageBudgets.check(usageStore, userId);
+        if (!budgetCheck.allowed) {
+            return res.status(402).json({ error: budgetCheck.reason });
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Request-Id', requestId);
+        req.requestId = requestId;
+
+        // Aborted when the client disconnects (the response closes before it was finished) or cancels explicitly,
+        // which stops the model stream and any searches still in flight.
+        const controller = new AbortController();
+        let clientGone = false;
+        activeRequests.set(requestId, { controller, userId });
+        res.on('close', () => {
+            activeRequests.delete(requestId);
+            if (!res.writableFinished) {
+                clientGone = true;
+                controller.abort(new Error('Client disconnected.'));
+            }
+        });
+
+        try {
+            for await (const chunk of chatAgent.processMessage(message, modelProvider, modelName, forceSearch, { conversationId, mode, persona: personaEntry.id, deepRead, verify, searchOptions, userId, requestId, signal: controller.signal, traceparent: req.get('traceparent') })) {
+                if (clientGone) {
+                    req.log.info('Client disconnected during stream', { requestId });
+                    break;
+                }
+                res.write(`data: ${chunk}\n\n`); // Each yield is an SSE data event
+            }
+        } catch (error) {
+            req.log.error('SSE chat endpoint top-level error', { requestId, error });
+            // Ensure an error is sent if one wasn't caught and yielded by the agent
+            if (!res.writableEnded) {
+                res.write(`data: ${JSON.stringify({ type: "error", data: error.message || "An unknown streaming error occurred." })}\n\n`);
+                res.write(`data: ${JSON.stringify({ type: "end" })}\n\n`);
+            }
+        } finally {
+            activeRequests.delete(requestId);
+            if (!res.writableEnded) {
+                res.end(); // Always close the stream
+            }
+        }
+    });
+
+    // Stops a generation in progress, e.g. from a UI stop button. The stream ends with a "cancelled" event.
+    // Only the user who started a request can cancel it; anyone else gets the same 404 as for an unknown id.
+    app.post('/chat/:requestId/cancel', authenticate, limitRequests, (req, res) => {
+        const active = activeRequests.get(req.params.requestId);
+        if (!active || active.userId !== req.auth.userId) {
+            return res.status(404).json({ error: 'No request in progress with that id.' });
+        }
+        active.controller.abort(new Error('Cancelled by the client.'));
+        res.status(202).json({ requestId: req.params.requestId, cancelled: true });
+    });
+
+    // Conversations are only visible to the user who started them; anyone else gets a 404, as for an unknown id.
+    app.get('/conversations', authenticate, limitRequests, async (req, res) => {
+        try {
+            res.json({ conversations: await conversationStore.listConversations({ userId: req.auth.userId }) });
+        } catch (error) {
+            req.log.error('List conversations error', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    app.get('/conversations/:id', authenticate, limitRequests, async (req, res) => {
+        if (!isValidConversationId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid conversation id.' });
+        }
+        try {
+            const conversation = await conversationStore.getConversation(req.params.id);
+            if (!ownsConversation(conversation, req.auth.userId)) {
+                return res.status(404).json({ error: 'Conversation not found.' });
+            }
+            res.json(conversation);
+        } catch (error) {
+            req.log.error('Get conversation error', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    app.delete('/conversations/:id', authenticate, limitRequests, async (req, res) => {
+        if (!isValidConversationId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid conversation id.' });
+        }
+        try {
+            const conversation = await conversationStore.getConversation(req.params.id);
+            const deleted = ownsConversation(conversation, req.auth.userId) && await conversationStore.deleteConversation(req.params.id);
+            if (!deleted) {
+                return res.status(404).json({ error: 'Conversation not found.' });
+            }
+            res.status(204).end();
+        } catch (error) {
+            req.log.error('Delete conversation error', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Admin routes are disabled unless ADMIN_TOKEN is set, and then require it in the X-Admin-Token header.
+    function requireAdminToken(req, res, next) {
+        if (!env.ADMIN_TOKEN) {
+            return res.status(404).json({ error: 'Not found.' });
+        }
+        if (req.get('X-Admin-Token') !== env.ADMIN_TOKEN) {
+            return res.status(401).json({ error: 'Invalid admin token.' });
+        }
+        next();
+    }
+
+    app.get('/admin/cache', requireAdminToken, async (req, res) => {
+        try {
+            res.json({ stats: cache.stats(), entries: await cache.entries() });
+        } catch (error) {
+            req.log.error('Cache inspect error', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // DELETE /admin/cache purges everything; ?namespace=<tool name> limits it to one provider, and adding &key=<query> to one entry.
+    app.delete('/admin/cache', requireAdminToken, async (req, res) => {
+        const { namespace, key } = req.query;
+        try {
+            if (key !== undefined) {
+                if (!namespace) {
+                    return res.status(400).json({ error: 'namespace is required when deleting a single key.' });
+                }
+                return res.json({ purged: (await cache.delete(namespace, key)) ? 1 : 0 });
+            }
+            res.json({ purged: await cache.purge(namespace) });
+        } catch (error) {
+            req.log.error('Cache purge error', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Re-reads the persona config files now, instead of waiting for the file watcher. An invalid config is
+    // reported and leaves the current personas in place.
+    app.post('/admin/personas/reload', requireAdminToken, (req, res) => {
+        try {
+            res.json({ personas: chatAgent.personas.reload().map(entry => entry.id) });
+        } catch (error) {
+            req.log.error('Persona reload error', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /admin/usage lists every user's totals for the current month (or ?period=YYYY-MM), highest spend first.
+    app.get('/admin/usage', requireAdminToken, async (req, res) => {
+        const period = req.query.period || usagePeriod();
+        try {
+            res.json({ period, users: await usageStore.listUsage(period) });
+        } catch (error) {
+            req.log.error('Usage list error', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /usage returns the caller's totals for the current month (or ?period=YYYY-MM) and their budget.
+    app.get('/usage', authenticate, limitRequests, async (req, res) => {
+        const userId = req.auth.userId;
+        const period = req.query.period || usagePeriod();
+        if (!/^\d{4}-\d{2}$/.test(period)) {
+            return res.status(400).json({ error: 'period must look like YYYY-MM.' });
+        }
+        try {
+            res.json({ userId, period, usage: await usageStore.getUsage(userId, period), budget: usageBudgets.budgetFor(userId) });
+        } catch (error) {
+            req.log.error('Usage fetch error', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /models lists the model catalog; ?available=true leaves out models whose provider has no API key.
+    app.get('/models', authenticate, limitRequests, (req, res) => {
+        const models = chatAgent.listModels();
+        res.json({ models: req.query.available === 'true' ? models.filter(model => model.available) : models });
+    });
+
+    // GET /personas lists the personas the caller's key may use, without their prompts. `default` marks the one
+    // its requests get without choosing: the key's default persona, else the deployment's.
+    app.get('/personas', authenticate, limitRequests, (req, res) => {
+        res.json({
+            personas: chatAgent.personas.list()
+                .filter(entry => allowsPersona(req.auth, entry.id))
+                .map(({ id, label, description, language, outputFormat, search, model, default: isDefault }) => ({
+                    id, label, description, language, outputFormat, search, model,
+                    default: req.auth.defaultPersona ? id === req.auth.defaultPersona : isDefault,
+                })),
+        });
+    });
+
+    // OpenAI-compatible API: POST /v1/chat/completions and GET /v1/models.
+    app.use('/v1', createOpenAICompatRouter({
+        chatAgent,
+        authenticate,
+        limitRequests,
+        limitStreams,
+        usageStore,
+        usageBudgets,
+        activeRequests,
+        maxMessageLength,
+        defaultMode: env.CHAT_MODE || 'agent',
+    }));
+
+    // "DEGRADED" means some configured provider is unreachable, or no model provider is configured at all.
+    app.get('/health', async (req, res) => {
+        const providers = await chatAgent.providerHealth(healthChecker);
+        const configured = [...providers.models, ...providers.search].filter(provider => provider.configured);
+        res.json({
+            status: providers.models.some(provider => provider.configured) && configured.every(provider => provider.reachable) ? 'OK' : 'DEGRADED',
+            timestamp: new Date().toISOString(),
+            providers,
+            circuitBreakers: circuitBreakers.snapshot(),
+        });
+    });
+
+    // Gauges and counters kept elsewhere are read when /metrics is scraped.
+    const BREAKER_STATES = ['closed', 'half-open', 'open'];
+    metrics.gauge('circuit_breaker_state', 'Circuit breaker state per provider (1 for its current state).', {
+        labelNames: ['breaker', 'state'],
+        collect: () => circuitBreakers.snapshot().flatMap(breaker => BREAKER_STATES.map(state => ({ labels: { breaker: breaker.name, state }, value: breaker.state === state ? 1 : 0 }))),
+    });
+    metrics.counter('cache_lookups_total', 'Search and page cache lookups, by namespace and result.', {
+        labelNames: ['namespace', 'result'],
+        collect: () => Object.entries(cache.stats().namespaces).flatMap(([namespace, counts]) => [
+            { labels: { namespace, result: 'hit' }, value: counts.hits },
+            { labels: { namespace, result: 'miss' }, value: counts.misses },
+        ]),
+    });
+    metrics.gauge('cache_hit_ratio', 'Share of cache lookups answered from the cache, by namespace.', {
+        labelNames: ['namespace'],
+        collect: () => Object.entries(cache.stats().namespaces).map(([namespace, counts]) => ({ labels: { namespace }, value: counts.hitRatio })),
+    });
+    metrics.gauge('active_streams', 'Chat streams in progress.', { collect: () => [{ labels: {}, value: activeRequests.size }] });
+
+    // Prometheus scrape endpoint. Public unless METRICS_TOKEN is set; then scrapers send it as a bearer token.
+    app.get('/metrics', (req, res) => {
+        if (env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${env.METRICS_TOKEN}`) {
+            return res.status(401).json({ error: 'Invalid metrics token.' });
+        }
+        res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+    });
+
+    // Body-parser failures (oversized or malformed JSON) and anything else unhandled, as JSON instead of Express's HTML page.
+    app.use((error, req, res, next) => {
+        if (res.headersSent) {
+            return next(error);
+        }
+        if (error.type === 'entity.too.large') {
+            return res.status(413).json({ error: `Request body is too large (limit ${env.MAX_BODY_SIZE || '100kb'}).` });
+        }
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Request body is not valid JSON.' });
+        }
+        (req.log || log).error('Unhandled request error', { error });
+        res.status(error.status || 500).json({ error: error.expose ? error.message : 'Internal server error.' });
+    });
+
+    return app;
+}
+
+export { createApp };
@@ -0,0 +1,91 @@
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+
+function sha256(value) {
+    return createHash('sha256').update(value).digest('hex');
+}
+
+// Each key is { key | keyHash, userId, rateLimit, personas, defaultPersona }. `keyHash` is the key's hex SHA-256,
+// so a config file can be committed or shared without the keys themselves; `rateLimit` overrides the default
+// limits for this key. `personas` restricts the key to those persona ids and `defaultPersona` is the one its
+// requests get when they don't choose (see personas/personaRegistry.js).
+function normalizeApiKey(entry, i) {
+    const config = typeof entry === 'string' ? { key: entry } : entry;
+    const keyHash = config.keyHash || (config.key && sha256(config.key));
+    if (!keyHash) {
+        throw new Error(`API key entry ${i} needs a "key" or "keyHash".`);
+    }
+    if (config.personas !== undefined && !(Array.isArray(config.personas) && config.personas.length && config.personas.every(id => typeof id === 'string'))) {
+        throw new Error(`API key entry ${i}: "personas" must be a non-empty list of persona ids.`);
+    }
+    if (config.defaultPersona && config.personas && !config.personas.includes(config.defaultPersona)) {
+        throw new Error(`API key entry ${i}: "defaultPersona" must be one of its "personas".`);
+    }
+    return {
+        id: config.id || config.userId || `key-${i + 1}`,
+        userId: config.userId || config.id || `key-${i + 1}`,
+        keyHash,
+        rateLimit: config.rateLimit || {},
+        personas: config.personas || null,
+        defaultPersona: config.defaultPersona || null,
+    };
+}
+
+// API_KEYS holds a comma-separated list of keys or an inline JSON array, API_KEYS_CONFIG a path to a JSON file:
+// [{ "keyHash": "9f86d0...", "userId": "alice", "rateLimit": { "requestsPerMinute": 120, "concurrentStreams": 5 } }]
+function loadApiKeys(env = process.env) {
+    let entries = [];
+    if (env.API_KEYS) {
+        entries = env.API_KEYS.trim().startsWith('[')
+            ? JSON.parse(env.API_KEYS)
+            : env.API_KEYS.split(',').map(key => key.trim()).filter(Boolean);
+    } else if (env.API_KEYS_CONFIG) {
+        entries = JSON.parse(readFileSync(env.API_KEYS_CONFIG, 'utf8'));
+    }
+    return entries.map(normalizeApiKey);
+}
+
+// Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>".
+function credentialFrom(req) {
+    const authorization = req.get('Authorization');
+    if (authorization?.startsWith('Bearer ')) {
+        return authorization.substring(7).trim();
+    }
+    return req.get('X-API-Key') || null;
+}
+
+// Sets req.auth = { keyId, userId, rateLimit, personas, defaultPersona }. Without any configured keys authentication is off and
+// every caller is the same "anonymous" user (rate limits still apply per IP). `trustUserIdHeader` takes the user from the
+// X-User-Id header instead, which anyone can set, so it only separates users who trust each other.
+function createApiKeyAuth(apiKeys = loadApiKeys(), { trustUserIdHeader = false } = {}) {
+    const byHash = new Map(apiKeys.map(apiKey => [apiKey.keyHash, apiKey]));
+    const middleware = (req, res, next) => {
+        if (!byHash.size) {
+            const userId = trustUserIdHeader ? req.get('X-User-Id') : null;
+            req.auth = { keyId: null, userId: userId && /^[A-Za-z0-9_-]{1,128}$/.test(userId) ? userId : 'anonymous', rateLimit: {}, personas: null, defaultPersona: null };
+            return next();
+        }
+        const credential = credentialFrom(req);
+        if (!credential) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: 'An API key is required (Authorization: Bearer <key> or X-API-Key).' });
+        }
+        // Keys are looked up by their hash, so lookup timing reveals nothing about the key itself.
+        const apiKey = byHash.get(sha256(credential));
+        if (!apiKey) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return res.status(401).json({ error: 'Invalid API key.' });
+        }
+        req.auth = { keyId: apiKey.id, userId: apiKey.userId, rateLimit: apiKey.rateLimit, personas: apiKey.personas, defaultPersona: apiKey.defaultPersona };
+        next();
+    };
+    middleware.enabled = byHash.size > 0;
+    return middleware;
+}
+
+// Whether the caller's key may use the persona; keys without a `personas` list may use any.
+function allowsPersona(auth, personaId) {
+    return !auth?.personas || auth.personas.includes(personaId);
+}
+
+export { createApiKeyAuth, loadApiKeys, allowsPersona, sha256 };
@@ -0,0 +1,96 @@
+const WINDOW_MS = 60 * 1000;
+
+// Per-key limits on requests per minute (sliding window) and on simultaneously open streams.
+// State is in memory, so each server process enforces its own limits.
+class RateLimiter {
+    constructor({ requestsPerMinute = 60, concurrentStreams = 3, now = Date.now } = {}) {
+        this.defaults = { requestsPerMinute, concurrentStreams };
+        this.now = now;
+        this.requests = new Map(); // key -> timestamps of the requests in the last minute
+        this.streams = new Map(); // key -> open stream count
+    }
+
+    limitsFor(overrides = {}) {
+        return { ...this.defaults, ...overrides };
+    }
+
+    // Counts a request against `key`. Returns { allowed, limit, remaining, resetSeconds, retryAfterSeconds }.
+    consume(key, { requestsPerMinute } = this.defaults) {
+        const now = this.now();
+        const recent = (this.requests.get(key) || []).filter(timestamp => now - timestamp < WINDOW_MS);
+        const resetSeconds = recent.length ? Math.ceil((recent[0] + WINDOW_MS - now) / 1000) : 60;
+        if (recent.length >= requestsPerMinute) {
+            this.requests.set(key, recent);
+            return { allowed: false, limit: requestsPerMinute, remaining: 0, resetSeconds, retryAfterSeconds: Math.max(1, resetSeconds) };
+        }
+        recent.push(now);
+        this.requests.set(key, recent);
+        this._prune(now);
+        return { allowed: true, limit: requestsPerMinute, remaining: requestsPerMinute - recent.length, resetSeconds, retryAfterSeconds: 0 };
+    }
+
+    // Returns a function that releases the stream slot, or null if `key` already has `concurrentStreams` open.
+    acquireStream(key, { concurrentStreams } = this.defaults) {
+        const open = this.streams.get(key) || 0;
+        if (open >= concurrentStreams) {
+            return null;
+        }
+        this.streams.set(key, open + 1);
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            const remaining = (this.streams.get(key) || 1) - 1;
+            if (remaining > 0) {
+                this.streams.set(key, remaining);
+            } else {
+                this.streams.delete(key);
+            }
+        };
+    }
+
+    // Drops keys that have been idle for a full window, so one-off clients don't accumulate.
+    _prune(now) {
+        if (this.requests.size < 1000) {
+            return;
+        }
+        for (const [key, timestamps] of this.requests) {
+            if (!timestamps.length || now - timestamps[timestamps.length - 1] >= WINDOW_MS) {
+                this.requests.delete(key);
+            }
+        }
+    }
+}
+
+function tooManyRequests(res, retryAfterSeconds, message) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ error: message, retryAfter: retryAfterSeconds });
+}
+
+// Runs after authentication: limits apply per API key (with that key's overrides), or per client IP when
+// authentication is off. With { stream: true } the request also holds a stream slot until the response closes.
+function createRateLimitMiddleware(limiter, { stream = false } = {}) {
+    return (req, res, next) => {
+        const key = req.auth?.keyId || `ip:${req.ip}`;
+        const limits = limiter.limitsFor(req.auth?.rateLimit);
+        const result = limiter.consume(key, limits);
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(result.resetSeconds));
+        if (!result.allowed) {
+            return tooManyRequests(res, result.retryAfterSeconds, `Rate limit of ${result.limit} requests per minute exceeded.`);
+        }
+        if (stream) {
+            const release = limiter.acquireStream(key, limits);
+            if (!release) {
+                return tooManyRequests(res, 1, `Too many concurrent streams (limit ${limits.concurrentStreams}).`);
+            }
+            res.on('close', release);
+        }
+        next();
+    };
+}
+
+export { RateLimiter, createRateLimitMiddleware };
@@ -0,0 +1,45 @@
+import { randomUUID } from 'crypto';
+import { performance } from 'perf_hooks';
+import { logger } from '../utils/logger.js';
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Gives every request an id (the client's X-Request-Id if it sent a valid one), echoed in the X-Request-Id
+// response header, and a logger carrying it as req.log. When the response is done it writes an access log line
+// and records http_requests_total and http_request_duration_seconds, labelled by route pattern
+// ("/conversations/:id") rather than URL so ids don't multiply the series. Routes that take their own request
+// id (POST /chat) update req.requestId. Requests to `quietPaths` (health checks, metric scrapes) are logged at
+// debug level only.
+function createRequestLogging({ metrics = null, quietPaths = ['/health', '/metrics'] } = {}) {
+    const requests = metrics?.counter('http_requests_total', 'HTTP requests, by method, route and status code.', { labelNames: ['method', 'route', 'status'] });
+    const duration = metrics?.histogram('http_request_duration_seconds', 'HTTP request duration (for streams, until the stream ended), by method and route.', { labelNames: ['method', 'route'] });
+
+    return (req, res, next) => {
+        const start = performance.now();
+        const clientId = req.get('X-Request-Id');
+        req.requestId = clientId && REQUEST_ID_PATTERN.test(clientId) ? clientId : randomUUID();
+        req.log = logger.child({ component: 'http', requestId: req.requestId });
+        res.setHeader('X-Request-Id', req.requestId);
+
+        let done = false;
+        const finish = () => {
+            if (done) {
+                return;
+            }
+            done = true;
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            const status = res.writableFinished ? res.statusCode : 499; // 499: the client went away first
+            const seconds = (performance.now() - start) / 1000;
+            requests?.inc({ method: req.method, route, status });
+            duration?.observe({ method: req.method, route }, seconds);
+            const log = req.log.child({ requestId: req.requestId });
+            const level = status >= 500 ? 'error' : quietPaths.includes(req.path) ? 'debug' : 'info';
+            log[level]('Request completed', { method: req.method, path: req.path, route, status, durationMs: Math.round(seconds * 1000) });
+        };
+        res.on('finish', finish);
+        res.on('close', finish);
+        next();
+    };
+}
+
+export { createRequestLogging };
@@ -0,0 +1,132 @@
+import { readFileSync } from 'fs';
+
+const PROVIDERS = ['openai', 'google', 'anthropic'];
+const TIERS = ['capable', 'fast'];
+const DEFAULT_CATALOG_PATH = new URL('../config/models.json', import.meta.url);
+
+class ModelNotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ModelNotFoundError';
+    }
+}
+
+// Fills in optional fields and rejects entries the agent couldn't construct a client for.
+function normalizeModelEntry(entry) {
+    if (!entry || typeof entry.id !== 'string' || !entry.id) {
+        throw new Error(`Model catalog entry is missing an "id": ${JSON.stringify(entry)}`);
+    }
+    if (!PROVIDERS.includes(entry.provider)) {
+        throw new Error(`Model "${entry.id}" has unknown provider "${entry.provider}". Use one of: ${PROVIDERS.join(', ')}.`);
+    }
+    const tier = entry.tier || 'capable';
+    if (!TIERS.includes(tier)) {
+        throw new Error(`Model "${entry.id}" has unknown tier "${tier}". Use "capable" or "fast".`);
+    }
+    return {
+        provider: entry.provider,
+        id: entry.id,
+        label: entry.label || entry.id,
+        aliases: entry.aliases || [],
+        tier,
+        default: entry.default === true,
+        contextWindow: entry.contextWindow ?? null,
+        temperature: entry.temperature ?? (tier === 'fast' ? 0.7 : 0.2),
+        supportsTools: entry.supportsTools !== false,
+        supportsGrounding: entry.supportsGrounding === true,
+        // USD per million tokens: { inputPerMillion, outputPerMillion }
+        cost: entry.cost || null,
+    };
+}
+
+// Model ids and aliases are looked up per provider, so "fast" can mean a different model for each one.
+class ModelCatalog {
+    constructor(entries = []) {
+        this.entries = [];
+        this.lookup = new Map();
+        for (const entry of entries) {
+            this.add(entry);
+        }
+    }
+
+    add(rawEntry) {
+        const entry = normalizeModelEntry(rawEntry);
+        for (const name of [entry.id, ...entry.aliases]) {
+            const key = `${entry.provider}:${name.toLowerCase()}`;
+            if (this.lookup.has(key)) {
+                throw new Error(`Model name "${name}" is used twice for provider "${entry.provider}".`);
+            }
+            this.lookup.set(key, entry);
+        }
+        this.entries.push(entry);
+        return entry;
+    }
+
+    get(provider, name) {
+        return this.lookup.get(`${provider}:${String(name).toLowerCase()}`) || null;
+    }
+
+    list(provider) {
+        return provider ? this.entries.filter(entry => entry.provider === provider) : [...this.entries];
+    }
+
+    providers() {
+        return [...new Set(this.entries.map(entry => entry.provider))];
+    }
+
+    // The entry marked "default" for the tier, otherwise the first one listed.
+    defaultModel(provider, tier = 'capable') {
+        const candidates = this.entries.filter(entry => entry.provider === provider && entry.tier === tier);
+        return candidates.find(entry => entry.default) || candidates[0] || null;
+    }
+
+    // Looks a model up without a provider, as OpenAI-style clients send it: "provider/model" or a bare id or alias
+    // that only one provider uses.
+    find(name) {
+        const slash = String(name).indexOf('/');
+        if (slash > 0) {
+            return this.resolve(name.substring(0, slash), name.substring(slash + 1));
+        }
+        const matches = this.providers().map(provider => this.get(provider, name)).filter(Boolean);
+        if (!matches.length) {
+            throw new ModelNotFoundError(`Unknown model "${name}". Available models: ${this.entries.map(e => e.id).join(', ')}.`);
+        }
+        if (matches.length > 1) {
+            throw new ModelNotFoundError(`Model name "${name}" is ambiguous. Use one of: ${matches.map(e => `${e.provider}/${e.id}`).join(', ')}.`);
+        }
+        return matches[0];
+    }
+
+    // Without a model name the provider's default capable model is used.
+    resolve(provider, name) {
+        if (!this.providers().includes(provider)) {
+            throw new ModelNotFoundError(`Unknown model provider "${provider}". Available providers: ${this.providers().join(', ')}.`);
+        }
+        const entry = name ? this.get(provider, name) : this.defaultModel(provider) || this.list(provider)[0];
+        if (!entry) {
+            const known = this.list(provider).map(e => e.id).join(', ');
+            throw new ModelNotFoundError(`Unknown model "${name}" for provider "${provider}". Available models: ${known}.`);
+        }
+        return entry;
+    }
+}
+
+// MODEL_CATALOG holds an inline JSON array and MODEL_CATALOG_CONFIG a path to a JSON file with the same shape
+// as config/models.json, which is used when neither is set.
+function loadModelCatalogConfig(env = process.env) {
+    if (env.MODEL_CATALOG) {
+        return JSON.parse(env.MODEL_CATALOG);
+    }
+    return JSON.parse(readFileSync(env.MODEL_CATALOG_CONFIG || DEFAULT_CATALOG_PATH, 'utf8'));
+}
+
+function createModelCatalog(env = process.env, entries = loadModelCatalogConfig(env)) {
+    return new ModelCatalog(entries);
+}
+
+export {
+    ModelCatalog,
+    ModelNotFoundError,
+    createModelCatalog,
+    loadModelCatalogConfig,
+};
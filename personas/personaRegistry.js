@@ -0,0 +1,261 @@
+import { readFileSync, readdirSync, statSync, watch } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PromptTemplate } from '@langchain/core/prompts';
+import { normalizeSearchOptions } from '../search/searchOptions.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'PersonaRegistry' });
+
+const DEFAULT_PERSONAS_PATH = fileURLToPath(new URL('../config/personas.json', import.meta.url));
+const OUTPUT_FORMATS = ['prose', 'bullets', 'json'];
+const SEARCH_POLICIES = ['auto', 'always', 'never'];
+
+// What a persona that leaves a prompt out gets; config/personas.json spells the same prompts out.
+const DEFAULT_PROMPTS = {
+    systemPrompt: "You are a helpful AI assistant. Respond directly to the user's question.",
+    ragPrompt:
+        "You are a helpful AI assistant. Answer the user's questions truthfully and informatively based on the provided search context. " +
+        "Cite your sources clearly using the numbers from the context's Sources list, like [1], [2], next to the relevant information. Never cite a number that is not in the list. " +
+        "If the search context does not contain enough information to answer the question, state that you don't know.\n\n" +
+        "Search Context:\n\n{search_context}\n\n",
+    agentPrompt:
+        "You are a helpful AI assistant with access to web search tools. " +
+        "Use them when the question needs current, specific or verifiable information; you may search several times with refined queries. " +
+        "Do not search for things you can answer reliably on your own. " +
+        "When you use search results, cite them using the numbers from their Sources lists, like [1], [2], next to the relevant information. Never cite a number that is not in a list.",
+    errorFallbackPrompt:
+        "I'm very sorry, but I encountered an internal error while processing your request. Please try again or rephrase your question. (Original user query: {original_query})",
+};
+
+// The prompts that are templates, with the variables each must use; they may use no others. The system and
+// agent prompts are plain text.
+const TEMPLATE_VARIABLES = {
+    ragPrompt: ['search_context'],
+    errorFallbackPrompt: ['original_query'],
+};
+
+class PersonaNotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PersonaNotFoundError';
+    }
+}
+
+class InvalidPersonaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidPersonaError';
+    }
+}
+
+function checkTemplate(id, field, template) {
+    let variables;
+    try {
+        variables = PromptTemplate.fromTemplate(template).inputVariables;
+    } catch (error) {
+        throw new InvalidPersonaError(`Persona "${id}": ${field} is not a valid template (${error.message}). Write literal braces as {{ and }}.`);
+    }
+    const required = TEMPLATE_VARIABLES[field];
+    const missing = required.filter(variable => !variables.includes(variable));
+    if (missing.length) {
+        throw new InvalidPersonaError(`Persona "${id}": ${field} must contain ${missing.map(variable => `{${variable}}`).join(', ')}.`);
+    }
+    const unknown = variables.filter(variable => !required.includes(variable));
+    if (unknown.length) {
+        throw new InvalidPersonaError(`Persona "${id}": ${field} uses unknown variables ${unknown.map(variable => `{${variable}}`).join(', ')}; write literal braces as {{ and }}.`);
+    }
+}
+
+// Fills in the defaults and rejects anything a request could fail on later: broken or incomplete templates,
+// unknown formats and policies, invalid search options and (given a catalog) models it doesn't list.
+function normalizePersona(raw, modelCatalog = null) {
+    if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(raw.id)) {
+        throw new InvalidPersonaError(`Persona needs an "id" of 1-64 letters, digits, "-" or "_": ${JSON.stringify(raw)?.substring(0, 100)}`);
+    }
+    const id = raw.id;
+    const persona = { id, label: raw.label || id, description: raw.description || '', default: raw.default === true };
+    for (const [field, fallback] of Object.entries(DEFAULT_PROMPTS)) {
+        const prompt = raw[field] ?? fallback;
+        if (typeof prompt !== 'string' || !prompt.trim()) {
+            throw new InvalidPersonaError(`Persona "${id}": ${field} must be a non-empty string.`);
+        }
+        if (TEMPLATE_VARIABLES[field]) {
+            checkTemplate(id, field, prompt);
+        }
+        persona[field] = prompt;
+    }
+    if (raw.language !== undefined && raw.language !== null && (typeof raw.language !== 'string' || !raw.language.trim())) {
+        throw new InvalidPersonaError(`Persona "${id}": language must be a language name, e.g. "German".`);
+    }
+    persona.language = raw.language?.trim() || null;
+    persona.outputFormat = raw.outputFormat || 'prose';
+    if (!OUTPUT_FORMATS.includes(persona.outputFormat)) {
+        throw new InvalidPersonaError(`Persona "${id}": outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}.`);
+    }
+    if (persona.outputFormat === 'json' && (!raw.jsonSchema || typeof raw.jsonSchema !== 'object' || Array.isArray(raw.jsonSchema))) {
+        throw new InvalidPersonaError(`Persona "${id}": outputFormat "json" needs a "jsonSchema" object.`);
+    }
+    persona.jsonSchema = persona.outputFormat === 'json' ? raw.jsonSchema : null;
+    if (raw.temperature !== undefined && raw.temperature !== null && !(typeof raw.temperature === 'number' && raw.temperature >= 0 && raw.temperature <= 2)) {
+        throw new InvalidPersonaError(`Persona "${id}": temperature must be a number between 0 and 2.`);
+    }
+    persona.temperature = raw.temperature ?? null;
+    persona.model = raw.model || null;
+    if (persona.model && modelCatalog) {
+        try {
+            modelCatalog.find(persona.model);
+        } catch (error) {
+            throw new InvalidPersonaError(`Persona "${id}": ${error.message}`);
+        }
+    }
+    persona.search = raw.search || 'auto';
+    if (!SEARCH_POLICIES.includes(persona.search)) {
+        throw new InvalidPersonaError(`Persona "${id}": search must be one of: ${SEARCH_POLICIES.join(', ')}.`);
+    }
+    try {
+        persona.searchOptions = normalizeSearchOptions(raw.searchOptions || {});
+    } catch (error) {
+        throw new InvalidPersonaError(`Persona "${id}": ${error.message}`);
+    }
+    return persona;
+}
+
+// Instructions added to a persona's system prompts for its answer language and output format. Research reports
+// are always Markdown, so they only take the language (`format: false`).
+function personaInstructions(persona, { format = true } = {}) {
+    const instructions = [];
+    if (persona.language) {
+        instructions.push(`Always answer in ${persona.language}, whatever the language of the question or the sources.`);
+    }
+    if (format && persona.outputFormat === 'bullets') {
+        instructions.push("Format the answer as a bulleted list of short points, with no introduction or closing remarks.");
+    }
+    if (format && persona.outputFormat === 'json') {
+        instructions.push(
+            "Answer with a single JSON object that matches the JSON schema below, and nothing else: no Markdown code fences and no text around it. " +
+            "Keep citations like [1] inside the string values.\n\n" + JSON.stringify(persona.jsonSchema)
+        );
+    }
+    return instructions.join('\n\n') || null;
+}
+
+// Personas by id. One is the default, for requests that don't choose: the one marked "default", else the one
+// with the id "default", else the first. Without any personas the registry has just the built-in default.
+// A registry loaded from files (see createPersonaRegistry) can reload them, and watch them for changes.
+class PersonaRegistry {
+    constructor(personas = [], { modelCatalog = null, configPath = null } = {}) {
+        this.modelCatalog = modelCatalog;
+        this.configPath = configPath;
+        this.watcher = null;
+        this.replace(personas);
+    }
+
+    // Validates every persona before swapping them in, so an invalid config leaves the current ones in place.
+    replace(rawPersonas) {
+        const personas = new Map();
+        for (const raw of rawPersonas.length ? rawPersonas : [{ id: 'default' }]) {
+            const persona = normalizePersona(raw, this.modelCatalog);
+            if (personas.has(persona.id)) {
+                throw new InvalidPersonaError(`Persona "${persona.id}" is defined twice.`);
+            }
+            personas.set(persona.id, persona);
+        }
+        const all = [...personas.values()];
+        if (all.filter(persona => persona.default).length > 1) {
+            throw new InvalidPersonaError(`Only one persona can be the default: ${all.filter(persona => persona.default).map(persona => persona.id).join(', ')}.`);
+        }
+        this.personas = personas;
+        this.defaultId = (all.find(persona => persona.default) || personas.get('default') || all[0]).id;
+    }
+
+    // Without an id, the default persona.
+    get(id = null) {
+        const persona = this.personas.get(id ?? this.defaultId);
+        if (!persona) {
+            throw new PersonaNotFoundError(`Unknown persona "${id}". Available personas: ${[...this.personas.keys()].join(', ')}.`);
+        }
+        return persona;
+    }
+
+    list() {
+        return [...this.personas.values()].map(persona => ({ ...persona, default: persona.id === this.defaultId }));
+    }
+
+    // Re-reads the config files; throws (keeping the current personas) if they are invalid.
+    reload() {
+        if (!this.configPath) {
+            throw new Error('These personas were not loaded from a file, so there is nothing to reload.');
+        }
+        this.replace(readPersonaFiles(this.configPath));
+        log.info('Personas reloaded', { path: this.configPath, personas: this.personas.size });
+        return this.list();
+    }
+
+    // Reloads the personas whenever their config file (or a file in their config directory) changes. Editors
+    // often save by replacing the file, so the directory is watched rather than the file itself.
+    watch({ debounceMs = 250 } = {}) {
+        if (!this.configPath || this.watcher) {
+            return this;
+        }
+        const isDirectory = statSync(this.configPath).isDirectory();
+        const directory = isDirectory ? this.configPath : path.dirname(this.configPath);
+        const fileName = isDirectory ? null : path.basename(this.configPath);
+        let timer = null;
+        this.watcher = watch(directory, (event, changed) => {
+            if (fileName && changed && changed !== fileName) {
+                return;
+            }
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                try {
+                    this.reload();
+                } catch (error) {
+                    log.error('Persona config is invalid, keeping the previous personas', { path: this.configPath, error });
+                }
+            }, debounceMs);
+        });
+        this.watcher.unref();
+        log.info('Watching personas for changes', { path: this.configPath });
+        return this;
+    }
+
+    close() {
+        this.watcher?.close();
+        this.watcher = null;
+    }
+}
+
+// A JSON file holding one persona or an array of them, or a directory of such files.
+function readPersonaFiles(configPath) {
+    const files = statSync(configPath).isDirectory()
+        ? readdirSync(configPath).filter(name => name.endsWith('.json')).sort().map(name => path.join(configPath, name))
+        : [configPath];
+    return files.flatMap(file => {
+        let parsed;
+        try {
+            parsed = JSON.parse(readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new InvalidPersonaError(`Persona file ${file} is not valid JSON: ${error.message}`);
+        }
+        return Array.isArray(parsed) ? parsed : [parsed];
+    });
+}
+
+// PERSONAS holds an inline JSON array, PERSONAS_CONFIG a path to a JSON file (or a directory of them) with the
+// same shape as config/personas.json, which is used when neither is set. Only personas from files can reload.
+function createPersonaRegistry(env = process.env, { modelCatalog = null } = {}) {
+    if (env.PERSONAS) {
+        return new PersonaRegistry(JSON.parse(env.PERSONAS), { modelCatalog });
+    }
+    const configPath = path.resolve(env.PERSONAS_CONFIG || DEFAULT_PERSONAS_PATH);
+    return new PersonaRegistry(readPersonaFiles(configPath), { modelCatalog, configPath });
+}
+
+export {
+    PersonaRegistry,
+    PersonaNotFoundError,
+    InvalidPersonaError,
+    createPersonaRegistry,
+    personaInstructions,
+};
@@ -0,0 +1,339 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { normalizeSearchOptions } from '../search/searchOptions.js';
+import { allowsPersona } from '../middleware/auth.js';
+
+const MESSAGE_ROLES = ['system', 'developer', 'user', 'assistant'];
+const SEARCH_OPTION_FIELDS = {
+    include_domains: 'includeDomains',
+    exclude_domains: 'excludeDomains',
+    recency: 'recency',
+    country: 'country',
+    language: 'language',
+    context_size: 'contextSize',
+    max_sources: 'maxSources',
+};
+
+// Errors in the shape OpenAI's SDKs parse: { error: { message, type, param, code } }.
+function sendError(res, status, message, { type = 'invalid_request_error', param = null, code = null } = {}) {
+    return res.status(status).json({ error: { message, type, param, code } });
+}
+
+// Message content is a string or an array of content parts; only text parts are supported.
+function contentText(content) {
+    if (content === null || content === undefined) {
+        return '';
+    }
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (Array.isArray(content) && content.every(part => part?.type === 'text' && typeof part.text === 'string')) {
+        return content.map(part => part.text).join('');
+    }
+    return null;
+}
+
+// Splits an OpenAI `messages` array into what processMessage takes: the last user message is the query,
+// earlier user/assistant turns the history, and system/developer messages extra instructions.
+// Returns { message, history, instructions } or { error, param }.
+function parseMessages(messages) {
+    if (!Array.isArray(messages) || !messages.length) {
+        return { error: "'messages' must be a non-empty array.", param: 'messages' };
+    }
+    const history = [];
+    const instructions = [];
+    for (const [i, message] of messages.entries()) {
+        if (!MESSAGE_ROLES.includes(message?.role)) {
+            return { error: `messages[${i}].role must be one of ${MESSAGE_ROLES.join(', ')}; tool messages are not supported.`, param: `messages[${i}].role` };
+        }
+        const text = contentText(message.content);
+        if (text === null) {
+            return { error: `messages[${i}].content must be a string or an array of text parts.`, param: `messages[${i}].content` };
+        }
+        if (message.role === 'system' || message.role === 'developer') {
+            instructions.push(text);
+        } else {
+            history.push({ role: message.role, content: text });
+        }
+    }
+    const last = history.pop();
+    if (last?.role !== 'user' || messages[messages.length - 1].role !== 'user' || !last.content) {
+        return { error: 'The last message must be a non-empty user message.', param: 'messages' };
+    }
+    return { message: last.content, history, instructions: instructions.join('\n\n') || null };
+}
+
+// The `search_options` extension field, in snake_case, as the agent's searchOptions (see search/searchOptions.js).
+// Returns { searchOptions } or { error }, with the error naming the snake_case field.
+function parseSearchOptions(value) {
+    if (value === undefined || value === null) {
+        return { searchOptions: undefined };
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { error: "'search_options' must be an object." };
+    }
+    const unknown = Object.keys(value).find(key => !SEARCH_OPTION_FIELDS[key]);
+    if (unknown) {
+        return { error: `search_options.${unknown} is not a known search option.` };
+    }
+    const searchOptions = Object.fromEntries(Object.entries(value).map(([key, option]) => [SEARCH_OPTION_FIELDS[key], option]));
+    try {
+        normalizeSearchOptions(searchOptions);
+    } catch (error) {
+        const message = Object.entries(SEARCH_OPTION_FIELDS).reduce((text, [key, field]) => text.replaceAll(`searchOptions.${field}`, `search_options.${key}`), error.message);
+        return { error: message };
+    }
+    return { searchOptions };
+}
+
+// Reads the stream of agent events into what a completion reports: the answer, search details for the
+// `search` extension field, token usage and any error.
+class CompletionCollector {
+    constructor() {
+        this.content = '';
+        this.queries = [];
+        this.sources = [];
+        this.citations = [];
+        this.verification = null;
+        this.usage = null;
+        this.error = null;
+        this.cancelled = false;
+    }
+
+    // Returns the text delta carried by the event, if any.
+    add(event) {
+        switch (event.type) {
+            case 'chunk':
+                this.content += event.data;
+                return event.data;
+            case 'metadata':
+                if (event.data.usedSearch) {
+                    this.queries.push(...(event.data.subQueries?.length ? event.data.subQueries : [event.data.searchQuery]).filter(Boolean));
+                    this.sources.push(...event.data.searchSources);
+                }
+                break;
+            case 'tool_call':
+                if (event.data.args?.query) {
+                    this.queries.push(event.data.args.query);
+                }
+                break;
+            case 'tool_result':
+                this.sources.push(...event.data.sources);
+                break;
+            case 'citations':
+                this.citations = event.data.citations.map(({ index, occurrences }) => ({ index, occurrences }));
+                break;
+            case 'verification':
+                this.verification = event.data;
+                break;
+            case 'usage':
+                this.usage = event.data;
+                break;
+            case 'error':
+                this.error = event.data;
+                break;
+            case 'cancelled':
+                this.cancelled = true;
+                break;
+        }
+        return null;
+    }
+
+    search() {
+        return { used: this.queries.length > 0, queries: this.queries, sources: this.sources, citations: this.citations, verification: this.verification };
+    }
+
+    openAIUsage() {
+        if (!this.usage) {
+            return null;
+        }
+        return { prompt_tokens: this.usage.promptTokens, completion_tokens: this.usage.completionTokens, total_tokens: this.usage.totalTokens };
+    }
+}
+
+// An OpenAI-compatible facade over LangChainChatAgent, so OpenAI SDKs and tools can use this server by changing
+// their base URL. Requests are stateless (the caller sends the whole conversation) but still go through the
+// agent's web search; the sources used are returned in a `search` field next to the standard ones.
+function createOpenAICompatRouter({ chatAgent, authenticate, limitRequests, limitStreams, usageStore, usageBudgets, activeRequests, maxMessageLength, defaultMode = 'agent' }) {
+    const router = express.Router();
+
+    router.post('/chat/completions', authenticate, limitStreams, async (req, res) => {
+        const body = req.body || {};
+        const parsed = parseMessages(body.messages);
+        if (parsed.error) {
+            return sendError(res, 400, parsed.error, { param: parsed.param });
+        }
+        if (parsed.message.length > maxMessageLength) {
+            return sendError(res, 413, `Message is too long (${parsed.message.length} characters, the limit is ${maxMessageLength}).`, { param: 'messages', code: 'message_too_long' });
+        }
+        if (typeof body.model !== 'string' || !body.model) {
+            return sendError(res, 400, "'model' is required.", { param: 'model' });
+        }
+        if (body.temperature !== undefined && body.temperature !== null && !(typeof body.temperature === 'number' && body.temperature >= 0 && body.temperature <= 2)) {
+            return sendError(res, 400, "'temperature' must be a number between 0 and 2.", { param: 'temperature' });
+        }
+        const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+        if (maxTokens !== undefined && maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+            return sendError(res, 400, "'max_tokens' must be a positive integer.", { param: 'max_tokens' });
+        }
+        if (body.n !== undefined && body.n !== null && body.n !== 1) {
+            return sendError(res, 400, "Only n=1 is supported.", { param: 'n' });
+        }
+        if (body.tools?.length || body.functions?.length) {
+            return sendError(res, 400, "Client-side tools are not supported; the server runs its own web search tools.", { param: 'tools' });
+        }
+        for (const flag of ['deep_read', 'verify']) {
+            if (body[flag] !== undefined && typeof body[flag] !== 'boolean') {
+                return sendError(res, 400, `'${flag}' must be true or false.`, { param: flag });
+            }
+        }
+        const search = parseSearchOptions(body.search_options);
+        if (search.error) {
+            return sendError(res, 400, search.error, { param: 'search_options' });
+        }
+        const mode = body.mode || defaultMode;
+        if (!['agent', 'rules', 'research'].includes(mode)) {
+            return sendError(res, 400, "'mode' must be \"agent\", \"rules\" or \"research\".", { param: 'mode' });
+        }
+
+        if (body.persona !== undefined && body.persona !== null && typeof body.persona !== 'string') {
+            return sendError(res, 400, "'persona' must be a persona id.", { param: 'persona' });
+        }
+
+        let modelEntry;
+        try {
+            modelEntry = chatAgent.findModel(body.model);
+        } catch (error) {
+            return sendError(res, 404, error.message, { param: 'model', code: 'model_not_found' });
+        }
+
+        let persona;
+        try {
+            persona = chatAgent.personas.get(body.persona ?? req.auth.defaultPersona);
+        } catch (error) {
+            return sendError(res, 400, error.message, { param: 'persona', code: 'persona_not_found' });
+        }
+        if (!allowsPersona(req.auth, persona.id)) {
+            return sendError(res, 403, `This API key may not use persona "${persona.id}".`, { type: 'permission_error', param: 'persona' });
+        }
+
+        const userId = req.auth.userId;
+        const budgetCheck = await usageBudgets.check(usageStore, userId);
+        if (!budgetCheck.allowed) {
+            return sendError(res, 402, budgetCheck.reason, { type: 'insufficient_quota', code: 'insufficient_quota' });
+        }
+
+        const stream = body.stream === true;
+        const requestId = randomUUID();
+        const id = `chatcmpl-${requestId}`;
+        const created = Math.floor(Date.now() / 1000);
+        const model = modelEntry.id;
+        const collector = new CompletionCollector();
+        const writeChunk = (delta, finishReason = null, extra = {}) => res.write(`data: ${JSON.stringify({
+            id, object: 'chat.completion.chunk', created, model, system_fingerprint: null,
+            choices: [{ index: 0, delta, logprobs: null, finish_reason: finishReason }],
+            ...extra
+        })}\n\n`);
+
+        res.setHeader('X-Request-Id', requestId);
+        req.requestId = requestId;
+        if (stream) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            writeChunk({ role: 'assistant', content: '' });
+        }
+
+        // As for /chat: a disconnect, or POST /chat/:requestId/cancel for a stream, aborts the request.
+        const controller = new AbortController();
+        let clientGone = false;
+        activeRequests.set(requestId, { controller, userId });
+        res.on('close', () => {
+            activeRequests.delete(requestId);
+            if (!res.writableFinished) {
+                clientGone = true;
+                controller.abort(new Error('Client disconnected.'));
+            }
+        });
+
+        const options = {
+            mode,
+            persona: persona.id,
+            deepRead: body.deep_read,
+            verify: body.verify,
+            searchOptions: search.searchOptions,
+            userId,
+            requestId,
+            signal: controller.signal,
+            traceparent: req.get('traceparent'),
+            history: parsed.history,
+            persist: false,
+            instructions: parsed.instructions,
+            modelOptions: { temperature: body.temperature, maxTokens },
+        };
+        try {
+            for await (const line of chatAgent.processMessage(parsed.message, modelEntry.provider, modelEntry.id, body.force_search === true, options)) {
+                if (clientGone) {
+                    req.log.info('Client disconnected during completion', { requestId });
+                    break;
+                }
+                const delta = collector.add(JSON.parse(line));
+                if (stream && delta) {
+                    writeChunk({ content: delta });
+                }
+            }
+        } catch (error) {
+            req.log.error('Chat completions endpoint error', { requestId, error });
+            collector.error = error.message || 'An unknown error occurred.';
+        } finally {
+            activeRequests.delete(requestId);
+        }
+
+        if (res.writableEnded || clientGone) {
+            return;
+        }
+        // An answer cut short by an error is reported as a failure, never as a complete ("stop") one.
+        const failed = collector.cancelled || Boolean(collector.error);
+        const errorMessage = collector.cancelled ? 'The request was cancelled.' : collector.error;
+        if (stream) {
+            if (failed) {
+                res.write(`data: ${JSON.stringify({ error: { message: errorMessage, type: 'server_error', param: null, code: collector.cancelled ? 'request_cancelled' : null } })}\n\n`);
+            } else {
+                writeChunk({}, 'stop', { search: collector.search() });
+                if (body.stream_options?.include_usage) {
+                    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, system_fingerprint: null, choices: [], usage: collector.openAIUsage() })}\n\n`);
+                }
+            }
+            res.write('data: [DONE]\n\n');
+            return res.end();
+        }
+        if (failed) {
+            return sendError(res, 502, errorMessage, { type: 'server_error' });
+        }
+        res.json({
+            id,
+            object: 'chat.completion',
+            created,
+            model,
+            system_fingerprint: null,
+            choices: [{ index: 0, message: { role: 'assistant', content: collector.content, refusal: null }, logprobs: null, finish_reason: 'stop' }],
+            usage: collector.openAIUsage(),
+            search: collector.search(),
+        });
+    });
+
+    // Only models that can be used on this deployment. Ids are accepted by /v1/chat/completions as they are;
+    // "provider/alias" works too.
+    router.get('/models', authenticate, limitRequests, (req, res) => {
+        res.json({
+            object: 'list',
+            data: chatAgent.listModels()
+                .filter(entry => entry.available)
+                .map(entry => ({ id: entry.id, object: 'model', created: 0, owned_by: entry.provider })),
+        });
+    });
+
+    return router;
+}
+
+export { createOpenAICompatRouter };
@@ -0,0 +1,57 @@
+// Measures search-decision strategies against the labeled queries in fixtures/searchDecisions.json.
+// The heuristic always runs offline; "llm" and "hybrid" also run when OPENAI_API_KEY is set.
+//
+//   npm run eval:search-decision
+//   npm run eval:search-decision -- --strategies=heuristic --verbose
+import { readFileSync } from 'fs';
+import dotenv from 'dotenv';
+import { ChatOpenAI } from "@langchain/openai";
+import { createSearchDecisionStrategy, HeuristicSearchDecision } from '../search/searchDecision.js';
+
+dotenv.config();
+
+const fixtures = JSON.parse(readFileSync(new URL('../fixtures/searchDecisions.json', import.meta.url), 'utf8'));
+const args = Object.fromEntries(process.argv.slice(2).map(arg => arg.replace(/^--/, '').split('=')));
+const verbose = 'verbose' in args;
+const now = () => new Date(fixtures.referenceDate);
+
+const llm = process.env.OPENAI_API_KEY
+    ? new ChatOpenAI({ apiKey: process.env.OPENAI_API_KEY, model: "gpt-3.5-turbo", temperature: 0 })
+    : null;
+const strategyNames = args.strategies ? args.strategies.split(',') : (llm ? ['heuristic', 'llm', 'hybrid'] : ['heuristic']);
+if (!llm && strategyNames.some(name => name !== 'heuristic')) {
+    console.error('The "llm" and "hybrid" strategies need OPENAI_API_KEY.');
+    process.exit(1);
+}
+
+for (const name of strategyNames) {
+    // The hybrid's heuristic needs the fixtures' date too, or its recency scoring follows the real clock.
+    const strategy = createSearchDecisionStrategy(name, name === 'hybrid'
+        ? { now, heuristic: new HeuristicSearchDecision({ now }), classifier: createSearchDecisionStrategy('llm', { now }) }
+        : { now });
+    const counts = { tp: 0, fp: 0, tn: 0, fn: 0 };
+    const mistakes = [];
+
+    for (const testCase of fixtures.cases) {
+        const decision = await strategy.decide(testCase.query, { history: testCase.history || [], llm });
+        const key = decision.needsSearch
+            ? (testCase.expected ? 'tp' : 'fp')
+            : (testCase.expected ? 'fn' : 'tn');
+        counts[key]++;
+        if (decision.needsSearch !== testCase.expected) {
+            mistakes.push({ ...testCase, decision });
+        }
+    }
+
+    const total = fixtures.cases.length;
+    const precision = counts.tp / ((counts.tp + counts.fp) || 1);
+    const recall = counts.tp / ((counts.tp + counts.fn) || 1);
+    console.log(`\n${name}: accuracy ${((counts.tp + counts.tn) / total * 100).toFixed(1)}% ` +
+        `(precision ${(precision * 100).toFixed(1)}%, recall ${(recall * 100).toFixed(1)}%) ` +
+        `- ${counts.tp} TP, ${counts.fp} FP, ${counts.tn} TN, ${counts.fn} FN`);
+    if (verbose) {
+        for (const mistake of mistakes) {
+            console.log(`  [${mistake.category}] expected ${mistake.expected ? 'search' : 'no search'}: "${mistake.query}" (${mistake.decision.reason})`);
+        }
+    }
+}
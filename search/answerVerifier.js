@@ -0,0 +1,94 @@
+import { z } from "zod";
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { CITATION_MARKER_PATTERN } from "./citations.js";
+
+// Sentences that state no fact of their own: questions, offers, and admissions that the context was not enough.
+const NON_CLAIM_PATTERN = /\?$|^(i (don't|do not|couldn't|could not|can't|cannot) (know|find)|let me know|i hope|feel free|if you (have|need|want)|in summary,?$|sources?:)/i;
+
+const VERIFY_PROMPT = ChatPromptTemplate.fromMessages([
+    ["system",
+        "You check whether an AI assistant's answer is supported by the search results it was given. " +
+        "For every numbered claim decide, using only the search context below and not your own knowledge: " +
+        "\"supported\" if the context states or directly implies it, \"contradicted\" if the context says otherwise, " +
+        "\"unsupported\" if the context doesn't settle it. Give your confidence in each verdict (0-1), the numbers of the " +
+        "sources ([n]) it rests on, and one short sentence on what the context says.\n\n" +
+        "Search context:\n\n{search_context}"
+    ],
+    ["human", "Claims:\n{claims}"]
+]);
+
+const VERDICT_SCHEMA = z.object({
+    verdicts: z.array(z.object({
+        claim: z.number().int().describe("The claim's number."),
+        verdict: z.enum(["supported", "unsupported", "contradicted"]),
+        confidence: z.number().min(0).max(1).describe("How sure you are of the verdict."),
+        sourceIndices: z.array(z.number().int()).describe("Numbers of the sources the verdict rests on."),
+        explanation: z.string().describe("One short sentence on what the context says about the claim."),
+    })),
+});
+
+// Splits an answer into checkable claims: one per sentence (or list item) that states something, with its
+// [n] citation markers removed from the text and kept as `citedIndices`.
+function splitClaims(answer) {
+    const claims = [];
+    const lines = answer.split(/\n+/).map(line => line.replace(/^\s*(#{1,6}\s+|[-*•]\s+|\d+[.)]\s+|>\s*)/, '').trim()).filter(Boolean);
+    for (const line of lines) {
+        // Sentences end at . ! or ? (plus any citation markers) followed by whitespace, so "33.9" stays whole.
+        for (const sentence of line.split(/(?<=[.!?](?:\s*\[\d+(?:\s*,\s*\d+)*\])*)\s+/)) {
+            const citedIndices = [...sentence.matchAll(CITATION_MARKER_PATTERN)].flatMap(match => match[1].split(',').map(n => parseInt(n, 10)));
+            const text = sentence.replace(CITATION_MARKER_PATTERN, '').replace(/\s+([.,;:!?])/g, '$1').replace(/\*\*|__|`/g, '').trim();
+            if (text.split(/\s+/).length < 4 || NON_CLAIM_PATTERN.test(text)) {
+                continue;
+            }
+            claims.push({ text, citedIndices: [...new Set(citedIndices)] });
+        }
+    }
+    return claims;
+}
+
+// Post-generation check of a search-backed answer: each claim is judged against the search context by a (fast)
+// model. Resolves to the `verification` event's data:
+// { status: "verified", confidence, supported, unsupported, contradicted, claimsChecked, claimsSkipped }, where the
+// three lists hold { text, citedIndices, confidence, sourceIndices, explanation } and `confidence` (0-1) is the
+// share of claims supported, weighted by the checker's confidence in each verdict.
+class AnswerVerifier {
+    constructor({ maxClaims = 15, maxContextTokens = 6000 } = {}) {
+        this.maxClaims = maxClaims;
+        this.maxContextTokens = maxContextTokens;
+    }
+
+    async verify(answer, searchContext, { llm, callbacks, signal } = {}) {
+        const allClaims = splitClaims(answer);
+        const claims = allClaims.slice(0, this.maxClaims);
+        const result = { status: "verified", confidence: 1, supported: [], unsupported: [], contradicted: [], claimsChecked: claims.length, claimsSkipped: allClaims.length - claims.length };
+        if (!claims.length) {
+            return result;
+        }
+
+        const messages = await VERIFY_PROMPT.formatMessages({
+            search_context: searchContext.substring(0, this.maxContextTokens * 4),
+            claims: claims.map((claim, i) => `${i + 1}. ${claim.text}`).join('\n'),
+        });
+        const { verdicts } = await llm.withStructuredOutput(VERDICT_SCHEMA, { name: "claim_verdicts" }).invoke(messages, { callbacks, signal, tags: ["verification"] });
+
+        const verdictsByClaim = new Map(verdicts.map(verdict => [verdict.claim, verdict]));
+        let supportedWeight = 0;
+        claims.forEach((claim, i) => {
+            // A claim the checker skipped counts as unsupported: nobody vouched for it.
+            const verdict = verdictsByClaim.get(i + 1) || { verdict: "unsupported", confidence: 0, sourceIndices: [], explanation: "Not assessed by the checker." };
+            result[verdict.verdict].push({
+                ...claim,
+                confidence: verdict.confidence,
+                sourceIndices: verdict.sourceIndices,
+                explanation: verdict.explanation,
+            });
+            if (verdict.verdict === "supported") {
+                supportedWeight += verdict.confidence;
+            }
+        });
+        result.confidence = Math.round(supportedWeight / claims.length * 100) / 100;
+        return result;
+    }
+}
+
+export { AnswerVerifier, splitClaims };
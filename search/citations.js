@@ -0,0 +1,114 @@
+// Normalized source objects and [n] citation handling shared by every search provider and both chat modes.
+
+const CITATION_MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+function domainOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '') || null;
+    } catch {
+        return null;
+    }
+}
+
+// Accepts a bare URL or any provider-specific hit ({ url | uri, title, snippet | content | description, date | ... })
+// and returns { index, url, title, snippet, domain, publishedAt }. A hit's own `domain` wins over the URL's.
+function normalizeSource(raw, index) {
+    const source = typeof raw === 'string' ? { url: raw } : (raw || {});
+    const url = source.url || source.uri || null;
+    const domain = source.domain || domainOf(url);
+    return {
+        index,
+        url,
+        title: source.title || domain || 'Untitled Source',
+        snippet: source.snippet || source.content || source.description || '',
+        domain,
+        publishedAt: source.publishedAt || source.published_date || source.date || source.page_age || null,
+    };
+}
+
+// Order is preserved (not deduplicated) because providers like Perplexity already number their answer against it.
+function normalizeSources(rawSources = []) {
+    return rawSources.map((raw, i) => normalizeSource(raw, i + 1));
+}
+
+// Rewrites every [n] marker through mapIndex(n); numbers it maps to null are dropped (and empty markers removed).
+function remapCitations(text, mapIndex) {
+    return text.replace(CITATION_MARKER_PATTERN, (match, numbers) => {
+        const mapped = numbers.split(',').map(n => mapIndex(parseInt(n, 10))).filter(n => n !== null && n !== undefined);
+        return mapped.length ? `[${[...new Set(mapped)].join(', ')}]` : '';
+    });
+}
+
+function renumberCitations(text, offset) {
+    return offset ? remapCitations(text, n => n + offset) : text;
+}
+
+// Text handed to the answering model: the provider's content followed by the numbered source list it should cite.
+// `offset` shifts the numbering so results from several searches in one answer don't collide.
+function formatSearchContext(searchResult, offset = 0) {
+    const content = renumberCitations(searchResult.content || '', offset);
+    const sourceList = (searchResult.sources || [])
+        .map(s => {
+            const heading = `[${s.index + offset}] ${s.title}${s.publishedAt ? ` (${s.publishedAt})` : ''}`;
+            return [heading, s.url, s.snippet].filter(Boolean).join('\n');
+        })
+        .join('\n\n');
+    return [content, sourceList && `Sources:\n${sourceList}`].filter(Boolean).join('\n\n') || 'No results found.';
+}
+
+// A Markdown "Sources" section listing the numbered sources, for reports that cite them as [n].
+function formatBibliography(sources) {
+    const entries = sources.map(s => {
+        const title = s.title.replace(/[[\]]/g, '\\$&');
+        const details = [s.domain, s.publishedAt].filter(Boolean).join(', ');
+        return `${s.index}. ${s.url ? `[${title}](${s.url})` : title}${details ? ` (${details})` : ''}`;
+    });
+    return `## Sources\n\n${entries.join('\n')}`;
+}
+
+// Maps every [n] (or [n, m]) marker in the answer to its source and flags numbers that reference nothing.
+function buildCitationReport(answer, sources) {
+    const sourcesByIndex = new Map(sources.map(s => [s.index, s]));
+    const markers = [];
+    const counts = new Map();
+    const invalidIndices = new Set();
+
+    for (const match of answer.matchAll(CITATION_MARKER_PATTERN)) {
+        const sourceIndices = match[1].split(',').map(n => parseInt(n, 10));
+        markers.push({
+            text: match[0],
+            start: match.index,
+            end: match.index + match[0].length,
+            sourceIndices,
+            valid: sourceIndices.every(i => sourcesByIndex.has(i))
+        });
+        for (const index of sourceIndices) {
+            if (sourcesByIndex.has(index)) {
+                counts.set(index, (counts.get(index) || 0) + 1);
+            } else {
+                invalidIndices.add(index);
+            }
+        }
+    }
+
+    return {
+        markers,
+        citations: [...counts.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([index, occurrences]) => ({ index, occurrences, source: sourcesByIndex.get(index) })),
+        invalidIndices: [...invalidIndices].sort((a, b) => a - b),
+        uncitedIndices: sources.map(s => s.index).filter(i => !counts.has(i))
+    };
+}
+
+export {
+    CITATION_MARKER_PATTERN,
+    domainOf,
+    normalizeSource,
+    normalizeSources,
+    remapCitations,
+    renumberCitations,
+    formatSearchContext,
+    formatBibliography,
+    buildCitationReport,
+};
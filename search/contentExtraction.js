@@ -0,0 +1,93 @@
+import { decodeEntities } from './text.js';
+
+// Elements that hold navigation, page chrome or code rather than the page's own text.
+const BOILERPLATE_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'figure'];
+const BLOCK_ELEMENTS = 'p|div|li|ul|ol|dl|dt|dd|h[1-6]|section|article|main|blockquote|pre|table|tr|td|th|caption';
+
+class UnsupportedContentError extends Error {
+    constructor(contentType) {
+        super(`Unsupported content type "${contentType || 'unknown'}".`);
+        this.name = 'UnsupportedContentError';
+    }
+}
+
+function metaContent(html, property) {
+    const tag = html.match(new RegExp(`<meta[^>]+(?:property|name)=["']${property}["'][^>]*>`, 'i'))?.[0];
+    return tag?.match(/content=["']([^"']*)["']/i)?.[1] || null;
+}
+
+// The page's main content: its largest <article>, else <main>, else <body>. Pages that mark their content this
+// way keep the menus and related-article lists out of it; the rest fall back to stripping boilerplate elements.
+function mainContent(html) {
+    for (const element of ['article', 'main']) {
+        const matches = [...html.matchAll(new RegExp(`<${element}\\b[^>]*>([\\s\\S]*?)</${element}>`, 'gi'))].map(match => match[1]);
+        const largest = matches.sort((a, b) => b.length - a.length)[0];
+        if (largest && largest.replace(/<[^>]+>/g, '').trim().length > 200) {
+            return largest;
+        }
+    }
+    return html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1] || html;
+}
+
+// Returns { title, text } with paragraphs separated by blank lines.
+function extractHtml(html) {
+    const title = metaContent(html, 'og:title') || html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || null;
+    let content = mainContent(html.replace(/<!--[\s\S]*?-->/g, ' '));
+    for (const element of BOILERPLATE_ELEMENTS) {
+        content = content.replace(new RegExp(`<${element}\\b[^>]*>[\\s\\S]*?</${element}>`, 'gi'), ' ');
+    }
+    const text = decodeEntities(content
+        .replace(new RegExp(`</?(${BLOCK_ELEMENTS})\\b[^>]*>`, 'gi'), '\n\n')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]+>/g, ' '));
+    return { title: title ? decodeEntities(title).replace(/\s+/g, ' ').trim() : null, text: normalizeParagraphs(text) };
+}
+
+// pdf.js is large, so it is only loaded once a PDF is actually read.
+async function extractPdf(data) {
+    const { getDocumentProxy, extractText } = await import('unpdf');
+    const pdf = await getDocumentProxy(new Uint8Array(data));
+    try {
+        const { text } = await extractText(pdf, { mergePages: false });
+        const metadata = await pdf.getMetadata().catch(() => null);
+        return { title: metadata?.info?.Title || null, text: normalizeParagraphs(text.join('\n\n')) };
+    } finally {
+        await pdf.loadingTask.destroy();
+    }
+}
+
+function normalizeParagraphs(text) {
+    return text
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+function charsetOf(contentType) {
+    const charset = contentType?.match(/charset=["']?([\w-]+)/i)?.[1];
+    try {
+        return new TextDecoder(charset || 'utf-8');
+    } catch {
+        return new TextDecoder('utf-8');
+    }
+}
+
+// Readable text from a fetched document, by its Content-Type header (sniffing PDFs and HTML when it is missing).
+// `data` is a Buffer. Resolves to { title, text }; throws UnsupportedContentError for anything else.
+async function extractContent(data, contentType = '') {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    if (type === 'application/pdf' || (!type && data.subarray(0, 5).toString('latin1') === '%PDF-')) {
+        return extractPdf(data);
+    }
+    const text = charsetOf(contentType).decode(data);
+    if (type === 'text/html' || type === 'application/xhtml+xml' || (!type && /<html[\s>]/i.test(text.substring(0, 2048)))) {
+        return extractHtml(text);
+    }
+    if (type === 'text/plain' || type === 'text/markdown') {
+        return { title: null, text: normalizeParagraphs(text) };
+    }
+    throw new UnsupportedContentError(type);
+}
+
+export { extractContent, extractHtml, extractPdf, UnsupportedContentError };
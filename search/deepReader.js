@@ -0,0 +1,331 @@
+import axios from 'axios';
+import { createHash } from 'crypto';
+import http from 'http';
+import https from 'https';
+import { promises as dns } from 'dns';
+import net from 'net';
+import { estimateTokens } from '../utils/tokens.js';
+import { extractContent, UnsupportedContentError } from './contentExtraction.js';
+import { RobotsPolicy } from './robots.js';
+import { tokenize } from './text.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_USER_AGENT = 'LangChainWebSearchBot/1.0';
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_DOCUMENT_CHARS = 200000;
+
+// Loopback, private, link-local and other non-public ranges, which search results must not make us fetch.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+    if (mapped) {
+        return PRIVATE_RANGES.check(mapped, 'ipv4');
+    }
+    return PRIVATE_RANGES.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Why a source could not be read: robots, private_host, timeout, too_large, http_<status>, unsupported_type,
+// empty or error.
+class SourceFetchError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'SourceFetchError';
+        this.reason = reason;
+    }
+}
+
+// Used as axios' DNS lookup, so the address checked is the one connected to.
+async function publicLookup(hostname) {
+    const addresses = await dns.lookup(hostname, { all: true });
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+        throw new SourceFetchError('private_host', `${hostname} resolves to a private address (${blocked.address}).`);
+    }
+    return addresses[0];
+}
+
+// Splits extracted text into passages of about `maxTokens`: short paragraphs are joined, long ones split at
+// sentence (or, failing that, word) boundaries.
+function splitPassages(text, maxTokens = 150) {
+    const maxChars = maxTokens * 4;
+    const pieces = [];
+    for (const paragraph of text.split(/\n\s*\n/)) {
+        if (paragraph.length <= maxChars) {
+            pieces.push(paragraph);
+            continue;
+        }
+        let current = '';
+        for (const sentence of paragraph.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [paragraph]) {
+            if (current && current.length + sentence.length > maxChars) {
+                pieces.push(current.trim());
+                current = '';
+            }
+            current += sentence;
+            while (current.length > maxChars) {
+                const cut = current.lastIndexOf(' ', maxChars) > 0 ? current.lastIndexOf(' ', maxChars) : maxChars;
+                pieces.push(current.substring(0, cut).trim());
+                current = current.substring(cut);
+            }
+        }
+        if (current.trim()) {
+            pieces.push(current.trim());
+        }
+    }
+    const passages = [];
+    for (const piece of pieces.filter(Boolean)) {
+        const last = passages[passages.length - 1];
+        if (last !== undefined && last.length + piece.length + 2 <= maxChars) {
+            passages[passages.length - 1] = `${last}\n\n${piece}`;
+        } else {
+            passages.push(piece);
+        }
+    }
+    return passages;
+}
+
+// Scores passages ({ text, ... }) against the query with BM25, treating each passage as a document.
+// Returns the passages that share a term with the query, best first, each with its `score`.
+function rankPassages(query, passages, { k1 = 1.2, b = 0.75 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const documents = passages.map(passage => {
+        const terms = tokenize(passage.text);
+        const termFrequency = new Map();
+        for (const term of terms) {
+            termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+        }
+        return { passage, length: terms.length, termFrequency };
+    });
+    const averageLength = documents.reduce((sum, d) => sum + d.length, 0) / (documents.length || 1);
+    const documentFrequency = new Map(queryTerms.map(term => [term, documents.filter(d => d.termFrequency.has(term)).length]));
+    return documents
+        .map(document => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const tf = document.termFrequency.get(term) || 0;
+                if (!tf) {
+                    continue;
+                }
+                const df = documentFrequency.get(term);
+                const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+                score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * document.length / averageLength));
+            }
+            return { ...document.passage, score };
+        })
+        .filter(passage => passage.score > 0)
+        .sort((x, y) => y.score - x.score || x.sourceIndex - y.sourceIndex || x.position - y.position);
+}
+
+// The context handed to the answering model: the selected passages, each under the [n] of its source, followed
+// by the numbered source list. Sources that weren't read keep their search snippet.
+function formatPassageContext(passages, sources) {
+    const sourcesByIndex = new Map(sources.map(s => [s.index, s]));
+    const passageBlocks = passages.map(passage => {
+        const source = sourcesByIndex.get(passage.sourceIndex);
+        return `[${passage.sourceIndex}] ${source.title}\n${passage.text}`;
+    });
+    const readIndices = new Set(passages.map(p => p.sourceIndex));
+    const sourceList = sources
+        .map(s => {
+            const heading = `[${s.index}] ${s.title}${s.publishedAt ? ` (${s.publishedAt})` : ''}`;
+            return [heading, s.url, readIndices.has(s.index) ? null : s.snippet].filter(Boolean).join('\n');
+        })
+        .join('\n\n');
+    return `Passages from the sources, quoted from the pages themselves:\n\n${passageBlocks.join('\n\n')}\n\nSources:\n${sourceList}`;
+}
+
+// Deep reading: instead of handing the model a search provider's summary, fetch the top sources, extract their
+// text (HTML or PDF), and build the context from the passages that best match the query, within a token budget.
+// Fetching honours robots.txt, refuses private addresses (unless allowPrivateHosts, e.g. for a local fixture
+// server) and limits time and size per page.
+class DeepReader {
+    constructor({
+        maxSources = 3,
+        timeoutMs = 8000,
+        maxBytes = 2 * 1024 * 1024,
+        maxRedirects = 3,
+        contextMaxTokens = 3000,
+        passageTokens = 150,
+        maxPassagesPerSource = 4,
+        userAgent = DEFAULT_USER_AGENT,
+        allowPrivateHosts = false,
+        cache = null,
+        robots = null,
+    } = {}) {
+        this.maxSources = maxSources;
+        this.timeoutMs = timeoutMs;
+        this.maxBytes = maxBytes;
+        this.maxRedirects = maxRedirects;
+        this.contextMaxTokens = contextMaxTokens;
+        this.passageTokens = passageTokens;
+        this.maxPassagesPerSource = maxPassagesPerSource;
+        this.userAgent = userAgent;
+        this.allowPrivateHosts = allowPrivateHosts;
+        this.cache = cache;
+        // Own connection pools, so a connection opened by another client can't skip the address check.
+        this.httpAgent = new http.Agent({ keepAlive: true });
+        this.httpsAgent = new https.Agent({ keepAlive: true });
+        this.robots = robots || new RobotsPolicy({
+            userAgent,
+            fetchRobotsTxt: async (url, { signal }) => {
+                try {
+                    const response = await this._request(url, { signal, maxBytes: 512 * 1024, checkRobots: false });
+                    return { status: response.status, text: response.data.toString('utf8') };
+                } catch (error) {
+                    // Treated as "no robots.txt" so the page fetch itself fails, with the more useful reason.
+                    if (error.reason === 'private_host') {
+                        return { status: 404, text: '' };
+                    }
+                    throw error;
+                }
+            },
+        });
+    }
+
+    // One GET, following redirects itself so every hop is checked against robots.txt and the private ranges.
+    // Resolves to { url, status, contentType, data } for any final status.
+    async _request(url, { signal, maxBytes = this.maxBytes, checkRobots = true } = {}) {
+        let current = url;
+        for (let hop = 0; ; hop++) {
+            const parsed = new URL(current);
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+                throw new SourceFetchError('unsupported_type', `Only http(s) URLs can be read, not ${parsed.protocol}.`);
+            }
+            const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+            if (!this.allowPrivateHosts && net.isIP(hostname) && isPrivateAddress(hostname)) {
+                throw new SourceFetchError('private_host', `${hostname} is a private address.`);
+            }
+            if (checkRobots && !(await this.robots.isAllowed(current, { signal }))) {
+                throw new SourceFetchError('robots', `robots.txt disallows ${current}.`);
+            }
+            let response;
+            try {
+                response = await axios.get(current, {
+                    responseType: 'arraybuffer',
+                    timeout: this.timeoutMs,
+                    maxContentLength: maxBytes,
+                    maxRedirects: 0,
+                    validateStatus: () => true,
+                    signal,
+                    lookup: this.allowPrivateHosts ? undefined : publicLookup,
+                    httpAgent: this.httpAgent,
+                    httpsAgent: this.httpsAgent,
+                    headers: { 'User-Agent': this.userAgent, 'Accept': 'text/html,application/xhtml+xml,application/pdf,text/plain;q=0.9,*/*;q=0.5' },
+                });
+            } catch (error) {
+                if (signal?.aborted || error instanceof SourceFetchError) {
+                    throw error;
+                }
+                if (error.cause instanceof SourceFetchError) {
+                    throw error.cause;
+                }
+                if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+                    throw new SourceFetchError('timeout', `Timed out after ${this.timeoutMs}ms.`);
+                }
+                if (/maxContentLength/.test(error.message)) {
+                    throw new SourceFetchError('too_large', `Larger than ${maxBytes} bytes.`);
+                }
+                throw new SourceFetchError('error', error.message);
+            }
+            const location = response.headers.location;
+            if (REDIRECT_STATUSES.includes(response.status) && location) {
+                if (hop >= this.maxRedirects) {
+                    throw new SourceFetchError('error', `More than ${this.maxRedirects} redirects.`);
+                }
+                current = new URL(location, current).href;
+                continue;
+            }
+            return { url: current, status: response.status, contentType: response.headers['content-type'] || '', data: Buffer.from(response.data) };
+        }
+    }
+
+    async _fetchDocument(url, { signal } = {}) {
+        const response = await this._request(url, { signal });
+        if (response.status < 200 || response.status >= 300) {
+            throw new SourceFetchError(`http_${response.status}`, `HTTP ${response.status}.`);
+        }
+        let extracted;
+        try {
+            extracted = await extractContent(response.data, response.contentType);
+        } catch (error) {
+            if (error instanceof UnsupportedContentError) {
+                throw new SourceFetchError('unsupported_type', error.message);
+            }
+            throw new SourceFetchError('error', `Could not extract text: ${error.message}`);
+        }
+        if (!extracted.text) {
+            throw new SourceFetchError('empty', 'No readable text found.');
+        }
+        return { url: response.url, title: extracted.title, text: extracted.text.substring(0, MAX_DOCUMENT_CHARS) };
+    }
+
+    // Extracted documents are cached like search results, so follow-up questions don't refetch the same pages.
+    // They are keyed on a hash of the exact URL: the cache folds case and punctuation in keys, which would make
+    // "/Docs/a-b" and "/docs/a/b" one entry.
+    async fetchDocument(url, { signal } = {}) {
+        if (!this.cache) {
+            return this._fetchDocument(url, { signal });
+        }
+        const key = createHash('sha256').update(url).digest('hex');
+        return this.cache.getOrSet('deep_read', key, () => this._fetchDocument(url, { signal }));
+    }
+
+    // `sources` are normalized, numbered sources (see search/citations.js), best first. Resolves to
+    // { content, passages, read, failures }: `content` is null when nothing usable could be read, so the caller
+    // can fall back to the search provider's own context. `span` is the request's tracing span for the read.
+    async read(query, sources, { signal, span } = {}) {
+        const log = (span ? span.log : logger).child({ component: 'DeepReader' });
+        const candidates = sources.filter(s => /^https?:\/\//i.test(s.url || '')).slice(0, this.maxSources);
+        const results = await Promise.allSettled(candidates.map(source => this.fetchDocument(source.url, { signal })));
+        signal?.throwIfAborted();
+
+        const read = [];
+        const failures = [];
+        const passages = [];
+        results.forEach((result, i) => {
+            const source = candidates[i];
+            if (result.status === 'rejected') {
+                log.warn('Could not read source', { sourceIndex: source.index, url: source.url, reason: result.reason.reason || 'error', error: result.reason });
+                failures.push({ index: source.index, url: source.url, reason: result.reason.reason || 'error' });
+                return;
+            }
+            read.push(source.index);
+            splitPassages(result.value.text, this.passageTokens).forEach((text, position) => {
+                passages.push({ sourceIndex: source.index, position, text });
+            });
+        });
+
+        // Best passages first, a few per source so one long page can't crowd out the others, until the budget is spent.
+        const selected = [];
+        const perSource = new Map();
+        let tokens = 0;
+        for (const passage of rankPassages(query, passages)) {
+            const cost = estimateTokens(passage.text) + 10;
+            if ((perSource.get(passage.sourceIndex) || 0) >= this.maxPassagesPerSource || tokens + cost > this.contextMaxTokens) {
+                continue;
+            }
+            selected.push(passage);
+            perSource.set(passage.sourceIndex, (perSource.get(passage.sourceIndex) || 0) + 1);
+            tokens += cost;
+        }
+        // Shown grouped by source and in page order, which reads more naturally than score order.
+        selected.sort((x, y) => x.sourceIndex - y.sourceIndex || x.position - y.position);
+
+        log.info('Read sources', { sourcesRead: read.length, candidates: candidates.length, passagesSelected: selected.length, passages: passages.length, tokens });
+        span?.setAttributes({ 'deep_read.sources_read': read.length, 'deep_read.failures': failures.length, 'deep_read.passages': selected.length });
+        return {
+            content: selected.length ? formatPassageContext(selected, sources) : null,
+            passages: selected.map(({ sourceIndex, position, text, score }) => ({ sourceIndex, position, score, text })),
+            read,
+            failures,
+        };
+    }
+}
+
+export { DeepReader, SourceFetchError, splitPassages, rankPassages, formatPassageContext, isPrivateAddress };
@@ -0,0 +1,121 @@
+import { readFileSync } from 'fs';
+import { PerplexitySearchAgent } from '../agents/searchAgent.js';
+import { TavilySearchProvider } from './providers/TavilySearchProvider.js';
+import { BraveSearchProvider } from './providers/BraveSearchProvider.js';
+import { SearxngSearchProvider } from './providers/SearxngSearchProvider.js';
+import { LocalIndexSearchProvider } from './providers/LocalIndexSearchProvider.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'SearchProviderRegistry' });
+
+// A search provider is any object with a unique `name`, a `description` (shown to tool-calling models)
+// and `async search(query, { signal, searchOptions })` resolving to a SearchResult (content, sources, citations).
+// `signal` is an AbortSignal that fires when the request is cancelled; providers should pass it to their HTTP client.
+// `searchOptions` (see search/searchOptions.js) may be undefined; providers map the ones their API supports and
+// can ignore the rest, which the agent enforces on the results.
+const providerFactories = {
+    perplexity: (config) => {
+        const provider = new PerplexitySearchAgent(config.apiKey, config);
+        if (config.name) {
+            provider.name = config.name;
+        }
+        return provider;
+    },
+    tavily: (config) => new TavilySearchProvider(config),
+    brave: (config) => new BraveSearchProvider(config),
+    searxng: (config) => new SearxngSearchProvider(config),
+    local: (config) => new LocalIndexSearchProvider(config),
+};
+
+function registerSearchProviderType(type, factory) {
+    providerFactories[type] = factory;
+}
+
+class SearchProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    register(provider) {
+        if (!provider?.name || typeof provider.search !== 'function') {
+            throw new Error("Search providers must have a name and a search(query) method.");
+        }
+        if (this.providers.has(provider.name)) {
+            throw new Error(`Search provider "${provider.name}" is already registered.`);
+        }
+        this.providers.set(provider.name, provider);
+        return this;
+    }
+
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    list() {
+        return [...this.providers.values()];
+    }
+}
+
+// Without explicit configuration, every provider whose credentials are present in the environment is enabled.
+function defaultSearchProviderConfig(env) {
+    const configs = [];
+    if (env.PERPLEXITY_API_KEY) configs.push({ type: 'perplexity', apiKeyEnv: 'PERPLEXITY_API_KEY' });
+    if (env.TAVILY_API_KEY) configs.push({ type: 'tavily', apiKeyEnv: 'TAVILY_API_KEY' });
+    if (env.BRAVE_API_KEY) configs.push({ type: 'brave', apiKeyEnv: 'BRAVE_API_KEY' });
+    if (env.SEARXNG_URL) configs.push({ type: 'searxng', baseUrl: env.SEARXNG_URL });
+    if (env.LOCAL_SEARCH_DIR) configs.push({ type: 'local', directory: env.LOCAL_SEARCH_DIR, baseUrl: env.LOCAL_SEARCH_BASE_URL });
+    return configs;
+}
+
+// SEARCH_PROVIDERS holds an inline JSON array and SEARCH_PROVIDERS_CONFIG a path to a JSON file with the same shape:
+// [{ "type": "tavily", "apiKeyEnv": "TAVILY_API_KEY", "maxResults": 8 }, { "type": "local", "directory": "./docs" }]
+function loadSearchProviderConfig(env = process.env) {
+    if (env.SEARCH_PROVIDERS) {
+        return JSON.parse(env.SEARCH_PROVIDERS);
+    }
+    if (env.SEARCH_PROVIDERS_CONFIG) {
+        return JSON.parse(readFileSync(env.SEARCH_PROVIDERS_CONFIG, 'utf8'));
+    }
+    return defaultSearchProviderConfig(env);
+}
+
+function createSearchProviderRegistry(env = process.env, configs = loadSearchProviderConfig(env)) {
+    const registry = new SearchProviderRegistry();
+    // Deployment-wide request defaults; a provider's own config entry can override them.
+    const requestDefaults = {};
+    if (env.SEARCH_TIMEOUT_MS) requestDefaults.timeoutMs = parseInt(env.SEARCH_TIMEOUT_MS, 10);
+    if (env.SEARCH_RETRIES) requestDefaults.retries = parseInt(env.SEARCH_RETRIES, 10);
+    for (const config of configs) {
+        if (config.enabled === false) {
+            continue;
+        }
+        const factory = providerFactories[config.type];
+        if (!factory) {
+            log.warn('Unknown search provider type, skipping', { type: config.type });
+            continue;
+        }
+        // Keys are referenced by env var name so the JSON config can be committed without secrets.
+        const resolvedConfig = { ...requestDefaults, ...config };
+        if (config.apiKeyEnv) {
+            resolvedConfig.apiKey = env[config.apiKeyEnv];
+        }
+        try {
+            registry.register(factory(resolvedConfig));
+            log.info('Registered search provider', { provider: config.name || config.type });
+        } catch (error) {
+            log.warn('Could not register search provider', { provider: config.name || config.type, error });
+        }
+    }
+    return registry;
+}
+
+export {
+    SearchProviderRegistry,
+    createSearchProviderRegistry,
+    loadSearchProviderConfig,
+    registerSearchProviderType,
+};
@@ -0,0 +1,55 @@
+import axios from 'axios';
+import { SearchResult } from '../../agents/searchAgent.js';
+import { retry } from '../../utils/resilience.js';
+import { logger } from '../../utils/logger.js';
+import { NO_SEARCH_OPTIONS } from '../searchOptions.js';
+
+const log = logger.child({ component: 'BraveSearchProvider' });
+const FRESHNESS = { day: 'pd', week: 'pw', month: 'pm', year: 'py' };
+
+class BraveSearchProvider {
+    constructor({ name = 'brave', apiKey, maxResults = 5, timeoutMs = 15000, retries = 2 } = {}) {
+        if (!apiKey) {
+            throw new Error("Brave provider requires an apiKey.");
+        }
+        this.name = name;
+        this.description = 'Searches the web with Brave Search and returns ranked results with snippets.';
+        this.apiKey = apiKey;
+        this.maxResults = maxResults;
+        this.baseUrl = 'https://api.search.brave.com/res/v1/web/search';
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+    }
+
+    // Brave supports recency ("freshness"), country and language; domains are left to the agent's filtering.
+    async search(query, { signal, searchOptions = NO_SEARCH_OPTIONS } = {}) {
+        const headers = {
+            'Accept': 'application/json',
+            'X-Subscription-Token': this.apiKey
+        };
+        const params = { q: query, count: searchOptions.maxSources || this.maxResults };
+        if (searchOptions.recency) {
+            params.freshness = FRESHNESS[searchOptions.recency];
+        }
+        if (searchOptions.country) {
+            params.country = searchOptions.country;
+        }
+        if (searchOptions.language) {
+            params.search_lang = searchOptions.language;
+        }
+
+        try {
+            const response = await retry(
+                () => axios.get(this.baseUrl, { headers, params, timeout: this.timeoutMs, signal }),
+                { retries: this.retries, label: 'Brave search', signal }
+            );
+            const results = (response.data.web?.results || []).map(r => ({ title: r.title, url: r.url, snippet: r.description }));
+            return SearchResult.fromResultList(results);
+        } catch (error) {
+            log.error('Brave request failed', { query: log.content(query), status: error.response?.status, error });
+            throw new Error(`Brave API error: ${error.response?.status || error.message}`);
+        }
+    }
+}
+
+export { BraveSearchProvider };
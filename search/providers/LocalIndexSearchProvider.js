@@ -0,0 +1,148 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { SearchResult } from '../../agents/searchAgent.js';
+import { tokenize, decodeEntities } from '../text.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ component: 'LocalIndexSearchProvider' });
+
+const DOCUMENT_EXTENSIONS = ['.md', '.markdown', '.html', '.htm', '.txt'];
+
+function parseHtml(raw) {
+    const title = raw.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+    const text = raw
+        .replace(/<(script|style|noscript|title)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<\/(p|div|li|h[1-6]|section|article|tr|br)>/gi, '\n\n')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ');
+    return { title: title ? decodeEntities(title).trim() : null, text: decodeEntities(text) };
+}
+
+function parseMarkdown(raw) {
+    const title = raw.match(/^#\s+(.+)$/m)?.[1];
+    return { title: title ? title.trim() : null, text: raw };
+}
+
+// Offline provider: ranks Markdown/HTML/text files in a local directory with BM25.
+// Used for air-gapped deployments and to get deterministic search results in tests.
+class LocalIndexSearchProvider {
+    constructor({ name = 'local', directory, baseUrl, maxResults = 5, k1 = 1.2, b = 0.75 } = {}) {
+        if (!directory) {
+            throw new Error("Local index provider requires a directory.");
+        }
+        this.name = name;
+        this.description = 'Searches a local index of internal documents. Prefer this for questions about internal or offline documentation.';
+        this.directory = path.resolve(directory);
+        this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+        this.maxResults = maxResults;
+        this.k1 = k1;
+        this.b = b;
+        this.index = null;
+    }
+
+    async _listFiles(directory) {
+        const entries = await fs.readdir(directory, { withFileTypes: true });
+        const files = await Promise.all(entries.map(entry => {
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                return this._listFiles(fullPath);
+            }
+            return DOCUMENT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+        }));
+        return files.flat();
+    }
+
+    _documentUrl(filePath) {
+        const relativePath = path.relative(this.directory, filePath).split(path.sep).join('/');
+        return this.baseUrl ? `${this.baseUrl}/${relativePath}` : pathToFileURL(filePath).href;
+    }
+
+    // (Re)builds the in-memory index. Called lazily on the first search; call again after documents change.
+    async reindex() {
+        const files = (await this._listFiles(this.directory)).sort();
+        const documents = [];
+        const documentFrequency = new Map();
+
+        for (const filePath of files) {
+            const raw = await fs.readFile(filePath, 'utf8');
+            const extension = path.extname(filePath).toLowerCase();
+            const { title, text } = extension === '.html' || extension === '.htm' ? parseHtml(raw) : parseMarkdown(raw);
+            const tokens = tokenize(`${title || ''} ${text}`);
+            const termFrequency = new Map();
+            for (const token of tokens) {
+                termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+            }
+            for (const term of termFrequency.keys()) {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            }
+            documents.push({
+                title: title || path.basename(filePath),
+                url: this._documentUrl(filePath),
+                paragraphs: text.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean),
+                length: tokens.length,
+                termFrequency
+            });
+        }
+
+        const averageLength = documents.reduce((sum, d) => sum + d.length, 0) / (documents.length || 1);
+        this.index = { documents, documentFrequency, averageLength };
+        log.info('Indexed documents', { documents: documents.length, directory: this.directory });
+        return this.index;
+    }
+
+    _score(document, queryTerms) {
+        const { documentFrequency, averageLength, documents } = this.index;
+        let score = 0;
+        for (const term of queryTerms) {
+            const tf = document.termFrequency.get(term) || 0;
+            if (!tf) {
+                continue;
+            }
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+            score += idf * (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * document.length / averageLength));
+        }
+        return score;
+    }
+
+    // The paragraph sharing the most query terms is the most useful snippet to show the model.
+    _bestParagraph(document, queryTerms) {
+        let best = document.paragraphs[0] || '';
+        let bestOverlap = -1;
+        for (const paragraph of document.paragraphs) {
+            if (/^#{1,6}\s/.test(paragraph)) {
+                continue; // Headings repeat the title and make poor snippets
+            }
+            const terms = new Set(tokenize(paragraph));
+            const overlap = queryTerms.filter(t => terms.has(t)).length;
+            if (overlap > bestOverlap) {
+                best = paragraph;
+                bestOverlap = overlap;
+            }
+        }
+        return best.length > 500 ? `${best.substring(0, 500)}...` : best;
+    }
+
+    async search(query) {
+        if (!this.index) {
+            await this.reindex();
+        }
+        const queryTerms = [...new Set(tokenize(query))];
+        const results = this.index.documents
+            .map(document => ({ document, score: this._score(document, queryTerms) }))
+            .filter(r => r.score > 0)
+            // Ties are broken by URL so the same query always returns the same ranking.
+            .sort((x, y) => y.score - x.score || x.document.url.localeCompare(y.document.url))
+            .slice(0, this.maxResults)
+            .map(({ document, score }) => ({
+                title: document.title,
+                url: document.url,
+                snippet: this._bestParagraph(document, queryTerms),
+                score
+            }));
+        return SearchResult.fromResultList(results);
+    }
+}
+
+export { LocalIndexSearchProvider };
@@ -0,0 +1,49 @@
+import axios from 'axios';
+import { SearchResult } from '../../agents/searchAgent.js';
+import { retry } from '../../utils/resilience.js';
+import { logger } from '../../utils/logger.js';
+import { NO_SEARCH_OPTIONS } from '../searchOptions.js';
+
+const log = logger.child({ component: 'SearxngSearchProvider' });
+
+// SearXNG is self-hosted, so the instance URL is required instead of an API key.
+// The instance must have the "json" output format enabled in its settings.yml.
+class SearxngSearchProvider {
+    constructor({ name = 'searxng', baseUrl, maxResults = 5, timeoutMs = 15000, retries = 2 } = {}) {
+        if (!baseUrl) {
+            throw new Error("SearXNG provider requires a baseUrl.");
+        }
+        this.name = name;
+        this.description = 'Searches the web through a SearXNG metasearch instance and returns ranked results with snippets.';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.maxResults = maxResults;
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+    }
+
+    // SearXNG supports a time range and a language; domains and country are left to the agent's filtering.
+    async search(query, { signal, searchOptions = NO_SEARCH_OPTIONS } = {}) {
+        const params = { q: query, format: 'json' };
+        if (searchOptions.recency) {
+            params.time_range = searchOptions.recency;
+        }
+        if (searchOptions.language) {
+            params.language = searchOptions.language;
+        }
+        try {
+            const response = await retry(
+                () => axios.get(`${this.baseUrl}/search`, { params, timeout: this.timeoutMs, signal }),
+                { retries: this.retries, label: 'SearXNG search', signal }
+            );
+            const results = (response.data.results || [])
+                .slice(0, searchOptions.maxSources || this.maxResults)
+                .map(r => ({ title: r.title, url: r.url, snippet: r.content }));
+            return SearchResult.fromResultList(results);
+        } catch (error) {
+            log.error('SearXNG request failed', { query: log.content(query), status: error.response?.status, error });
+            throw new Error(`SearXNG error: ${error.response?.status || error.message}`);
+        }
+    }
+}
+
+export { SearxngSearchProvider };
@@ -0,0 +1,61 @@
+import axios from 'axios';
+import { SearchResult } from '../../agents/searchAgent.js';
+import { retry } from '../../utils/resilience.js';
+import { logger } from '../../utils/logger.js';
+import { NO_SEARCH_OPTIONS } from '../searchOptions.js';
+
+const log = logger.child({ component: 'TavilySearchProvider' });
+const COUNTRY_NAMES = new Intl.DisplayNames(['en'], { type: 'region' });
+
+class TavilySearchProvider {
+    constructor({ name = 'tavily', apiKey, maxResults = 5, searchDepth = 'basic', timeoutMs = 15000, retries = 2 } = {}) {
+        if (!apiKey) {
+            throw new Error("Tavily provider requires an apiKey.");
+        }
+        this.name = name;
+        this.description = 'Searches the web with Tavily and returns ranked results with snippets.';
+        this.apiKey = apiKey;
+        this.maxResults = maxResults;
+        this.searchDepth = searchDepth;
+        this.baseUrl = 'https://api.tavily.com/search';
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+    }
+
+    // Tavily filters by domain and time range itself, and boosts results from a country (by its English name).
+    async search(query, { signal, searchOptions = NO_SEARCH_OPTIONS } = {}) {
+        const payload = {
+            api_key: this.apiKey,
+            query: query,
+            max_results: searchOptions.maxSources || this.maxResults,
+            search_depth: this.searchDepth,
+            include_answer: true
+        };
+        if (searchOptions.includeDomains.length) {
+            payload.include_domains = searchOptions.includeDomains;
+        }
+        if (searchOptions.excludeDomains.length) {
+            payload.exclude_domains = searchOptions.excludeDomains;
+        }
+        if (searchOptions.recency) {
+            payload.time_range = searchOptions.recency;
+        }
+        if (searchOptions.country) {
+            payload.country = COUNTRY_NAMES.of(searchOptions.country).toLowerCase();
+        }
+
+        try {
+            const response = await retry(
+                () => axios.post(this.baseUrl, payload, { headers: { 'Content-Type': 'application/json' }, timeout: this.timeoutMs, signal }),
+                { retries: this.retries, label: 'Tavily search', signal }
+            );
+            const results = (response.data.results || []).map(r => ({ title: r.title, url: r.url, snippet: r.content }));
+            return SearchResult.fromResultList(results, response.data.answer || '');
+        } catch (error) {
+            log.error('Tavily request failed', { query: log.content(query), status: error.response?.status, error });
+            throw new Error(`Tavily API error: ${error.response?.status || error.message}`);
+        }
+    }
+}
+
+export { TavilySearchProvider };
@@ -0,0 +1,77 @@
+import { z } from "zod";
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ component: 'QueryPlanner' });
+
+// Conversational lead-ins and sign-offs that only add noise to a search engine query.
+const FILLER_PATTERNS = [
+    /^(hey|hi|hello|ok|okay|so)\b[,!.\s]*/i,
+    /^(can|could|would|will) you (please )?(tell me|find out|find|search for|search|look up|check|explain)\b\s*/i,
+    /^please\s+/i,
+    /^(web search for|search for|search|look up|find information on|find out)\b:?\s*/i,
+    /^(i want to know|i'd like to know|i would like to know|i wonder|i was wondering|tell me|do you know)\b\s*/i,
+    /[,.!\s]*(please|thanks|thank you)[.!?]*$/i,
+];
+
+const COMPOUND_PATTERN = /\?.+\?|;|\b(and|as well as|vs\.?|versus|compare|compared to)\b/i;
+
+function stripConversationalFiller(query) {
+    let stripped = query.trim();
+    let previous;
+    do {
+        previous = stripped;
+        for (const pattern of FILLER_PATTERNS) {
+            stripped = stripped.replace(pattern, '').trim();
+        }
+    } while (stripped !== previous);
+    return stripped || query.trim();
+}
+
+const PLAN_PROMPT = ChatPromptTemplate.fromMessages([
+    ["system",
+        "You plan web searches. Split the user's question into at most {max_queries} short, self-contained search queries, " +
+        "one per distinct fact or entity that has to be looked up (e.g. \"compare the pricing of X and Y\" becomes one query for X's pricing and one for Y's). " +
+        "Write them the way you would type them into a search engine, without filler words. " +
+        "If the question is about a single thing, return exactly one query."
+    ],
+    ["human", "{query}"]
+]);
+
+const PLAN_SCHEMA = z.object({
+    queries: z.array(z.string()).describe("The search queries to run, most important first."),
+});
+
+class QueryPlanner {
+    constructor({ maxSubQueries = 3 } = {}) {
+        this.maxSubQueries = maxSubQueries;
+    }
+
+    // Splits separate questions ("What is X? Who founded Y?") without a model.
+    _heuristicSplit(query) {
+        const questions = query.split(/\?\s+/).map(q => q.trim()).filter(Boolean);
+        return questions.map(stripConversationalFiller);
+    }
+
+    // Returns { queries, strategy }. Only compound-looking questions are sent to the (optional) model,
+    // so simple lookups don't pay for an extra LLM round trip.
+    async plan(query, { llm, callbacks, signal } = {}) {
+        const cleaned = stripConversationalFiller(query);
+        if (llm && COMPOUND_PATTERN.test(cleaned)) {
+            try {
+                const messages = await PLAN_PROMPT.formatMessages({ query: cleaned, max_queries: this.maxSubQueries });
+                const { queries } = await llm.withStructuredOutput(PLAN_SCHEMA, { name: "search_plan" }).invoke(messages, { callbacks, signal, tags: ["query_plan"] });
+                const planned = [...new Set(queries.map(q => q.trim()).filter(Boolean))].slice(0, this.maxSubQueries);
+                if (planned.length) {
+                    return { queries: planned, strategy: 'llm' };
+                }
+            } catch (error) {
+                signal?.throwIfAborted();
+                log.warn('Decomposition failed, falling back to heuristic split', { error });
+            }
+        }
+        return { queries: [...new Set(this._heuristicSplit(cleaned))].slice(0, this.maxSubQueries), strategy: 'heuristic' };
+    }
+}
+
+export { QueryPlanner, stripConversationalFiller };
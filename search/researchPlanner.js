@@ -0,0 +1,152 @@
+import { z } from "zod";
+import { ChatPromptTemplate, MessagesPlaceholder } from "@langchain/core/prompts";
+import { stripConversationalFiller } from "./queryPlanner.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ component: 'ResearchPlanner' });
+
+const OUTLINE_PROMPT = ChatPromptTemplate.fromMessages([
+    ["system",
+        "You plan a research report that answers the user's question from web search results. " +
+        "Give the report a title and an outline of 2 to {max_sections} sections that together answer the question " +
+        "(e.g. \"compare X, Y and Z on pricing and compliance\" gets one section per criterion). " +
+        "For every section write the one web search query that would find what it needs, the way you would type it into a search engine."
+    ],
+    ["human", "{question}"]
+]);
+
+const OUTLINE_SCHEMA = z.object({
+    title: z.string().describe("The report's title."),
+    sections: z.array(z.object({
+        heading: z.string().describe("The section's heading."),
+        query: z.string().describe("The web search query for the section."),
+    })).describe("The report's sections, in order."),
+});
+
+const GAPS_PROMPT = ChatPromptTemplate.fromMessages([
+    ["system",
+        "You review the search results gathered so far for a research report. For every section of the outline, decide whether " +
+        "the results cover it well enough to write it with citations. For what is missing, thin or contradictory, write at most " +
+        "{max_queries} new web search queries that would fill the gap; don't repeat the queries already run. " +
+        "Return no gaps if the results are enough for the whole report.\n\n" +
+        "Question: {question}\n\nOutline:\n{outline}\n\nQueries already run:\n{searched}\n\nSearch results so far:\n\n{search_context}"
+    ],
+    ["human", "Which gaps remain?"]
+]);
+
+const GAPS_SCHEMA = z.object({
+    gaps: z.array(z.object({
+        section: z.string().describe("The heading of the section the gap is in."),
+        query: z.string().describe("A web search query to fill it."),
+        reason: z.string().describe("One short sentence on what is missing."),
+    })),
+});
+
+const REPORT_PROMPT = ChatPromptTemplate.fromMessages([
+    ["system",
+        "You are a research assistant writing a report in Markdown from web search results. " +
+        "Start with \"# {title}\" and a short summary of the findings, then write one \"## \" section per outline heading, in order, and end with \"## Conclusion\". " +
+        "Use tables where they make a comparison easier to read. Base every statement on the search results and cite them using the numbers " +
+        "from their Sources list, like [1], [2], next to the relevant information. Never cite a number that is not in the list. " +
+        "If the results don't cover a section, say so in that section instead of guessing. " +
+        "Do not write a list of sources or references; it is added after the report.\n\n" +
+        "Outline:\n{outline}\n\nSearch Context:\n\n{search_context}"
+    ],
+    new MessagesPlaceholder("history"),
+    ["human", "{user_input}"]
+]);
+
+function queryKey(query) {
+    return query.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function formatOutline(outline) {
+    return outline.sections.map((section, i) => `${i + 1}. ${section.heading}`).join('\n');
+}
+
+// Plans research mode's work (see LangChainChatAgent._runResearch): the report's outline, the gaps each search
+// round leaves for the next, and the prompt the report is written with. `maxSteps` and `timeBudgetMs` bound the
+// search rounds, `maxQueriesPerStep` the follow-up queries of a round and `maxSources` the report's sources.
+class ResearchPlanner {
+    constructor({ maxSteps = 3, timeBudgetMs = 90000, maxSections = 6, maxQueriesPerStep = 3, maxSources = 20, maxContextTokens = 6000 } = {}) {
+        this.maxSteps = maxSteps;
+        this.timeBudgetMs = timeBudgetMs;
+        this.maxSections = maxSections;
+        this.maxQueriesPerStep = maxQueriesPerStep;
+        this.maxSources = maxSources;
+        this.maxContextTokens = maxContextTokens;
+    }
+
+    // Returns { title, sections: [{ heading, query }], strategy }. If the model can't plan, the report gets a
+    // single section searched with the question itself.
+    async outline(question, { llm, callbacks, signal } = {}) {
+        if (llm) {
+            try {
+                const messages = await OUTLINE_PROMPT.formatMessages({ question, max_sections: this.maxSections });
+                const outline = await llm.withStructuredOutput(OUTLINE_SCHEMA, { name: "research_outline" }).invoke(messages, { callbacks, signal, tags: ["research_outline"] });
+                const sections = outline.sections
+                    .map(section => ({ heading: section.heading.trim(), query: section.query.trim() }))
+                    .filter(section => section.heading && section.query)
+                    .slice(0, this.maxSections);
+                if (sections.length) {
+                    return { title: outline.title.trim() || question, sections, strategy: 'llm' };
+                }
+            } catch (error) {
+                signal?.throwIfAborted();
+                log.warn('Outline planning failed, researching the question as a single section', { error });
+            }
+        }
+        return { title: question, sections: [{ heading: question, query: stripConversationalFiller(question) }], strategy: 'fallback' };
+    }
+
+    // The first round searches every section's query.
+    initialQueries(outline) {
+        return this._newQueries(outline.sections.map(section => section.query), [], this.maxSections);
+    }
+
+    // Follow-up queries for what the results so far don't cover, as [{ section, query, reason }], leaving out
+    // queries already run. An empty list means the research is done, as it is when the review fails.
+    async findGaps(question, outline, searchContext, searched, { llm, callbacks, signal } = {}) {
+        try {
+            const messages = await GAPS_PROMPT.formatMessages({
+                question,
+                outline: formatOutline(outline),
+                searched: searched.map(query => `- ${query}`).join('\n'),
+                search_context: searchContext.substring(0, this.maxContextTokens * 4),
+                max_queries: this.maxQueriesPerStep,
+            });
+            const { gaps } = await llm.withStructuredOutput(GAPS_SCHEMA, { name: "research_gaps" }).invoke(messages, { callbacks, signal, tags: ["research_gaps"] });
+            const queries = this._newQueries(gaps.map(gap => gap.query), searched, this.maxQueriesPerStep);
+            return queries.map(query => gaps.find(gap => gap.query.trim() === query));
+        } catch (error) {
+            signal?.throwIfAborted();
+            log.warn('Gap review failed, finishing the research with the results so far', { error });
+            return [];
+        }
+    }
+
+    // Trimmed, deduplicated queries not in `searched`, at most `limit` of them.
+    _newQueries(queries, searched, limit) {
+        const seen = new Set(searched.map(queryKey));
+        const fresh = [];
+        for (const query of queries.map(q => q.trim()).filter(Boolean)) {
+            if (!seen.has(queryKey(query))) {
+                seen.add(queryKey(query));
+                fresh.push(query);
+            }
+        }
+        return fresh.slice(0, limit);
+    }
+
+    reportMessages({ userMessage, outline, searchContext, history }) {
+        return REPORT_PROMPT.formatMessages({
+            title: outline.title,
+            outline: formatOutline(outline),
+            search_context: searchContext,
+            history,
+            user_input: userMessage,
+        });
+    }
+}
+
+export { ResearchPlanner };
@@ -0,0 +1,72 @@
+import { SearchResult } from '../agents/searchAgent.js';
+import { remapCitations } from './citations.js';
+
+// Same page, different spelling: drop the fragment, tracking parameters, "www." and trailing slashes.
+function canonicalUrl(url) {
+    try {
+        const parsed = new URL(url);
+        for (const param of [...parsed.searchParams.keys()]) {
+            if (param.startsWith('utm_')) {
+                parsed.searchParams.delete(param);
+            }
+        }
+        const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        const pathname = parsed.pathname.replace(/\/+$/, '');
+        return `${host}${pathname}${parsed.search}`;
+    } catch {
+        return url;
+    }
+}
+
+function sourceKey(source) {
+    return source.url ? canonicalUrl(source.url) : `title:${source.title}`;
+}
+
+// Reciprocal rank fusion: every run (one query against one provider) contributes 1 / (k + rank) to each
+// source it returned, so pages found by several queries or providers rise to the top. Provider-written
+// summaries are kept, with their [n] markers renumbered to the fused source list.
+//
+// `runs` is [{ query, toolName, result: SearchResult }]; returns a single SearchResult.
+function fuseSearchResults(runs, { k = 60, maxSources = 10 } = {}) {
+    const fused = new Map();
+    for (const run of runs) {
+        run.result.sources.forEach((source, rank) => {
+            const key = sourceKey(source);
+            const entry = fused.get(key);
+            if (!entry) {
+                fused.set(key, { source, score: 1 / (k + rank + 1), order: fused.size });
+                return;
+            }
+            entry.score += 1 / (k + rank + 1);
+            // Keep whichever copy of the page carries the most useful description.
+            if ((source.snippet || '').length > (entry.source.snippet || '').length) {
+                entry.source = { ...source, publishedAt: source.publishedAt || entry.source.publishedAt };
+            }
+        });
+    }
+
+    const sources = [...fused.values()]
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .slice(0, maxSources)
+        .map((entry, i) => ({ ...entry.source, index: i + 1 }));
+    const indexByKey = new Map(sources.map(s => [sourceKey(s), s.index]));
+
+    const summaries = runs
+        .filter(run => run.result.content)
+        .map(run => {
+            const localSources = new Map(run.result.sources.map(s => [s.index, s]));
+            const content = remapCitations(run.result.content, n => {
+                const source = localSources.get(n);
+                return source ? indexByKey.get(sourceKey(source)) : null;
+            });
+            return runs.length > 1 ? `Summary from ${run.toolName} for "${run.query}":\n${content}` : content;
+        });
+
+    return new SearchResult(
+        summaries.join('\n\n'),
+        sources,
+        runs.map(run => ({ tool: run.toolName, query: run.query, citations: run.result.citations }))
+    );
+}
+
+export { fuseSearchResults, canonicalUrl };
@@ -0,0 +1,156 @@
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'RobotsPolicy' });
+
+// robots.txt handling for deep reading (RFC 9309): which paths a crawler with our user agent may fetch.
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_ORIGINS = 1000;
+
+// Lets one caller stop waiting for a promise that others share, without cancelling the work behind it.
+function untilAborted(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// Returns [{ userAgents: [...], rules: [{ allow, pattern }] }]. Consecutive user-agent lines share one group.
+function parseRobotsTxt(text) {
+    const groups = [];
+    let current = null;
+    let lastWasUserAgent = false;
+    for (const rawLine of String(text).split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator < 0) {
+            continue;
+        }
+        const field = line.substring(0, separator).trim().toLowerCase();
+        const value = line.substring(separator + 1).trim();
+        if (field === 'user-agent') {
+            if (!lastWasUserAgent) {
+                current = { userAgents: [], rules: [] };
+                groups.push(current);
+            }
+            current.userAgents.push(value.toLowerCase());
+            lastWasUserAgent = true;
+            continue;
+        }
+        lastWasUserAgent = false;
+        // An empty Disallow allows everything, so it adds no rule.
+        if (current && (field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', pattern: value });
+        }
+    }
+    return groups;
+}
+
+function patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The rules that apply to `productToken` (e.g. "LangChainWebSearchBot"): every group naming it, otherwise the
+// "*" groups. The longest matching pattern decides; on a tie Allow wins.
+class RobotsRules {
+    constructor(groups, productToken) {
+        const token = productToken.toLowerCase();
+        const own = groups.filter(group => group.userAgents.includes(token));
+        const applicable = own.length ? own : groups.filter(group => group.userAgents.includes('*'));
+        this.rules = applicable.flatMap(group => group.rules).map(rule => ({ ...rule, regExp: patternToRegExp(rule.pattern) }));
+    }
+
+    static allowAll() {
+        return new RobotsRules([], '*');
+    }
+
+    static disallowAll() {
+        return new RobotsRules([{ userAgents: ['*'], rules: [{ allow: false, pattern: '/' }] }], '*');
+    }
+
+    isAllowed(pathAndQuery) {
+        let decision = null;
+        for (const rule of this.rules) {
+            if (!rule.regExp.test(pathAndQuery)) {
+                continue;
+            }
+            if (!decision || rule.pattern.length > decision.pattern.length || (rule.pattern.length === decision.pattern.length && rule.allow)) {
+                decision = rule;
+            }
+        }
+        return decision ? decision.allow : true;
+    }
+}
+
+// Fetches and caches each origin's robots.txt. `fetchRobotsTxt(url, { signal })` resolves to { status, text };
+// a missing file (4xx) allows everything, while a server error or unreachable file disallows everything.
+// Concurrent requests share one fetch, so it is bounded by `timeoutMs` rather than any one request's signal.
+class RobotsPolicy {
+    constructor({ userAgent, fetchRobotsTxt, ttlMs = DEFAULT_TTL_MS, timeoutMs = DEFAULT_TIMEOUT_MS, maxOrigins = DEFAULT_MAX_ORIGINS, now = Date.now }) {
+        this.productToken = userAgent.split('/')[0].trim();
+        this.fetchRobotsTxt = fetchRobotsTxt;
+        this.ttlMs = ttlMs;
+        this.timeoutMs = timeoutMs;
+        this.maxOrigins = maxOrigins;
+        this.now = now;
+        this.origins = new Map(); // origin -> { rules: Promise<RobotsRules>, expiresAt }, oldest first
+    }
+
+    async _rulesFor(origin, { signal } = {}) {
+        const cached = this.origins.get(origin);
+        if (cached && cached.expiresAt > this.now()) {
+            return untilAborted(cached.rules, signal);
+        }
+        const rules = this.fetchRobotsTxt(`${origin}/robots.txt`, { signal: AbortSignal.timeout(this.timeoutMs) })
+            .then(({ status, text }) => {
+                if (status >= 200 && status < 300) {
+                    return new RobotsRules(parseRobotsTxt(text), this.productToken);
+                }
+                return status >= 400 && status < 500 ? RobotsRules.allowAll() : RobotsRules.disallowAll();
+            })
+            .catch(error => {
+                log.warn('Could not fetch robots.txt, treating the site as disallowed', { origin, error });
+                return RobotsRules.disallowAll();
+            });
+        this._remember(origin, { rules, expiresAt: this.now() + this.ttlMs });
+        return untilAborted(rules, signal);
+    }
+
+    _remember(origin, entry) {
+        const now = this.now();
+        this.origins.delete(origin);
+        for (const [key, { expiresAt }] of this.origins) {
+            if (expiresAt <= now) {
+                this.origins.delete(key);
+            }
+        }
+        while (this.origins.size >= this.maxOrigins) {
+            this.origins.delete(this.origins.keys().next().value);
+        }
+        this.origins.set(origin, entry);
+    }
+
+    async isAllowed(url, options = {}) {
+        const parsed = new URL(url);
+        if (parsed.pathname === '/robots.txt') {
+            return true;
+        }
+        const rules = await this._rulesFor(parsed.origin, options);
+        return rules.isAllowed(`${parsed.pathname}${parsed.search}`);
+    }
+}
+
+export { RobotsPolicy, RobotsRules, parseRobotsTxt };
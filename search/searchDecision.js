@@ -0,0 +1,160 @@
+import { z } from "zod";
+import { ChatPromptTemplate, MessagesPlaceholder } from "@langchain/core/prompts";
+import { HumanMessage, AIMessage } from "@langchain/core/messages";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ component: 'SearchDecision' });
+
+// Every strategy resolves to { strategy, needsSearch, reason, confidence, rewrittenQuery }.
+// `confidence` (0-1) is how sure the strategy is of its own decision, which the hybrid strategy uses to escalate.
+
+const EXPLICIT_COMMANDS = ["search for", "look up", "find information on", "web search for", "search the web"];
+const TIME_SENSITIVE_PATTERN = /\b(latest|current|currently|recent|recently|news|today|tonight|yesterday|tomorrow|breaking|updates?|this (week|month|year)|right now|as of now|so far this)\b/;
+const DYNAMIC_FACT_PHRASES = [
+    "who is the current", "what is the stock price", "stock price of", "price of", "exchange rate", "weather in",
+    "forecast for", "election results", "who won", "final score", "current events", "what's happening", "release date"
+];
+const FACTUAL_QUESTION_PATTERN = /^(who|when|where|which|how many|how much|what year|what is the population)\b/;
+const FOLLOW_UP_PATTERN = /^(and|but|also|what about|how about|and what|what else|why|how so|then)\b|\b(it|its|that|this|those|these|they|them|he|she|his|her|their|last year|next year)\b/;
+
+function decision(strategy, needsSearch, reason, confidence, rewrittenQuery = null) {
+    return { strategy, needsSearch, reason, confidence, rewrittenQuery };
+}
+
+class HeuristicSearchDecision {
+    constructor({ now = () => new Date() } = {}) {
+        this.name = 'heuristic';
+        this.now = now;
+    }
+
+    // Synchronous core, also used by LangChainChatAgent.shouldSearchWeb.
+    evaluate(userMessage, history = []) {
+        const lowerInput = userMessage.toLowerCase().trim();
+
+        if (EXPLICIT_COMMANDS.some(command => lowerInput.includes(command))) {
+            return decision(this.name, true, "Explicit search command", 0.95);
+        }
+
+        if (TIME_SENSITIVE_PATTERN.test(lowerInput)) {
+            return decision(this.name, true, "Time-sensitive keyword", 0.85);
+        }
+
+        // Only last year onward counts as "recent"; asking about 1969 doesn't need fresh results.
+        const recentYear = this.now().getFullYear() - 1;
+        const years = (lowerInput.match(/\b(19|20)\d{2}\b/g) || []).map(Number);
+        if (years.some(year => year >= recentYear)) {
+            return decision(this.name, true, "Mentions a recent year", 0.85);
+        }
+
+        if (DYNAMIC_FACT_PHRASES.some(phrase => lowerInput.includes(phrase))) {
+            return decision(this.name, true, "Dynamic fact query", 0.85);
+        }
+
+        // A follow-up to an answer that was itself search-backed ("and what about last year?") needs fresh results too.
+        const lastAssistantMessage = [...history].reverse().find(m => m.role === 'assistant');
+        if (lastAssistantMessage?.usedSearch && FOLLOW_UP_PATTERN.test(lowerInput)) {
+            return decision(this.name, true, "Follow-up to a searched answer", 0.75);
+        }
+
+        if (FACTUAL_QUESTION_PATTERN.test(lowerInput)) {
+            return decision(this.name, true, "Factual question", 0.55);
+        }
+
+        return decision(this.name, false, "No strong search indicator", 0.6);
+    }
+
+    async decide(userMessage, { history = [] } = {}) {
+        return this.evaluate(userMessage, history);
+    }
+}
+
+const CLASSIFIER_PROMPT = ChatPromptTemplate.fromMessages([
+    ["system",
+        "You decide whether answering the user's latest message requires a web search. " +
+        "Search is needed for current events, prices, schedules, recent releases, anything that changes over time, " +
+        "and specific facts (names, numbers, dates) that a language model may not know reliably. " +
+        "Search is not needed for general knowledge, explanations, opinions, creative writing, coding help, or chit-chat. " +
+        "If search is needed, also write a standalone search query for it, resolving references to earlier turns. " +
+        "Today's date is {today}."
+    ],
+    new MessagesPlaceholder("history"),
+    ["human", "{user_input}"]
+]);
+
+const CLASSIFIER_SCHEMA = z.object({
+    needsSearch: z.boolean().describe("Whether a web search is required to answer well."),
+    reason: z.string().describe("One short sentence explaining the decision."),
+    confidence: z.number().min(0).max(1).describe("How confident you are in this decision, from 0 to 1."),
+    rewrittenQuery: z.string().nullable().describe("A standalone web search query if search is needed, otherwise null."),
+});
+
+// Asks a (fast) chat model for a structured decision. The model is passed per call since it depends on the request's provider.
+class LlmSearchDecision {
+    constructor({ now = () => new Date() } = {}) {
+        this.name = 'llm';
+        this.now = now;
+    }
+
+    async decide(userMessage, { history = [], llm, callbacks, signal } = {}) {
+        if (!llm) {
+            throw new Error("LLM search decision requires a model.");
+        }
+        const messages = await CLASSIFIER_PROMPT.formatMessages({
+            today: this.now().toISOString().substring(0, 10),
+            history: history.map(m => m.role === 'assistant' ? new AIMessage(m.content) : new HumanMessage(m.content)),
+            user_input: userMessage
+        });
+        const result = await llm.withStructuredOutput(CLASSIFIER_SCHEMA, { name: "search_decision" }).invoke(messages, { callbacks, signal, tags: ["search_decision"] });
+        return decision(this.name, result.needsSearch, result.reason, result.confidence, result.needsSearch ? result.rewrittenQuery || null : null);
+    }
+}
+
+// Trusts the heuristic when it is confident, otherwise asks the classifier; falls back to the heuristic
+// if the classifier fails or is itself unsure.
+class HybridSearchDecision {
+    constructor({ heuristic = new HeuristicSearchDecision(), classifier = new LlmSearchDecision(), heuristicThreshold = 0.8, classifierThreshold = 0.5 } = {}) {
+        this.name = 'hybrid';
+        this.heuristic = heuristic;
+        this.classifier = classifier;
+        this.heuristicThreshold = heuristicThreshold;
+        this.classifierThreshold = classifierThreshold;
+    }
+
+    async decide(userMessage, context = {}) {
+        const heuristicDecision = await this.heuristic.decide(userMessage, context);
+        if (heuristicDecision.confidence >= this.heuristicThreshold || !context.llm) {
+            return { ...heuristicDecision, strategy: `${this.name}:heuristic` };
+        }
+        try {
+            const classifierDecision = await this.classifier.decide(userMessage, context);
+            if (classifierDecision.confidence >= this.classifierThreshold) {
+                return { ...classifierDecision, strategy: `${this.name}:llm` };
+            }
+            return { ...heuristicDecision, strategy: `${this.name}:heuristic`, reason: `${heuristicDecision.reason} (classifier unsure)` };
+        } catch (error) {
+            context.signal?.throwIfAborted();
+            log.warn('Classifier failed, using heuristic', { error });
+            return { ...heuristicDecision, strategy: `${this.name}:heuristic`, reason: `${heuristicDecision.reason} (classifier failed)` };
+        }
+    }
+}
+
+function createSearchDecisionStrategy(name = 'heuristic', options = {}) {
+    switch (name) {
+        case 'heuristic':
+            return new HeuristicSearchDecision(options);
+        case 'llm':
+            return new LlmSearchDecision(options);
+        case 'hybrid':
+            return new HybridSearchDecision(options);
+        default:
+            throw new Error(`Unknown search decision strategy "${name}". Use "heuristic", "llm" or "hybrid".`);
+    }
+}
+
+export {
+    HeuristicSearchDecision,
+    LlmSearchDecision,
+    HybridSearchDecision,
+    createSearchDecisionStrategy,
+};
@@ -0,0 +1,215 @@
+import { SearchResult } from '../agents/searchAgent.js';
+import { domainOf, normalizeSource, remapCitations } from './citations.js';
+
+// Search options restrict what a search may return: { includeDomains, excludeDomains, recency, country,
+// language, contextSize, maxSources }. Each provider maps what it can to its own request parameters, and
+// LangChainChatAgent filters every result through filterSearchResult, so domain, recency and count limits hold
+// for providers without native support too. Country and language only reach providers that support them.
+
+const RECENCY_DAYS = { day: 1, week: 7, month: 31, year: 366 };
+const CONTEXT_SIZES = ['low', 'medium', 'high'];
+const REGION_NAMES = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+class InvalidSearchOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidSearchOptionsError';
+    }
+}
+
+const NO_SEARCH_OPTIONS = Object.freeze({
+    includeDomains: [],
+    excludeDomains: [],
+    recency: null,
+    country: null,
+    language: null,
+    contextSize: null,
+    maxSources: null,
+});
+
+// "https://www.Example.com/path" -> "example.com".
+function normalizeDomain(value, field) {
+    const domain = String(value).trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/[/?#].*$/, '')
+        .replace(/^www\./, '');
+    if (!DOMAIN_PATTERN.test(domain)) {
+        throw new InvalidSearchOptionsError(`searchOptions.${field} contains an invalid domain: "${value}".`);
+    }
+    return domain;
+}
+
+function domainList(value, field) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    const items = typeof value === 'string' ? value.split(',').filter(item => item.trim()) : value;
+    if (!Array.isArray(items)) {
+        throw new InvalidSearchOptionsError(`searchOptions.${field} must be a list of domains.`);
+    }
+    return [...new Set(items.map(item => normalizeDomain(item, field)))];
+}
+
+function oneOf(value, allowed, field) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const normalized = String(value).toLowerCase();
+    if (!allowed.includes(normalized)) {
+        throw new InvalidSearchOptionsError(`searchOptions.${field} must be one of: ${allowed.join(', ')}.`);
+    }
+    return normalized;
+}
+
+function code(value, pattern, field, description) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || !pattern.test(value)) {
+        throw new InvalidSearchOptionsError(`searchOptions.${field} must be ${description}.`);
+    }
+    return value;
+}
+
+function countryCode(value) {
+    const country = code(value, /^[A-Za-z]{2}$/, 'country', 'a two-letter country code, e.g. "US"')?.toUpperCase() || null;
+    if (country && !REGION_NAMES.of(country)) {
+        throw new InvalidSearchOptionsError(`searchOptions.country "${value}" is not a known country code.`);
+    }
+    return country;
+}
+
+// Validates options from a request body or the environment (domain lists may be comma-separated strings there)
+// and fills in the missing ones. Throws an InvalidSearchOptionsError naming the offending field.
+function normalizeSearchOptions(raw = {}) {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new InvalidSearchOptionsError('searchOptions must be an object.');
+    }
+    const maxSources = raw.maxSources === undefined || raw.maxSources === null || raw.maxSources === '' ? null : Number(raw.maxSources);
+    if (maxSources !== null && !(Number.isInteger(maxSources) && maxSources >= 1 && maxSources <= 50)) {
+        throw new InvalidSearchOptionsError('searchOptions.maxSources must be a whole number from 1 to 50.');
+    }
+    return {
+        includeDomains: domainList(raw.includeDomains, 'includeDomains'),
+        excludeDomains: domainList(raw.excludeDomains, 'excludeDomains'),
+        recency: oneOf(raw.recency, Object.keys(RECENCY_DAYS), 'recency'),
+        country: countryCode(raw.country),
+        language: code(raw.language, /^[A-Za-z]{2,3}$/, 'language', 'a language code, e.g. "en"')?.toLowerCase() || null,
+        contextSize: oneOf(raw.contextSize, CONTEXT_SIZES, 'contextSize'),
+        maxSources,
+    };
+}
+
+// The deployment's options from SEARCH_INCLUDE_DOMAINS, SEARCH_EXCLUDE_DOMAINS (comma-separated), SEARCH_RECENCY,
+// SEARCH_COUNTRY, SEARCH_LANGUAGE, SEARCH_CONTEXT_SIZE and SEARCH_MAX_SOURCES.
+function loadSearchOptions(env = process.env) {
+    return normalizeSearchOptions({
+        includeDomains: env.SEARCH_INCLUDE_DOMAINS,
+        excludeDomains: env.SEARCH_EXCLUDE_DOMAINS,
+        recency: env.SEARCH_RECENCY,
+        country: env.SEARCH_COUNTRY,
+        language: env.SEARCH_LANGUAGE,
+        contextSize: env.SEARCH_CONTEXT_SIZE,
+        maxSources: env.SEARCH_MAX_SOURCES,
+    });
+}
+
+function domainMatches(domain, pattern) {
+    return domain === pattern || domain.endsWith(`.${pattern}`);
+}
+
+// A source whose domain can't be told (from the source or its URL) could be on the list, so it counts as excluded.
+function isExcluded(source, options) {
+    if (!options.excludeDomains.length) {
+        return false;
+    }
+    const domain = source.domain || domainOf(source.url);
+    return !domain || options.excludeDomains.some(pattern => domainMatches(domain, pattern));
+}
+
+// A request's options on top of the deployment's. The deployment's excluded domains always apply (a request
+// can add to them, never remove them, and exclusion wins over inclusion); everything else the request sets
+// replaces the deployment's value.
+function mergeSearchOptions(deployment, request) {
+    return {
+        includeDomains: request.includeDomains.length ? request.includeDomains : deployment.includeDomains,
+        excludeDomains: [...new Set([...deployment.excludeDomains, ...request.excludeDomains])],
+        recency: request.recency ?? deployment.recency,
+        country: request.country ?? deployment.country,
+        language: request.language ?? deployment.language,
+        contextSize: request.contextSize ?? deployment.contextSize,
+        maxSources: request.maxSources ?? deployment.maxSources,
+    };
+}
+
+function hasSearchOptions(options) {
+    return Boolean(options) && Object.entries(options).some(([, value]) => Array.isArray(value) ? value.length : value !== null);
+}
+
+// Search tools cache per query and options, since the same query with other options returns other results.
+function searchCacheKey(query, options) {
+    return hasSearchOptions(options) ? `${query} [search options ${JSON.stringify(options)}]` : query;
+}
+
+// Earliest publication date a source may have under the recency window.
+function recencyCutoff(recency, now = new Date()) {
+    return recency ? new Date(now.getTime() - RECENCY_DAYS[recency] * 24 * 60 * 60 * 1000) : null;
+}
+
+function sourceAllowed(source, options, cutoff) {
+    const domain = source.domain || domainOf(source.url) || '';
+    if (isExcluded(source, options)) {
+        return false;
+    }
+    if (options.includeDomains.length && !options.includeDomains.some(pattern => domainMatches(domain, pattern))) {
+        return false;
+    }
+    // Undated sources are kept: most providers don't report dates, and the provider's own recency filter
+    // (where there is one) has already applied.
+    const published = source.publishedAt ? new Date(source.publishedAt) : null;
+    return !(cutoff && published && !Number.isNaN(published.getTime()) && published < cutoff);
+}
+
+// Drops the sources the options rule out (excluded or not included domains, too old, beyond maxSources),
+// renumbers the rest and rewrites the content's [n] markers to match, removing markers of dropped sources.
+// When an excluded domain's source is dropped the provider's summary goes too, since it may repeat what that
+// source says even without its markers; the context is then built from the kept sources' snippets alone (see
+// formatSearchContext). Returns { result, removed }; the result is unchanged when nothing was dropped.
+function filterSearchResult(result, options, now = new Date()) {
+    if (!hasSearchOptions(options)) {
+        return { result, removed: 0 };
+    }
+    const cutoff = recencyCutoff(options.recency, now);
+    let kept = result.sources.filter(source => sourceAllowed(source, options, cutoff));
+    if (options.maxSources) {
+        kept = kept.slice(0, options.maxSources);
+    }
+    const removed = result.sources.length - kept.length;
+    if (!removed) {
+        return { result, removed };
+    }
+    const newIndex = new Map(kept.map((source, i) => [source.index, i + 1]));
+    const sources = kept.map(source => ({ ...source, index: newIndex.get(source.index) }));
+    const dropSummary = result.sources.some(source => isExcluded(source, options));
+    const content = dropSummary ? '' : remapCitations(result.content || '', n => newIndex.get(n) ?? null);
+    // Grounding supports point at sources by number (and at spans of the summary, so they go with it); other
+    // providers' raw citations (URLs or hits) are filtered like sources.
+    const citations = (result.citations || [])
+        .filter(citation => !(dropSummary && citation?.sourceIndices))
+        .map(citation => citation?.sourceIndices ? { ...citation, sourceIndices: citation.sourceIndices.map(n => newIndex.get(n)).filter(Boolean) } : citation)
+        .filter(citation => citation?.sourceIndices ? citation.sourceIndices.length : sourceAllowed(normalizeSource(citation, 0), options, cutoff));
+    return { result: new SearchResult(content, sources, citations, result.usage), removed };
+}
+
+export {
+    InvalidSearchOptionsError,
+    NO_SEARCH_OPTIONS,
+    normalizeSearchOptions,
+    loadSearchOptions,
+    mergeSearchOptions,
+    hasSearchOptions,
+    searchCacheKey,
+    recencyCutoff,
+    filterSearchResult,
+};
@@ -1,15 +1,32 @@
-import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
+import { createApp } from './app.js';
 import { LangChainChatAgent } from './agents/chatAgent.js';
+import { createConversationStore } from './stores/conversationStore.js';
+import { createSearchProviderRegistry } from './search/providerRegistry.js';
+import { createCacheStore } from './stores/cacheStore.js';
+import { createSearchDecisionStrategy } from './search/searchDecision.js';
+import { QueryPlanner } from './search/queryPlanner.js';
+import { DeepReader } from './search/deepReader.js';
+import { AnswerVerifier } from './search/answerVerifier.js';
+import { ResearchPlanner } from './search/researchPlanner.js';
+import { loadSearchOptions } from './search/searchOptions.js';
+import { createModelCatalog } from './models/modelCatalog.js';
+import { createPersonaRegistry } from './personas/personaRegistry.js';
+import { CircuitBreakerRegistry } from './utils/resilience.js';
+import { createUsageStore, createUsageBudgets } from './stores/usageStore.js';
+import { DEFAULT_SEARCH_PRICES } from './utils/usage.js';
+import { logger, configureLogger } from './utils/logger.js';
+import { MetricsRegistry } from './utils/metrics.js';
+import { Tracer } from './utils/tracing.js';
+import { ProviderHealthChecker } from './utils/providerHealth.js';
 
 dotenv.config();
+configureLogger();
 
-const app = express();
+const log = logger.child({ component: 'Server' });
 const port = process.env.PORT || 3000;
 
-app.use(cors());
-app.use(express.json());
+const parseList = (value) => value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
 
 const apiKeys = {
     openai: process.env.OPENAI_API_KEY,
@@ -18,54 +35,78 @@ const apiKeys = {
     perplexity: process.env.PERPLEXITY_API_KEY,
 };
 
-const chatAgent = new LangChainChatAgent(apiKeys);
-
-app.post('/chat', async (req, res) => {
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Access-Control-Allow-Origin', '*'); // Adjust for your frontend domain
-
-    const {
-        message,
-        modelProvider = 'openai',
-        modelName = 'gpt-4-turbo',
-        forceSearch = false
-    } = req.body;
-
-    if (!message) {
-        // Send initial error in SSE format, then end
-        res.write(`data: ${JSON.stringify({ type: "error", data: 'Message is required.' })}\n\n`);
-        res.write(`data: ${JSON.stringify({ type: "end" })}\n\n`);
-        return res.end();
-    }
-
-    try {
-        for await (const chunk of chatAgent.processMessage(message, modelProvider, modelName, forceSearch)) {
-            if (res.writableEnded) {
-                console.log("Client disconnected during stream.");
-                break;
-            }
-            res.write(`data: ${chunk}\n\n`); // Each yield is an SSE data event
-        }
-    } catch (error) {
-        console.error('SSE Chat endpoint top-level error:', error);
-        // Ensure an error is sent if one wasn't caught and yielded by the agent
-        if (!res.writableEnded) {
-            res.write(`data: ${JSON.stringify({ type: "error", data: error.message || "An unknown streaming error occurred." })}\n\n`);
-            res.write(`data: ${JSON.stringify({ type: "end" })}\n\n`);
-        }
-    } finally {
-        if (!res.writableEnded) {
-            res.end(); // Always close the stream
-        }
-    }
+const metrics = new MetricsRegistry();
+const conversationStore = createConversationStore();
+const cache = await createCacheStore();
+const usageStore = createUsageStore();
+const usageBudgets = createUsageBudgets();
+const circuitBreakers = new CircuitBreakerRegistry({
+    failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, 10) || 3,
+    resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_MS, 10) || 30000,
+});
+// Personas come from PERSONAS or PERSONAS_CONFIG (default config/personas.json); files are reloaded when they
+// change unless PERSONAS_WATCH=false.
+const modelCatalog = createModelCatalog();
+const personas = createPersonaRegistry(process.env, { modelCatalog });
+if (process.env.PERSONAS_WATCH !== 'false') {
+    personas.watch();
+}
+const chatAgent = new LangChainChatAgent(apiKeys, {
+    conversationStore,
+    cache,
+    searchProviders: createSearchProviderRegistry(),
+    searchDecision: createSearchDecisionStrategy(process.env.SEARCH_DECISION_STRATEGY || 'heuristic', {
+        heuristicThreshold: parseFloat(process.env.SEARCH_DECISION_HEURISTIC_THRESHOLD) || undefined,
+        classifierThreshold: parseFloat(process.env.SEARCH_DECISION_CLASSIFIER_THRESHOLD) || undefined,
+    }),
+    queryPlanner: new QueryPlanner({ maxSubQueries: parseInt(process.env.MAX_SUB_QUERIES, 10) || 3 }),
+    maxFusedSources: parseInt(process.env.MAX_FUSED_SOURCES, 10) || 10,
+    deepRead: process.env.DEEP_READ === 'true',
+    deepReader: new DeepReader({
+        cache,
+        maxSources: parseInt(process.env.DEEP_READ_MAX_SOURCES, 10) || undefined,
+        timeoutMs: parseInt(process.env.DEEP_READ_TIMEOUT_MS, 10) || undefined,
+        maxBytes: parseInt(process.env.DEEP_READ_MAX_BYTES, 10) || undefined,
+        contextMaxTokens: parseInt(process.env.DEEP_READ_CONTEXT_TOKENS, 10) || undefined,
+        userAgent: process.env.DEEP_READ_USER_AGENT || undefined,
+        allowPrivateHosts: process.env.DEEP_READ_ALLOW_PRIVATE_HOSTS === 'true',
+    }),
+    verify: process.env.VERIFY_ANSWERS === 'true',
+    answerVerifier: new AnswerVerifier({ maxClaims: parseInt(process.env.VERIFY_MAX_CLAIMS, 10) || undefined }),
+    researchPlanner: new ResearchPlanner({
+        maxSteps: parseInt(process.env.RESEARCH_MAX_STEPS, 10) || undefined,
+        timeBudgetMs: parseInt(process.env.RESEARCH_TIME_BUDGET_MS, 10) || undefined,
+        maxSections: parseInt(process.env.RESEARCH_MAX_SECTIONS, 10) || undefined,
+        maxQueriesPerStep: parseInt(process.env.RESEARCH_MAX_QUERIES_PER_STEP, 10) || undefined,
+        maxSources: parseInt(process.env.RESEARCH_MAX_SOURCES, 10) || undefined,
+    }),
+    historyMaxTokens: parseInt(process.env.HISTORY_MAX_TOKENS, 10) || 2000,
+    circuitBreakers,
+    tracer: new Tracer({ metrics }),
+    usageStore,
+    searchPrices: { ...DEFAULT_SEARCH_PRICES, ...(process.env.SEARCH_PRICES ? JSON.parse(process.env.SEARCH_PRICES) : {}) },
+    modelFailoverChain: parseList(process.env.MODEL_FAILOVER_CHAIN),
+    searchFailoverChain: parseList(process.env.SEARCH_FAILOVER_CHAIN),
+    modelRetries: process.env.MODEL_RETRIES ? parseInt(process.env.MODEL_RETRIES, 10) : undefined,
+    searchOptions: loadSearchOptions(),
+    modelCatalog,
+    personas,
+    searchRequestOptions: {
+        timeoutMs: parseInt(process.env.SEARCH_TIMEOUT_MS, 10) || undefined,
+        retries: process.env.SEARCH_RETRIES ? parseInt(process.env.SEARCH_RETRIES, 10) : undefined,
+    },
 });
 
-app.get('/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+// Model providers are checked live (cached for HEALTH_CHECK_TTL_MS) unless HEALTH_CHECKS=false; search tools,
+// and providers without a check, are reported from their circuit breakers.
+const healthChecker = process.env.HEALTH_CHECKS === 'false' ? null : new ProviderHealthChecker({
+    apiKeys,
+    timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || undefined,
+    ttlMs: parseInt(process.env.HEALTH_CHECK_TTL_MS, 10) || undefined,
 });
 
+const app = createApp({ chatAgent, conversationStore, cache, usageStore, usageBudgets, circuitBreakers, metrics, healthChecker });
+
 app.listen(port, () => {
-    console.log(`Server running on port ${port}`);
-});
\ No newline at end of file
+    log.info(`Server running on port ${port}`, { port });
+});
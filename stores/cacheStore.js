@@ -0,0 +1,340 @@
+import { promises as fs, readFileSync } from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'CacheStore' });
+
+// Folds case, whitespace, curly quotes and the punctuation around a query, so "What’s the weather in Paris?" and
+// "what's the  weather in paris" share one entry. Symbols within the query ("C++", "$100", "1.5") are kept.
+function normalizeCacheKey(key) {
+    return String(key)
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[‘’]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s"']+|[\s"'?!.]+$/g, '');
+}
+
+// Backends store { value, createdAt, expiresAt } entries under a flat string key and expose
+// get/set/delete/keys/clear. Expiry is enforced by CacheStore; backends only need to hold entries.
+
+// Bounded LRU: a Map iterates in insertion order, so re-inserting on read keeps the oldest entry first.
+class MemoryCacheBackend {
+    constructor({ maxEntries = 500 } = {}) {
+        this.name = 'memory';
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.evictions = 0;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async keys() {
+        return [...this.entries.keys()];
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+// Memory LRU that snapshots itself to a JSON file after every change, so cached searches survive restarts.
+class FileCacheBackend extends MemoryCacheBackend {
+    constructor({ filePath, maxEntries = 500 } = {}) {
+        super({ maxEntries });
+        this.name = 'file';
+        this.filePath = filePath;
+        this.writing = Promise.resolve();
+        try {
+            for (const [key, entry] of JSON.parse(readFileSync(filePath, 'utf8'))) {
+                this.entries.set(key, entry);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.warn('Could not load the cache file, starting empty', { backend: 'file', filePath, error });
+            }
+        }
+    }
+
+    _persist() {
+        // Writes are chained so two quick changes can't interleave; each writes the latest snapshot.
+        this.writing = this.writing.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify([...this.entries]));
+            await fs.rename(tempPath, this.filePath);
+        }).catch(error => log.error('Failed to write the cache file', { backend: 'file', filePath: this.filePath, error }));
+        return this.writing;
+    }
+
+    async set(key, entry) {
+        await super.set(key, entry);
+        await this._persist();
+    }
+
+    async delete(key) {
+        const deleted = await super.delete(key);
+        await this._persist();
+        return deleted;
+    }
+
+    async clear() {
+        await super.clear();
+        await this._persist();
+    }
+}
+
+// Works with any client exposing the ioredis-style get/set(key, value, 'PX', ms)/del/keys commands.
+// Redis expires entries itself; size limits come from the server's maxmemory/eviction policy.
+class RedisCacheBackend {
+    constructor({ client, prefix = 'websearch:cache:' } = {}) {
+        if (!client) {
+            throw new Error("RedisCacheBackend requires a client.");
+        }
+        this.name = 'redis';
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        const raw = await this.client.get(this.prefix + key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(key, entry) {
+        await this.client.set(this.prefix + key, JSON.stringify(entry), 'PX', Math.max(1, entry.expiresAt - Date.now()));
+    }
+
+    async delete(key) {
+        return (await this.client.del(this.prefix + key)) > 0;
+    }
+
+    async keys() {
+        const keys = await this.client.keys(`${this.prefix}*`);
+        return keys.map(k => k.substring(this.prefix.length));
+    }
+
+    async clear() {
+        const keys = await this.client.keys(`${this.prefix}*`);
+        if (keys.length) {
+            await this.client.del(...keys);
+        }
+    }
+}
+
+// In-process stand-in for a Redis client, implementing just the commands RedisCacheBackend uses.
+class InMemoryRedisClient {
+    constructor() {
+        this.data = new Map();
+    }
+
+    _live(key) {
+        const item = this.data.get(key);
+        if (item && item.expiresAt !== null && item.expiresAt <= Date.now()) {
+            this.data.delete(key);
+            return null;
+        }
+        return item || null;
+    }
+
+    async get(key) {
+        return this._live(key)?.value ?? null;
+    }
+
+    async set(key, value, mode, ttl) {
+        this.data.set(key, { value: String(value), expiresAt: mode === 'PX' ? Date.now() + ttl : null });
+        return 'OK';
+    }
+
+    async del(...keys) {
+        return keys.filter(key => this.data.delete(key)).length;
+    }
+
+    async keys(pattern) {
+        const regex = new RegExp(`^${pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+        return [...this.data.keys()].filter(key => this._live(key) && regex.test(key));
+    }
+}
+
+class CacheStore {
+    constructor({ backend = new MemoryCacheBackend(), defaultTTL = 5 * 60 * 1000, ttls = {}, now = Date.now } = {}) {
+        this.backend = backend;
+        this.defaultTTL = defaultTTL;
+        this.ttls = ttls; // Per-namespace overrides, e.g. { perplexity_web_search: 600000 }
+        this.now = now;
+        this.counters = new Map();
+    }
+
+    _key(namespace, key) {
+        return `${namespace}:${normalizeCacheKey(key)}`;
+    }
+
+    _count(namespace, field) {
+        if (!this.counters.has(namespace)) {
+            this.counters.set(namespace, { hits: 0, misses: 0, sets: 0 });
+        }
+        this.counters.get(namespace)[field]++;
+    }
+
+    ttlFor(namespace) {
+        return this.ttls[namespace] ?? this.defaultTTL;
+    }
+
+    async get(namespace, key) {
+        const cacheKey = this._key(namespace, key);
+        const entry = await this.backend.get(cacheKey);
+        if (!entry || entry.expiresAt <= this.now()) {
+            if (entry) {
+                await this.backend.delete(cacheKey);
+            }
+            this._count(namespace, 'misses');
+            return null;
+        }
+        this._count(namespace, 'hits');
+        return entry.value;
+    }
+
+    async set(namespace, key, value, ttl = this.ttlFor(namespace)) {
+        const now = this.now();
+        await this.backend.set(this._key(namespace, key), { value, createdAt: now, expiresAt: now + ttl });
+        this._count(namespace, 'sets');
+    }
+
+    // Returns the cached value, or computes, stores and returns it. Failures are not cached.
+    // With a tracing `span` (e.g. a search call's), the lookup is traced as its child "cache.lookup" span and
+    // the span gets a "cache.hit" attribute.
+    async getOrSet(namespace, key, compute, { span } = {}) {
+        const lookup = span?.child('cache.lookup', { 'cache.namespace': namespace, 'cache.backend': this.backend.name });
+        let cached;
+        try {
+            cached = await this.get(namespace, key);
+        } catch (error) {
+            lookup?.fail(error);
+            throw error;
+        }
+        lookup?.end({ 'cache.hit': cached !== null });
+        span?.setAttributes({ 'cache.hit': cached !== null });
+        if (cached !== null) {
+            return cached;
+        }
+        const value = await compute();
+        await this.set(namespace, key, value);
+        return value;
+    }
+
+    async delete(namespace, key) {
+        return this.backend.delete(this._key(namespace, key));
+    }
+
+    // Removes every entry, or only those in `namespace`. Returns the number of entries removed.
+    async purge(namespace) {
+        const keys = (await this.backend.keys()).filter(k => !namespace || k.startsWith(`${namespace}:`));
+        if (!namespace) {
+            await this.backend.clear();
+            return keys.length;
+        }
+        for (const key of keys) {
+            await this.backend.delete(key);
+        }
+        return keys.length;
+    }
+
+    async entries() {
+        const now = this.now();
+        const entries = [];
+        for (const cacheKey of await this.backend.keys()) {
+            const entry = await this.backend.get(cacheKey);
+            if (!entry || entry.expiresAt <= now) {
+                continue;
+            }
+            const separator = cacheKey.indexOf(':');
+            entries.push({
+                namespace: cacheKey.substring(0, separator),
+                key: cacheKey.substring(separator + 1),
+                createdAt: new Date(entry.createdAt).toISOString(),
+                expiresAt: new Date(entry.expiresAt).toISOString()
+            });
+        }
+        return entries;
+    }
+
+    stats() {
+        const namespaces = {};
+        const totals = { hits: 0, misses: 0, sets: 0 };
+        for (const [namespace, counts] of this.counters) {
+            const lookups = counts.hits + counts.misses;
+            namespaces[namespace] = { ...counts, hitRatio: lookups ? counts.hits / lookups : 0, ttl: this.ttlFor(namespace) };
+            totals.hits += counts.hits;
+            totals.misses += counts.misses;
+            totals.sets += counts.sets;
+        }
+        const lookups = totals.hits + totals.misses;
+        return {
+            backend: this.backend.name,
+            maxEntries: this.backend.maxEntries ?? null,
+            evictions: this.backend.evictions ?? null,
+            totals: { ...totals, hitRatio: lookups ? totals.hits / lookups : 0 },
+            namespaces
+        };
+    }
+}
+
+async function createCacheStore(env = process.env) {
+    const type = (env.CACHE_BACKEND || 'memory').toLowerCase();
+    const maxEntries = parseInt(env.CACHE_MAX_ENTRIES, 10) || 500;
+    const options = {
+        defaultTTL: parseInt(env.CACHE_TTL_MS, 10) || 5 * 60 * 1000,
+        ttls: env.CACHE_TTLS ? JSON.parse(env.CACHE_TTLS) : {}
+    };
+
+    if (type === 'file') {
+        const filePath = env.CACHE_FILE_PATH || './data/cache.json';
+        log.info('Using file cache', { filePath });
+        return new CacheStore({ ...options, backend: new FileCacheBackend({ filePath, maxEntries }) });
+    }
+    if (type === 'redis') {
+        try {
+            // ioredis is an optional dependency; only deployments using Redis need to install it.
+            const { default: Redis } = await import('ioredis');
+            log.info('Using Redis cache');
+            return new CacheStore({ ...options, backend: new RedisCacheBackend({ client: new Redis(env.REDIS_URL) }) });
+        } catch (error) {
+            log.warn('Redis cache unavailable, falling back to in-memory cache', { error });
+        }
+    } else if (type !== 'memory') {
+        log.warn('Unknown CACHE_BACKEND, falling back to in-memory cache', { backend: type });
+    }
+    return new CacheStore({ ...options, backend: new MemoryCacheBackend({ maxEntries }) });
+}
+
+export {
+    CacheStore,
+    MemoryCacheBackend,
+    FileCacheBackend,
+    RedisCacheBackend,
+    InMemoryRedisClient,
+    createCacheStore,
+    normalizeCacheKey,
+};
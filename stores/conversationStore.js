@@ -0,0 +1,183 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'ConversationStore' });
+
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+function isValidConversationId(conversationId) {
+    return typeof conversationId === 'string' && CONVERSATION_ID_PATTERN.test(conversationId);
+}
+
+function newConversationId() {
+    return randomUUID();
+}
+
+// Conversations belong to the user whose turn started them (`userId`); the API only shows a conversation to
+// its owner (see app.js). Conversations stored before owners were recorded have none and are shown to nobody.
+function ownsConversation(conversation, userId) {
+    return Boolean(conversation?.userId) && conversation.userId === userId;
+}
+
+// Summary returned by listConversations(); the full message list is only returned by getConversation().
+function summarize(conversation) {
+    const firstUserMessage = conversation.messages.find(m => m.role === 'user');
+    return {
+        id: conversation.id,
+        title: firstUserMessage ? firstUserMessage.content.substring(0, 80) : '',
+        messageCount: conversation.messages.length,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+    };
+}
+
+class InMemoryConversationStore {
+    constructor() {
+        this.conversations = new Map();
+    }
+
+    async getConversation(conversationId) {
+        return this.conversations.get(conversationId) || null;
+    }
+
+    async getMessages(conversationId) {
+        const conversation = await this.getConversation(conversationId);
+        return conversation ? conversation.messages : [];
+    }
+
+    // `userId` becomes the owner of a new conversation; an existing one keeps its owner.
+    async appendMessages(conversationId, messages, { userId = null } = {}) {
+        const now = new Date().toISOString();
+        let conversation = this.conversations.get(conversationId);
+        if (!conversation) {
+            conversation = { id: conversationId, userId, createdAt: now, updatedAt: now, messages: [] };
+            this.conversations.set(conversationId, conversation);
+        }
+        conversation.messages.push(...messages.map(m => ({ ...m, timestamp: m.timestamp || now })));
+        conversation.updatedAt = now;
+        return conversation;
+    }
+
+    // With a userId, only that user's conversations.
+    async listConversations({ userId } = {}) {
+        return [...this.conversations.values()]
+            .filter(conversation => userId === undefined || ownsConversation(conversation, userId))
+            .map(summarize)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async deleteConversation(conversationId) {
+        return this.conversations.delete(conversationId);
+    }
+}
+
+// Persists each conversation as <directory>/<conversationId>.json so history survives restarts.
+class FileConversationStore {
+    constructor(directory) {
+        this.directory = directory;
+        this.ready = fs.mkdir(directory, { recursive: true });
+        this.writes = new Map(); // conversationId -> the latest append's promise
+    }
+
+    _filePath(conversationId) {
+        if (!isValidConversationId(conversationId)) {
+            throw new Error(`Invalid conversation id "${conversationId}".`);
+        }
+        return path.join(this.directory, `${conversationId}.json`);
+    }
+
+    async getConversation(conversationId) {
+        await this.ready;
+        try {
+            const raw = await fs.readFile(this._filePath(conversationId), 'utf8');
+            return JSON.parse(raw);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async getMessages(conversationId) {
+        const conversation = await this.getConversation(conversationId);
+        return conversation ? conversation.messages : [];
+    }
+
+    // Appends to one conversation are chained, so overlapping turns (a retry, a second tab) can't read the same
+    // file and overwrite each other's messages. A failed append doesn't stop the ones queued after it.
+    appendMessages(conversationId, messages, { userId = null } = {}) {
+        const write = (this.writes.get(conversationId) || Promise.resolve())
+            .catch(() => {})
+            .then(() => this._append(conversationId, messages, userId));
+        this.writes.set(conversationId, write);
+        write.catch(() => {}).finally(() => {
+            if (this.writes.get(conversationId) === write) {
+                this.writes.delete(conversationId);
+            }
+        });
+        return write;
+    }
+
+    async _append(conversationId, messages, userId) {
+        const now = new Date().toISOString();
+        const conversation = await this.getConversation(conversationId) ||
+            { id: conversationId, userId, createdAt: now, updatedAt: now, messages: [] };
+        conversation.messages.push(...messages.map(m => ({ ...m, timestamp: m.timestamp || now })));
+        conversation.updatedAt = now;
+
+        // Write to a temp file first so a crash mid-write never leaves a truncated conversation behind.
+        const filePath = this._filePath(conversationId);
+        const tempPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(conversation, null, 2));
+        await fs.rename(tempPath, filePath);
+        return conversation;
+    }
+
+    async listConversations({ userId } = {}) {
+        await this.ready;
+        const files = (await fs.readdir(this.directory)).filter(f => f.endsWith('.json'));
+        const conversations = await Promise.all(files.map(f => this.getConversation(path.basename(f, '.json'))));
+        return conversations
+            .filter(conversation => conversation && (userId === undefined || ownsConversation(conversation, userId)))
+            .map(summarize)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async deleteConversation(conversationId) {
+        await this.ready;
+        try {
+            await fs.unlink(this._filePath(conversationId));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+function createConversationStore(env = process.env) {
+    const type = (env.CONVERSATION_STORE || 'memory').toLowerCase();
+    if (type === 'file') {
+        const directory = env.CONVERSATION_STORE_PATH || './data/conversations';
+        log.info('Using file store', { directory });
+        return new FileConversationStore(directory);
+    }
+    if (type !== 'memory') {
+        log.warn('Unknown CONVERSATION_STORE, falling back to in-memory store', { store: type });
+    }
+    return new InMemoryConversationStore();
+}
+
+export {
+    InMemoryConversationStore,
+    FileConversationStore,
+    createConversationStore,
+    isValidConversationId,
+    newConversationId,
+    ownsConversation,
+};
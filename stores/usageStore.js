@@ -0,0 +1,150 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'UsageStore' });
+
+// Usage is aggregated per user and calendar month (UTC), e.g. "2026-10", which is also the budget period.
+function usagePeriod(date = new Date()) {
+    return date.toISOString().substring(0, 7);
+}
+
+function emptyTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, searchContextTokens: 0, totalTokens: 0, searches: 0, cost: 0, updatedAt: null };
+}
+
+function addSummary(totals, summary, now) {
+    totals.requests += 1;
+    totals.promptTokens += summary.promptTokens;
+    totals.completionTokens += summary.completionTokens;
+    totals.searchContextTokens += summary.searchContextTokens;
+    totals.totalTokens += summary.totalTokens;
+    totals.searches += summary.searches.length;
+    totals.cost = Math.round((totals.cost + summary.cost.total) * 1e6) / 1e6;
+    totals.updatedAt = now.toISOString();
+    return totals;
+}
+
+class InMemoryUsageStore {
+    constructor({ now = () => new Date() } = {}) {
+        this.now = now;
+        this.usage = {}; // userId -> period -> totals
+    }
+
+    // Adds one request's UsageTracker summary to the user's totals for the current period.
+    async record(userId, summary) {
+        const now = this.now();
+        const period = usagePeriod(now);
+        const periods = this.usage[userId] || (this.usage[userId] = {});
+        return addSummary(periods[period] || (periods[period] = emptyTotals()), summary, now);
+    }
+
+    async getUsage(userId, period = usagePeriod(this.now())) {
+        return { ...emptyTotals(), ...this.usage[userId]?.[period] };
+    }
+
+    async listUsage(period = usagePeriod(this.now())) {
+        return Object.keys(this.usage)
+            .filter(userId => this.usage[userId][period])
+            .map(userId => ({ userId, ...this.usage[userId][period] }))
+            .sort((a, b) => b.cost - a.cost);
+    }
+}
+
+// Keeps the same totals in a single JSON file so budgets survive restarts.
+class FileUsageStore extends InMemoryUsageStore {
+    constructor(filePath, options = {}) {
+        super(options);
+        this.filePath = filePath;
+        this.ready = this._load();
+        this.writes = Promise.resolve();
+    }
+
+    async _load() {
+        try {
+            this.usage = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    async record(userId, summary) {
+        await this.ready;
+        const totals = await super.record(userId, summary);
+        // Writes are chained so concurrent requests never interleave; temp file + rename as in FileConversationStore.
+        // A failed write is logged and the totals stay in memory, so the next write saves them.
+        this.writes = this.writes.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(this.usage, null, 2));
+            await fs.rename(tempPath, this.filePath);
+        }).catch(error => log.error('Failed to write the usage file', { filePath: this.filePath, error }));
+        await this.writes;
+        return totals;
+    }
+
+    async getUsage(userId, period) {
+        await this.ready;
+        return super.getUsage(userId, period);
+    }
+
+    async listUsage(period) {
+        await this.ready;
+        return super.listUsage(period);
+    }
+}
+
+// Budgets limit a user's spend per period: { maxCostUsd, maxTokens }, either of which may be omitted.
+// `users` overrides the `default` budget for specific users; a user with no budget is never rejected.
+class UsageBudgets {
+    constructor({ default: defaultBudget = null, users = {} } = {}) {
+        this.defaultBudget = defaultBudget;
+        this.users = users;
+    }
+
+    budgetFor(userId) {
+        return this.users[userId] || this.defaultBudget || null;
+    }
+
+    // Resolves to { allowed, reason, budget, usage }.
+    async check(usageStore, userId) {
+        const budget = this.budgetFor(userId);
+        const usage = await usageStore.getUsage(userId);
+        if (budget?.maxCostUsd !== undefined && usage.cost >= budget.maxCostUsd) {
+            return { allowed: false, reason: `Usage budget of $${budget.maxCostUsd} for ${usagePeriod(usageStore.now())} exceeded.`, budget, usage };
+        }
+        if (budget?.maxTokens !== undefined && usage.totalTokens >= budget.maxTokens) {
+            return { allowed: false, reason: `Usage budget of ${budget.maxTokens} tokens for ${usagePeriod(usageStore.now())} exceeded.`, budget, usage };
+        }
+        return { allowed: true, reason: null, budget, usage };
+    }
+}
+
+function createUsageStore(env = process.env) {
+    const type = (env.USAGE_STORE || 'memory').toLowerCase();
+    if (type === 'file') {
+        const filePath = env.USAGE_STORE_PATH || './data/usage.json';
+        log.info('Using file store', { filePath });
+        return new FileUsageStore(filePath);
+    }
+    if (type !== 'memory') {
+        log.warn('Unknown USAGE_STORE, falling back to in-memory store', { store: type });
+    }
+    return new InMemoryUsageStore();
+}
+
+// USAGE_BUDGETS: {"default": {"maxCostUsd": 5}, "users": {"alice": {"maxCostUsd": 50, "maxTokens": 5000000}}}
+function createUsageBudgets(env = process.env) {
+    return new UsageBudgets(env.USAGE_BUDGETS ? JSON.parse(env.USAGE_BUDGETS) : {});
+}
+
+export {
+    InMemoryUsageStore,
+    FileUsageStore,
+    UsageBudgets,
+    createUsageStore,
+    createUsageBudgets,
+    usagePeriod,
+};
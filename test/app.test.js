@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../app.js';
+import { createApiKeyAuth } from '../middleware/auth.js';
+import { InMemoryConversationStore } from '../stores/conversationStore.js';
+import { InMemoryUsageStore, UsageBudgets } from '../stores/usageStore.js';
+import { CircuitBreakerRegistry } from '../utils/resilience.js';
+import { ScriptedChatModel } from './support/fakeModels.js';
+import { createTestAgent } from './support/testAgent.js';
+
+const servers = [];
+after(() => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve)))));
+
+const API_KEYS = JSON.stringify([{ key: 'key-a', userId: 'alice' }, { key: 'key-b', userId: 'bob' }]);
+
+async function startApp(agentOptions = {}) {
+    const conversationStore = new InMemoryConversationStore();
+    const usageStore = new InMemoryUsageStore();
+    const circuitBreakers = new CircuitBreakerRegistry();
+    const { agent } = createTestAgent({ conversationStore, usageStore, circuitBreakers, ...agentOptions });
+    const app = createApp({ chatAgent: agent, conversationStore, cache: agent.cache, usageStore, usageBudgets: new UsageBudgets(), circuitBreakers }, { API_KEYS });
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    servers.push(server);
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, conversationStore };
+}
+
+function request(baseUrl, path, key, { method = 'GET', body } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+        body: body && JSON.stringify(body),
+    });
+}
+
+test('conversations are only visible to, continued and deleted by the user who started them', async () => {
+    const model = new ScriptedChatModel({ responses: ['secret answer', 'follow-up answer'] });
+    const { baseUrl, conversationStore } = await startApp({ models: { 'gpt-test': model } });
+
+    const started = await request(baseUrl, '/chat', 'key-a', { method: 'POST', body: { message: 'my private medical question', mode: 'rules', conversationId: 'alice-1' } });
+    await started.text();
+    assert.equal((await conversationStore.getConversation('alice-1')).userId, 'alice');
+
+    assert.deepEqual((await (await request(baseUrl, '/conversations', 'key-b')).json()).conversations, []);
+    const read = await request(baseUrl, '/conversations/alice-1', 'key-b');
+    assert.equal(read.status, 404);
+    assert.doesNotMatch(await read.text(), /secret answer/);
+    const continued = await request(baseUrl, '/chat', 'key-b', { method: 'POST', body: { message: 'and then?', mode: 'rules', conversationId: 'alice-1' } });
+    assert.equal(continued.status, 404);
+    assert.equal((await request(baseUrl, '/conversations/alice-1', 'key-b', { method: 'DELETE' })).status, 404);
+
+    assert.deepEqual((await (await request(baseUrl, '/conversations', 'key-a')).json()).conversations.map(conversation => conversation.id), ['alice-1']);
+    assert.equal((await (await request(baseUrl, '/conversations/alice-1', 'key-a')).json()).messages[1].content, 'secret answer');
+    await (await request(baseUrl, '/chat', 'key-a', { method: 'POST', body: { message: 'and then?', mode: 'rules', conversationId: 'alice-1' } })).text();
+    assert.equal((await conversationStore.getMessages('alice-1')).length, 4);
+    assert.equal((await request(baseUrl, '/conversations/alice-1', 'key-a', { method: 'DELETE' })).status, 204);
+});
+
+test('without API keys every caller is anonymous, unless the X-User-Id header is explicitly trusted', () => {
+    const authenticate = (middleware, userIdHeader) => {
+        const req = { get: name => (name === 'X-User-Id' ? userIdHeader : undefined) };
+        middleware(req, {}, () => {});
+        return req.auth.userId;
+    };
+    const open = createApiKeyAuth([]);
+    assert.equal(authenticate(open, 'alice'), 'anonymous');
+    assert.equal(authenticate(open, undefined), 'anonymous');
+
+    const trusting = createApiKeyAuth([], { trustUserIdHeader: true });
+    assert.equal(authenticate(trusting, 'alice'), 'alice');
+    assert.equal(authenticate(trusting, 'not a user id!'), 'anonymous');
+});
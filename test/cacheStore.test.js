@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CacheStore, MemoryCacheBackend, normalizeCacheKey } from '../stores/cacheStore.js';
+
+// A clock the tests move by hand.
+function manualClock(start = 1_700_000_000_000) {
+    const clock = { time: start, now: () => clock.time, advance: ms => { clock.time += ms; } };
+    return clock;
+}
+
+test('entries are served until their TTL runs out, then recomputed', async () => {
+    const clock = manualClock();
+    const cache = new CacheStore({ defaultTTL: 1000, now: clock.now });
+    let computed = 0;
+    const compute = async () => ({ answer: ++computed });
+
+    assert.deepEqual(await cache.getOrSet('search', 'query', compute), { answer: 1 });
+    clock.advance(999);
+    assert.deepEqual(await cache.getOrSet('search', 'query', compute), { answer: 1 });
+    clock.advance(1);
+    assert.deepEqual(await cache.getOrSet('search', 'query', compute), { answer: 2 });
+    assert.equal(computed, 2);
+    assert.deepEqual(cache.stats().namespaces.search, { hits: 1, misses: 2, sets: 2, hitRatio: 1 / 3, ttl: 1000 });
+});
+
+test('per-namespace TTLs override the default', async () => {
+    const clock = manualClock();
+    const cache = new CacheStore({ defaultTTL: 1000, ttls: { slow: 5000 }, now: clock.now });
+    await cache.set('fast', 'q', 'fast value');
+    await cache.set('slow', 'q', 'slow value');
+
+    clock.advance(2000);
+    assert.equal(await cache.get('fast', 'q'), null);
+    assert.equal(await cache.get('slow', 'q'), 'slow value');
+    assert.equal(cache.ttlFor('slow'), 5000);
+    assert.equal(cache.ttlFor('other'), 1000);
+});
+
+test('expired entries are removed from the backend and left out of entries()', async () => {
+    const clock = manualClock();
+    const backend = new MemoryCacheBackend();
+    const cache = new CacheStore({ backend, defaultTTL: 1000, now: clock.now });
+    await cache.set('search', 'old', 1);
+    clock.advance(600);
+    await cache.set('search', 'new', 2);
+    clock.advance(600);
+
+    assert.deepEqual((await cache.entries()).map(entry => entry.key), ['new']);
+    assert.equal(await cache.get('search', 'old'), null);
+    assert.deepEqual(await backend.keys(), ['search:new']);
+});
+
+test('failures are not cached', async () => {
+    const cache = new CacheStore();
+    await assert.rejects(cache.getOrSet('search', 'q', async () => { throw new Error('provider down'); }), /provider down/);
+    assert.equal(await cache.getOrSet('search', 'q', async () => 'recovered'), 'recovered');
+});
+
+test('keys are normalized, so differently typed queries share an entry', async () => {
+    const cache = new CacheStore();
+    await cache.set('search', "What’s the weather in Paris?", 'sunny');
+    assert.equal(await cache.get('search', "what's the  weather in PARIS"), 'sunny');
+    assert.equal(normalizeCacheKey('  "Hello,   World!" '), 'hello, world');
+});
+
+test('key normalization keeps the symbols that change what a query means', () => {
+    const distinct = (...queries) => assert.equal(new Set(queries.map(normalizeCacheKey)).size, queries.length);
+    distinct('C++ tutorial', 'C# tutorial', 'C tutorial');
+    distinct('laptops under $100', 'laptops under 100');
+    distinct('python 1.5 release', 'python 1 5 release');
+});
+
+test('the memory backend evicts the least recently used entry', async () => {
+    const backend = new MemoryCacheBackend({ maxEntries: 2 });
+    const cache = new CacheStore({ backend });
+    await cache.set('search', 'a', 1);
+    await cache.set('search', 'b', 2);
+    await cache.get('search', 'a');
+    await cache.set('search', 'c', 3);
+
+    assert.equal(await cache.get('search', 'b'), null);
+    assert.equal(await cache.get('search', 'a'), 1);
+    assert.equal(backend.evictions, 1);
+});
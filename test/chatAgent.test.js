@@ -0,0 +1,262 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIMessageChunk, HumanMessage } from '@langchain/core/messages';
+import { ScriptedChatModel } from './support/fakeModels.js';
+import { FakeSearchTool } from './support/fakeSearchTool.js';
+import { createTestAgent, collectEvents } from './support/testAgent.js';
+import { ResearchPlanner } from '../search/researchPlanner.js';
+import { PersonaRegistry } from '../personas/personaRegistry.js';
+
+const PROMPT = [new HumanMessage('Hello?')];
+
+async function collect(stream) {
+    const output = [];
+    for await (const item of stream) {
+        output.push(item);
+    }
+    return output;
+}
+
+test('models come from the injected chatModelFactory with the catalog settings', () => {
+    const { agent, chatModelFactory } = createTestAgent({ modelRetries: 1 });
+
+    assert.deepEqual(chatModelFactory.built.map(({ entry }) => entry.id), ['gpt-test', 'gpt-test-mini', 'claude-test', 'claude-test-haiku']);
+    assert.deepEqual(chatModelFactory.built[0].fields, { apiKey: 'test-key', model: 'gpt-test', temperature: 0.2, streaming: true, maxRetries: 1 });
+    assert.ok(agent.models.openai_capable instanceof ScriptedChatModel);
+    assert.equal(agent.models.google_capable, undefined);
+});
+
+test('injected tools replace the built-in search tools', () => {
+    const search = new FakeSearchTool();
+    const { agent } = createTestAgent({ tools: [search], apiKeys: { openai: 'test-key', google: 'test-key', perplexity: 'test-key' } });
+
+    assert.deepEqual(Object.keys(agent.tools), ['perplexity_web_search']);
+    assert.equal(agent.tools.perplexity_web_search, search);
+});
+
+test('_getLLM returns the provider default or a named model, and null for anything unavailable', () => {
+    const { agent } = createTestAgent();
+
+    assert.equal(agent._getLLM('openai'), agent.models.openai_capable);
+    assert.equal(agent._getLLM('openai', 'gpt-test-mini'), agent.models.openai_fast);
+    assert.equal(agent._getLLM('anthropic', 'claude-test').model, 'claude-test');
+    assert.equal(agent._getLLM('google'), null, 'provider without an API key');
+    assert.equal(agent._getLLM('openai', 'no-such-model'), null);
+    assert.equal(agent._getLLM('mistral'), null);
+});
+
+test('_getLLM reuses clients, and clients for per-request model options are reused for the same options', () => {
+    const { agent, chatModelFactory } = createTestAgent();
+    const before = chatModelFactory.built.length;
+
+    assert.equal(agent._getLLM('openai'), agent._getLLM('openai'));
+    assert.equal(chatModelFactory.built.length, before);
+
+    const entry = agent.resolveModel('openai', 'gpt-test');
+    agent._clientFor(entry, { temperature: 0.9, maxTokens: 100 });
+    assert.equal(chatModelFactory.built.length, before + 1);
+    assert.equal(chatModelFactory.built.at(-1).fields.temperature, 0.9);
+    assert.equal(chatModelFactory.built.at(-1).fields.maxTokens, 100);
+
+    const client = chatModelFactory.built.at(-1).model;
+    assert.equal(agent._clientFor(entry, { maxTokens: 100, temperature: 0.9 }), client);
+    assert.notEqual(agent._clientFor(entry, { temperature: 0.9, maxTokens: 200 }), client);
+    assert.equal(chatModelFactory.built.length, before + 2);
+});
+
+test('_streamGenerate streams the model output and records a success', async () => {
+    const openai = new ScriptedChatModel({ responses: ['Hi there, friend.'] });
+    const { agent } = createTestAgent({ models: { 'gpt-test': openai } });
+
+    const output = await collect(agent._streamGenerate(openai, PROMPT, 'Hello?', 'openai'));
+
+    assert.deepEqual(output, ['Hi ', 'there, ', 'friend.']);
+    assert.equal(openai.calls.length, 1);
+    assert.equal(agent.breakers.get('llm:openai').failures, 0);
+});
+
+test('_streamGenerate streams and stores the text of content-block chunks, as Anthropic sends them', async () => {
+    const claude = new ScriptedChatModel();
+    claude.stream = async function* () {
+        for (const text of ['Hello ', 'world.']) {
+            yield new AIMessageChunk({ content: [{ type: 'text_delta', index: 0, text }] });
+        }
+    };
+    const { agent } = createTestAgent({ models: { 'claude-test': claude } });
+
+    const events = await collectEvents(agent.processMessage('Hi', 'anthropic', null, false, { mode: 'rules', conversationId: 'c-blocks' }));
+
+    assert.deepEqual(events.filter(event => event.type === 'chunk').map(event => event.data), ['Hello ', 'world.']);
+    assert.equal((await agent.conversationStore.getMessages('c-blocks'))[1].content, 'Hello world.');
+});
+
+test('_streamGenerate fails over to the next provider when one fails before streaming', async () => {
+    const openai = new ScriptedChatModel({ responses: [{ error: 'OpenAI is down' }] });
+    const anthropic = new ScriptedChatModel({ responses: ['Answer from Claude.'] });
+    const { agent } = createTestAgent({ models: { 'gpt-test': openai, 'claude-test': anthropic }, modelFailoverChain: ['anthropic'] });
+
+    const output = await collect(agent._streamGenerate(openai, PROMPT, 'Hello?', 'openai'));
+
+    assert.deepEqual(output, [
+        { type: 'failover', data: { capability: 'llm', provider: 'anthropic', model: 'claude-test', reason: 'OpenAI is down' } },
+        'Answer ', 'from ', 'Claude.',
+    ]);
+    assert.equal(agent.breakers.get('llm:openai').failures, 1);
+});
+
+test('_streamGenerate skips a provider whose circuit breaker is open', async () => {
+    const openai = new ScriptedChatModel();
+    const anthropic = new ScriptedChatModel({ responses: ['Fine.'] });
+    const { agent } = createTestAgent({ models: { 'gpt-test': openai, 'claude-test': anthropic }, modelFailoverChain: ['anthropic'] });
+    const breaker = agent.breakers.get('llm:openai');
+    for (let i = 0; i < breaker.failureThreshold; i++) {
+        breaker.recordFailure();
+    }
+
+    const output = await collect(agent._streamGenerate(openai, PROMPT, 'Hello?', 'openai'));
+
+    assert.deepEqual(output[0].data.reason, 'circuit breaker for openai is open');
+    assert.deepEqual(output.slice(1), ['Fine.']);
+    assert.equal(openai.calls.length, 0);
+});
+
+test('_streamGenerate ends a mid-stream failure with the error fallback instead of switching providers', async () => {
+    const openai = new ScriptedChatModel({ responses: [{ text: 'Partial answer that breaks', error: 'connection reset', afterChunks: 2 }] });
+    const openaiFast = new ScriptedChatModel({ responses: ['Sorry, something went wrong.'] });
+    const anthropic = new ScriptedChatModel();
+    const { agent } = createTestAgent({ models: { 'gpt-test': openai, 'gpt-test-mini': openaiFast, 'claude-test': anthropic }, modelFailoverChain: ['anthropic'] });
+
+    const output = await collect(agent._streamGenerate(openai, PROMPT, 'Hello?', 'openai'));
+
+    assert.deepEqual(output, ['Partial ', 'answer ', 'Sorry, ', 'something ', 'went ', 'wrong.']);
+    assert.equal(anthropic.calls.length, 0);
+    assert.match(openaiFast.calls[0].messages.at(-1).content, /Original user query: Hello\?/);
+});
+
+test('_streamGenerate reports the error itself when every model and the fallback fail', async () => {
+    const openai = new ScriptedChatModel({ responses: [{ error: 'invalid api key' }] });
+    const openaiFast = new ScriptedChatModel({ responses: [{ error: 'invalid api key' }] });
+    const { agent } = createTestAgent({ models: { 'gpt-test': openai, 'gpt-test-mini': openaiFast } });
+
+    const output = await collect(agent._streamGenerate(openai, PROMPT, 'Hello?', 'openai'));
+
+    assert.deepEqual(output, ['Error generating response: invalid api key']);
+});
+
+test('rules mode answers from the fake search tool and reports its usage', async () => {
+    const search = new FakeSearchTool({
+        results: { 'latest rust release': { content: 'Rust 1.90 is out [1].', sources: [{ url: 'https://blog.rust-lang.org/', title: 'Rust Blog' }] } },
+    });
+    const openai = new ScriptedChatModel({ responses: ['Rust 1.90 [1].'] });
+    const { agent } = createTestAgent({ models: { 'gpt-test': openai }, tools: [search] });
+
+    const events = await collectEvents(agent.processMessage('latest rust release', 'openai', null, false, { mode: 'rules', conversationId: 'c1' }));
+
+    assert.deepEqual(search.queries, ['latest rust release']);
+    assert.deepEqual(events.map(event => event.type), ['metadata', 'chunk', 'chunk', 'chunk', 'citations', 'usage', 'end']);
+    assert.equal(events[0].data.searchTool, 'perplexity_web_search');
+    assert.match(openai.calls[0].messages[0].content, /Rust 1\.90 is out \[1\]\./);
+    const usage = events.find(event => event.type === 'usage').data;
+    assert.deepEqual(usage.searches.map(search => search.tool), ['perplexity_web_search']);
+    assert.deepEqual(usage.llmCalls.map(({ purpose, model, inputTokens, outputTokens }) => ({ purpose, model, inputTokens, outputTokens })), [
+        { purpose: 'answer', model: 'gpt-test', inputTokens: 10, outputTokens: 5 },
+    ]);
+});
+
+test('research mode searches the outline, then the gaps it finds, and ends the report with a bibliography', async () => {
+    const search = new FakeSearchTool({
+        results: {
+            'acme pricing': { content: 'Acme costs $10 per seat [1].', sources: [{ url: 'https://acme.example/pricing', title: 'Acme Pricing' }] },
+            'acme soc 2': { content: 'Acme is SOC 2 certified [1].', sources: [{ url: 'https://acme.example/trust', title: 'Acme Trust Center', date: '2026-01-05' }] },
+            'acme iso 27001': { content: 'Acme holds ISO 27001 [1].', sources: [{ url: 'https://acme.example/trust', title: 'Acme Trust Center' }] },
+        },
+    });
+    const openai = new ScriptedChatModel({
+        structured: [
+            { title: 'Acme: pricing and compliance', sections: [{ heading: 'Pricing', query: 'acme pricing' }, { heading: 'Compliance', query: 'acme soc 2' }] },
+            { gaps: [{ section: 'Compliance', query: 'acme iso 27001', reason: 'No ISO certification found yet.' }, { section: 'Pricing', query: 'Acme pricing', reason: 'Repeat.' }] },
+            { gaps: [] },
+        ],
+        responses: ['# Acme\n\nAcme costs $10 [1] and is SOC 2 certified [2].'],
+    });
+    const { agent } = createTestAgent({ models: { 'gpt-test': openai }, tools: [search] });
+
+    const events = await collectEvents(agent.processMessage('Research Acme pricing and compliance', 'openai', null, false, { mode: 'research', conversationId: 'c1' }));
+
+    assert.deepEqual(search.queries, ['acme pricing', 'acme soc 2', 'acme iso 27001']);
+    assert.equal(events[0].type, 'metadata');
+    assert.equal(events[0].data.mode, 'research');
+    const progress = events.filter(event => event.type === 'progress').map(event => event.data);
+    assert.deepEqual(progress.map(({ step, phase }) => `${step}:${phase}`), ['0:outline', '1:search', '1:review', '2:search', '2:review', '2:writing']);
+    assert.deepEqual(progress[0].sections, ['Pricing', 'Compliance']);
+    assert.deepEqual(progress[2].gaps.map(gap => gap.query), ['acme iso 27001']);
+    assert.equal(progress.at(-1).stopReason, 'covered');
+    assert.equal(progress.at(-1).sources, 2);
+
+    const chunks = events.filter(event => event.type === 'chunk').map(event => event.data);
+    // The trust center was found in both rounds, so fusion ranks it first.
+    assert.equal(chunks.at(-1), '\n\n## Sources\n\n1. [Acme Trust Center](https://acme.example/trust) (acme.example, 2026-01-05)\n2. [Acme Pricing](https://acme.example/pricing) (acme.example)\n');
+    assert.deepEqual(events.find(event => event.type === 'citations').data.citations.map(citation => citation.index), [1, 2]);
+    const conversation = await agent.conversationStore.getConversation('c1');
+    assert.ok(conversation.messages[1].content.endsWith(chunks.at(-1)));
+});
+
+test('research mode stops at the step budget, and researches the question itself when the outline fails', async () => {
+    const search = new FakeSearchTool({ fallback: { content: 'Globex costs $12 [1].', sources: [{ url: 'https://globex.example/', title: 'Globex' }] } });
+    const openai = new ScriptedChatModel({ structured: [new Error('no structured output')], responses: ['Globex costs $12 [1].'] });
+    const { agent } = createTestAgent({ models: { 'gpt-test': openai }, tools: [search], researchPlanner: new ResearchPlanner({ maxSteps: 1 }) });
+
+    const events = await collectEvents(agent.processMessage('How much does Globex cost?', 'openai', null, false, { mode: 'research' }));
+
+    const progress = events.filter(event => event.type === 'progress').map(event => event.data);
+    assert.equal(progress[0].strategy, 'fallback');
+    assert.deepEqual(search.queries, ['How much does Globex cost?']);
+    assert.deepEqual(progress.map(({ phase }) => phase), ['outline', 'search', 'review', 'writing']);
+    assert.equal(progress.at(-1).stopReason, 'max_steps');
+    assert.equal(openai.structured.length, 0, 'no gap review without budget for another round');
+});
+
+test('a persona brings its prompt, language, temperature, model and search policy', async () => {
+    const search = new FakeSearchTool({ results: {} });
+    const claude = new ScriptedChatModel({ responses: ['Hallo!'] });
+    const personas = new PersonaRegistry([
+        { id: 'default' },
+        { id: 'kundenservice', systemPrompt: 'Du bist der Kundenservice von Example.', language: 'German', temperature: 0.2, model: 'claude-test', search: 'never' },
+    ]);
+    const { agent, chatModelFactory } = createTestAgent({ models: { 'claude-test': claude }, tools: [search], personas });
+
+    const events = await collectEvents(agent.processMessage('Hi there', null, null, false, { persona: 'kundenservice', conversationId: 'c-persona' }));
+
+    assert.deepEqual(search.queries, []);
+    assert.equal(events[0].data.persona, 'kundenservice');
+    assert.equal(events[0].data.mode, 'rules');
+    assert.equal(events[0].data.model, 'claude-test');
+    assert.equal(claude.calls[0].messages[0].content, 'Du bist der Kundenservice von Example.\n\nAlways answer in German, whatever the language of the question or the sources.');
+    assert.equal(chatModelFactory.built.at(-1).fields.temperature, 0.2);
+    const stored = await agent.conversationStore.getConversation('c-persona');
+    assert.equal(stored.messages.at(-1).persona, 'kundenservice');
+});
+
+test('research mode cites no more sources than the request\'s searchOptions.maxSources', async () => {
+    const search = new FakeSearchTool({
+        results: {
+            'acme pricing': { content: 'Acme costs $10 per seat [1].', sources: [{ url: 'https://acme.example/pricing', title: 'Acme Pricing' }] },
+            'acme soc 2': { content: 'Acme is SOC 2 certified [1].', sources: [{ url: 'https://acme.example/trust', title: 'Acme Trust Center' }] },
+        },
+    });
+    const openai = new ScriptedChatModel({
+        structured: [
+            { title: 'Acme', sections: [{ heading: 'Pricing', query: 'acme pricing' }, { heading: 'Compliance', query: 'acme soc 2' }] },
+            { gaps: [] },
+        ],
+        responses: ['# Acme\n\nAcme costs $10 [1].'],
+    });
+    const { agent } = createTestAgent({ models: { 'gpt-test': openai }, tools: [search] });
+
+    const events = await collectEvents(agent.processMessage('Research Acme', 'openai', null, false, { mode: 'research', searchOptions: { maxSources: 1 } }));
+
+    const progress = events.filter(event => event.type === 'progress').map(event => event.data);
+    assert.deepEqual(progress.filter(data => data.phase !== 'outline' && data.phase !== 'search').map(data => data.sources), [1, 1]);
+    const bibliography = events.filter(event => event.type === 'chunk').at(-1).data;
+    assert.equal(bibliography.match(/^\d+\. /gm).length, 1);
+});
@@ -0,0 +1,209 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../app.js';
+import { InMemoryConversationStore } from '../stores/conversationStore.js';
+import { InMemoryUsageStore, UsageBudgets } from '../stores/usageStore.js';
+import { CircuitBreakerRegistry } from '../utils/resilience.js';
+import { ScriptedChatModel } from './support/fakeModels.js';
+import { FakeSearchTool } from './support/fakeSearchTool.js';
+import { createTestAgent } from './support/testAgent.js';
+import { PersonaRegistry } from '../personas/personaRegistry.js';
+
+const servers = [];
+after(() => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve)))));
+
+// The app on an ephemeral port, around a test agent built from `agentOptions`.
+async function startApp(agentOptions = {}, env = {}) {
+    const conversationStore = new InMemoryConversationStore();
+    const usageStore = new InMemoryUsageStore();
+    const circuitBreakers = new CircuitBreakerRegistry();
+    const { agent } = createTestAgent({ conversationStore, usageStore, circuitBreakers, ...agentOptions });
+    const app = createApp({ chatAgent: agent, conversationStore, cache: agent.cache, usageStore, usageBudgets: new UsageBudgets(), circuitBreakers }, env);
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    servers.push(server);
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, agent, conversationStore, usageStore };
+}
+
+function postChat(baseUrl, body, headers = {}) {
+    return fetch(`${baseUrl}/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+}
+
+// The events of an SSE response body, parsed.
+async function readEvents(response) {
+    const text = await response.text();
+    return [...text.matchAll(/^data: (.*)$/gm)].map(match => JSON.parse(match[1]));
+}
+
+const NODE_RESULT = {
+    content: 'Node.js 22 is the active LTS line [1].',
+    sources: [{ url: 'https://nodejs.org/en/about/previous-releases', title: 'Node.js Releases' }],
+};
+
+test('POST /chat in agent mode streams metadata, the tool call and result, the answer, citations, usage and end', async () => {
+    const search = new FakeSearchTool({ results: { 'node lts version': NODE_RESULT } });
+    const model = new ScriptedChatModel({
+        responses: [
+            { toolCalls: [{ id: 'call_1', name: 'perplexity_web_search', args: { query: 'node lts version' } }] },
+            'Node 22 is LTS [1].',
+        ],
+    });
+    const { baseUrl, conversationStore } = await startApp({ models: { 'gpt-test': model }, tools: [search] });
+
+    const response = await postChat(baseUrl, { message: 'Which Node version is LTS?', conversationId: 'conv-1', requestId: 'req-1' });
+    const events = await readEvents(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+    assert.equal(response.headers.get('x-request-id'), 'req-1');
+    assert.deepEqual(events.map(event => event.type), [
+        'metadata', 'tool_call', 'tool_result', 'chunk', 'chunk', 'chunk', 'chunk', 'chunk', 'citations', 'usage', 'end',
+    ]);
+    assert.deepEqual(events[0].data, { conversationId: 'conv-1', requestId: 'req-1', mode: 'agent', model: 'gpt-test', persona: 'default', availableTools: ['perplexity_web_search'] });
+    assert.deepEqual(events[1].data, { id: 'call_1', name: 'perplexity_web_search', args: { query: 'node lts version' } });
+    assert.equal(events[2].data.isError, false);
+    assert.equal(events[2].data.sources[0].url, 'https://nodejs.org/en/about/previous-releases');
+    assert.equal(events.filter(event => event.type === 'chunk').map(event => event.data).join(''), 'Node 22 is LTS [1].');
+    assert.equal(events[8].data.citations[0].index, 1);
+    assert.equal(events[9].data.llmCalls.length, 2);
+    assert.deepEqual(model.boundTools, [search]);
+
+    const conversation = await conversationStore.getConversation('conv-1');
+    assert.deepEqual(conversation.messages.map(message => [message.role, message.content]), [
+        ['user', 'Which Node version is LTS?'],
+        ['assistant', 'Node 22 is LTS [1].'],
+    ]);
+});
+
+test('POST /chat in rules mode searches first and streams metadata, chunks, citations, usage and end', async () => {
+    const search = new FakeSearchTool({ results: { 'latest node lts': NODE_RESULT } });
+    const model = new ScriptedChatModel({ responses: ['Node 22 [1].'] });
+    const { baseUrl } = await startApp({ models: { 'gpt-test': model }, tools: [search] });
+
+    const events = await readEvents(await postChat(baseUrl, { message: 'latest node lts', mode: 'rules' }));
+
+    assert.deepEqual(events.map(event => event.type), ['metadata', 'chunk', 'chunk', 'chunk', 'citations', 'usage', 'end']);
+    assert.equal(events[0].data.mode, 'rules');
+    assert.equal(events[0].data.usedSearch, true);
+    assert.equal(events[0].data.isSearchSuccessful, true);
+    assert.deepEqual(events[0].data.searchTools, ['perplexity_web_search']);
+    assert.deepEqual(search.queries, ['latest node lts']);
+});
+
+test('POST /chat reports a failed model as a chunk, then usage and end', async () => {
+    const model = new ScriptedChatModel({ responses: [{ error: 'invalid api key' }] });
+    const fast = new ScriptedChatModel({ responses: [{ error: 'invalid api key' }] });
+    const { baseUrl } = await startApp({ models: { 'gpt-test': model, 'gpt-test-mini': fast } });
+
+    const events = await readEvents(await postChat(baseUrl, { message: 'Write a haiku', mode: 'rules' }));
+
+    assert.deepEqual(events.map(event => event.type), ['metadata', 'chunk', 'usage', 'end']);
+    assert.equal(events[1].data, 'Error generating response: invalid api key');
+});
+
+test('POST /chat rejects invalid requests with a JSON error before streaming', async () => {
+    const { baseUrl } = await startApp();
+
+    const cases = [
+        [{}, 400, 'Message is required.'],
+        [{ message: 'hi', mode: 'chaos' }, 400, 'mode must be "agent", "rules" or "research".'],
+        [{ message: 'hi', modelProvider: 'google' }, 400, 'Model provider "google" is not configured. Check API keys.'],
+        [{ message: 'hi', searchOptions: { recency: 'decade' } }, 400, 'searchOptions.recency must be one of: day, week, month, year.'],
+        [{ message: 'x'.repeat(9000) }, 413, 'Message is too long (9000 characters, the limit is 8000).'],
+    ];
+    for (const [body, status, error] of cases) {
+        const response = await postChat(baseUrl, body);
+        assert.equal(response.status, status, JSON.stringify(body).substring(0, 50));
+        assert.deepEqual(await response.json(), { error });
+    }
+});
+
+test('POST /chat passes searchOptions to the search tools and never cites the deployment\'s blocked domains', async () => {
+    const search = new FakeSearchTool({
+        results: {
+            'latest node lts': {
+                content: 'Node.js 22 is the active LTS line [1][2].',
+                sources: [
+                    { url: 'https://forum.blocked.example/node-lts', title: 'Blocked' },
+                    { url: 'https://nodejs.org/en/about/previous-releases', title: 'Node.js Releases' },
+                ],
+            },
+        },
+    });
+    const model = new ScriptedChatModel({ responses: ['Node 22 [1].'] });
+    const { baseUrl } = await startApp({ models: { 'gpt-test': model }, tools: [search], searchOptions: { excludeDomains: 'blocked.example' } });
+
+    const events = await readEvents(await postChat(baseUrl, {
+        message: 'latest node lts', mode: 'rules', searchOptions: { recency: 'week', excludeDomains: ['pinterest.com'] },
+    }));
+
+    assert.deepEqual(search.searchOptions[0].excludeDomains, ['blocked.example', 'pinterest.com']);
+    assert.equal(search.searchOptions[0].recency, 'week');
+    // The provider's summary drew on the blocked source, so only the kept source reaches the model.
+    const context = model.calls[0].messages.map(message => message.content).join('\n');
+    assert.match(context, /\[1\] Node\.js Releases\nhttps:\/\/nodejs\.org\/en\/about\/previous-releases/);
+    assert.doesNotMatch(context, /active LTS line|Blocked/);
+    const citations = events.find(event => event.type === 'citations').data.citations;
+    assert.deepEqual(citations.map(citation => citation.source.url), ['https://nodejs.org/en/about/previous-releases']);
+});
+
+test('POST /chat requires an API key when API_KEYS is set', async () => {
+    const model = new ScriptedChatModel({ responses: ['Hello.'] });
+    const { baseUrl, usageStore } = await startApp({ models: { 'gpt-test': model } }, { API_KEYS: JSON.stringify([{ key: 'secret-key', userId: 'alice' }]) });
+
+    assert.equal((await postChat(baseUrl, { message: 'hi' })).status, 401);
+
+    const events = await readEvents(await postChat(baseUrl, { message: 'hi', mode: 'rules' }, { Authorization: 'Bearer secret-key' }));
+    assert.deepEqual(events.map(event => event.type), ['metadata', 'chunk', 'usage', 'end']);
+    assert.equal((await usageStore.listUsage()).map(entry => entry.userId).join(), 'alice');
+});
+
+test('POST /chat uses the key\'s default persona and refuses personas the key may not use', async () => {
+    const model = new ScriptedChatModel({ responses: ['Hello.'] });
+    const personas = new PersonaRegistry([{ id: 'default' }, { id: 'support', label: 'Support' }, { id: 'legal', systemPrompt: 'Internal only.' }]);
+    const { baseUrl } = await startApp({ models: { 'gpt-test': model }, personas }, {
+        API_KEYS: JSON.stringify([{ key: 'tenant-key', userId: 'tenant', personas: ['support'], defaultPersona: 'support' }]),
+    });
+    const headers = { Authorization: 'Bearer tenant-key' };
+
+    const events = await readEvents(await postChat(baseUrl, { message: 'hi', mode: 'rules' }, headers));
+    assert.equal(events[0].data.persona, 'support');
+
+    const forbidden = await postChat(baseUrl, { message: 'hi', persona: 'legal' }, headers);
+    assert.equal(forbidden.status, 403);
+    assert.deepEqual(await forbidden.json(), { error: 'This API key may not use persona "legal".' });
+    const unknown = await postChat(baseUrl, { message: 'hi', persona: 'sales' }, headers);
+    assert.equal(unknown.status, 400);
+
+    const listed = await (await fetch(`${baseUrl}/personas`, { headers })).json();
+    assert.deepEqual(listed.personas, [
+        { id: 'support', label: 'Support', description: '', language: null, outputFormat: 'prose', search: 'auto', model: null, default: true },
+    ]);
+});
+
+test('POST /v1/chat/completions reports an answer cut short by an error as a failure, not a complete one', async () => {
+    const { baseUrl, agent } = await startApp({ models: { 'gpt-test': new ScriptedChatModel() } });
+    agent.processMessage = async function* () {
+        yield JSON.stringify({ type: 'chunk', data: 'Node 22 is ' }) + '\n';
+        yield JSON.stringify({ type: 'error', data: 'Answer verification failed' }) + '\n';
+        yield JSON.stringify({ type: 'end' }) + '\n';
+    };
+    const complete = (body) => fetch(`${baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: 'gpt-test', messages: [{ role: 'user', content: 'Which Node version is LTS?' }], ...body }),
+    });
+
+    const response = await complete({});
+    assert.equal(response.status, 502);
+    assert.equal((await response.json()).error.message, 'Answer verification failed');
+
+    const streamed = await complete({ stream: true });
+    const text = await streamed.text();
+    const chunks = [...text.matchAll(/^data: (\{.*)$/gm)].map(match => JSON.parse(match[1]));
+    assert.equal(chunks[1].choices[0].delta.content, 'Node 22 is ');
+    assert.equal(chunks.some(chunk => chunk.choices?.[0].finish_reason === 'stop'), false);
+    assert.equal(chunks[chunks.length - 1].error.message, 'Answer verification failed');
+    assert.match(text, /data: \[DONE\]\n\n$/);
+});
@@ -0,0 +1,24 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { FileConversationStore } from '../stores/conversationStore.js';
+
+const directory = mkdtempSync(path.join(tmpdir(), 'conversations-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+test('FileConversationStore keeps every message of overlapping appends to one conversation', async () => {
+    const store = new FileConversationStore(directory);
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.appendMessages('c1', [
+        { role: 'user', content: `question ${i}` },
+        { role: 'assistant', content: `answer ${i}` },
+    ])));
+
+    const messages = await store.getMessages('c1');
+    assert.equal(messages.length, 20);
+    assert.deepEqual(messages.filter(message => message.role === 'user').map(message => message.content).sort(),
+        Array.from({ length: 10 }, (_, i) => `question ${i}`).sort());
+    assert.deepEqual(readdirSync(directory), ['c1.json']);
+});
@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DeepReader } from '../search/deepReader.js';
+import { RobotsPolicy } from '../search/robots.js';
+import { normalizeSources } from '../search/citations.js';
+import { CacheStore } from '../stores/cacheStore.js';
+import './support/quietLogs.js';
+
+// The pages in fixtures/sources, served from 127.0.0.1, which only a reader with allowPrivateHosts may fetch.
+const FIXTURES = fileURLToPath(new URL('../fixtures/sources/', import.meta.url));
+const CONTENT_TYPES = { '.html': 'text/html; charset=utf-8', '.pdf': 'application/pdf', '.txt': 'text/plain' };
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer(async (req, res) => {
+        const file = path.join(FIXTURES, path.normalize(new URL(req.url, 'http://fixtures').pathname));
+        try {
+            const body = await readFile(file);
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' }).end(body);
+        } catch {
+            res.writeHead(404).end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+function fixtureSources(...paths) {
+    return normalizeSources(paths.map(page => ({ url: `${baseUrl}${page}`, title: page })));
+}
+
+test('read extracts passages from HTML and PDF sources and refuses pages robots.txt disallows', async () => {
+    const reader = new DeepReader({ allowPrivateHosts: true, maxSources: 4 });
+    const sources = fixtureSources('/article.html', '/report.pdf', '/private/secret.html', '/private/public-note.html');
+
+    const result = await reader.read('solar panel efficiency and wind power capacity', sources);
+
+    assert.deepEqual(result.read, [1, 2, 4]);
+    assert.deepEqual(result.failures, [{ index: 3, url: `${baseUrl}/private/secret.html`, reason: 'robots' }]);
+    assert.match(result.content, /perovskite.silicon tandem cells set a record efficiency of 33\.9 percent/);
+    assert.match(result.content, /passed 1000 gigawatts in 2023/);
+    assert.doesNotMatch(result.content, /Subscribe|window\.analytics|must never be read/);
+});
+
+test('read refuses private addresses unless allowPrivateHosts is set', async () => {
+    const reader = new DeepReader();
+
+    const result = await reader.read('solar panel efficiency', fixtureSources('/article.html'));
+
+    assert.equal(result.content, null);
+    assert.deepEqual(result.failures, [{ index: 1, url: `${baseUrl}/article.html`, reason: 'private_host' }]);
+});
+
+test('fetchDocument caches each exact URL on its own, even when URLs differ only by case or punctuation', async () => {
+    const reader = new DeepReader({ cache: new CacheStore() });
+    const fetched = [];
+    reader._fetchDocument = async (url) => {
+        fetched.push(url);
+        return { url, title: url, text: `Text of ${url}` };
+    };
+    const urls = ['https://example.com/Docs/a-b', 'https://example.com/docs/a?b', 'https://example.com/docs/a/b'];
+
+    for (const url of urls) {
+        assert.equal((await reader.fetchDocument(url)).text, `Text of ${url}`);
+    }
+    assert.equal((await reader.fetchDocument(urls[0])).text, `Text of ${urls[0]}`);
+    assert.deepEqual(fetched, urls);
+});
+
+test("RobotsPolicy shares one robots.txt fetch, which a caller's cancellation does not abort", async () => {
+    const fetchSignals = [];
+    let respond;
+    const robots = new RobotsPolicy({
+        userAgent: 'TestBot/1.0',
+        fetchRobotsTxt: (url, { signal }) => {
+            fetchSignals.push(signal);
+            return new Promise(resolve => { respond = resolve; });
+        }
+    });
+    const first = new AbortController();
+    const cancelled = robots.isAllowed('https://example.com/a', { signal: first.signal });
+    const waiting = robots.isAllowed('https://example.com/private/b', { signal: new AbortController().signal });
+
+    first.abort(new Error('Cancelled'));
+    await assert.rejects(cancelled, /Cancelled/);
+    respond({ status: 200, text: 'User-agent: *\nDisallow: /private' });
+
+    assert.equal(await waiting, false);
+    assert.equal(await robots.isAllowed('https://example.com/c'), true);
+    assert.equal(fetchSignals.length, 1);
+    assert.equal(fetchSignals[0].aborted, false);
+});
+
+test('RobotsPolicy drops expired origins and keeps at most maxOrigins', async () => {
+    let now = 0;
+    const robots = new RobotsPolicy({
+        userAgent: 'TestBot/1.0',
+        fetchRobotsTxt: async () => ({ status: 404, text: '' }),
+        ttlMs: 1000,
+        maxOrigins: 2,
+        now: () => now
+    });
+    await robots.isAllowed('https://a.example/');
+    now = 500;
+    await robots.isAllowed('https://b.example/');
+    await robots.isAllowed('https://c.example/');
+    assert.deepEqual([...robots.origins.keys()], ['https://b.example', 'https://c.example']);
+
+    now = 1600;
+    await robots.isAllowed('https://d.example/');
+    assert.deepEqual([...robots.origins.keys()], ['https://d.example']);
+});
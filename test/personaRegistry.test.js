@@ -0,0 +1,67 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ModelCatalog } from '../models/modelCatalog.js';
+import { PersonaRegistry, createPersonaRegistry, personaInstructions } from '../personas/personaRegistry.js';
+import { TEST_MODELS } from './support/testAgent.js';
+
+const directory = mkdtempSync(path.join(tmpdir(), 'personas-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+test('personas get the built-in prompts and defaults for what they leave out', () => {
+    const registry = new PersonaRegistry([{ id: 'support', label: 'Support' }, { id: 'legal', default: true, language: 'German', search: 'always' }]);
+
+    const legal = registry.get();
+    assert.equal(legal.id, 'legal');
+    assert.equal(legal.outputFormat, 'prose');
+    assert.match(legal.ragPrompt, /\{search_context\}/);
+    assert.equal(registry.get('support').label, 'Support');
+    assert.deepEqual(registry.list().map(persona => [persona.id, persona.default]), [['support', false], ['legal', true]]);
+    assert.equal(new PersonaRegistry().get().id, 'default');
+    assert.throws(() => registry.get('sales'), { name: 'PersonaNotFoundError', message: 'Unknown persona "sales". Available personas: support, legal.' });
+});
+
+test('invalid personas are rejected with a message naming the persona and field', () => {
+    const modelCatalog = new ModelCatalog(TEST_MODELS);
+    for (const [persona, message] of [
+        [{ id: 'a', ragPrompt: 'Answer from the results.' }, 'Persona "a": ragPrompt must contain {search_context}.'],
+        [{ id: 'a', ragPrompt: 'Context: {search_context} as {format}' }, 'Persona "a": ragPrompt uses unknown variables {format}; write literal braces as {{ and }}.'],
+        [{ id: 'a', outputFormat: 'json' }, 'Persona "a": outputFormat "json" needs a "jsonSchema" object.'],
+        [{ id: 'a', search: 'sometimes' }, 'Persona "a": search must be one of: auto, always, never.'],
+        [{ id: 'a', temperature: 3 }, 'Persona "a": temperature must be a number between 0 and 2.'],
+        [{ id: 'a', searchOptions: { recency: 'decade' } }, 'Persona "a": searchOptions.recency must be one of: day, week, month, year.'],
+    ]) {
+        assert.throws(() => new PersonaRegistry([persona], { modelCatalog }), { name: 'InvalidPersonaError', message });
+    }
+    assert.throws(() => new PersonaRegistry([{ id: 'a', model: 'gpt-unknown' }], { modelCatalog }), { name: 'InvalidPersonaError', message: /^Persona "a": / });
+    assert.throws(() => new PersonaRegistry([{ id: 'a' }, { id: 'a' }]), { message: 'Persona "a" is defined twice.' });
+    // Literal braces are fine once doubled.
+    assert.doesNotThrow(() => new PersonaRegistry([{ id: 'a', ragPrompt: 'Reply as {{"answer": "..."}}.\n\n{search_context}' }]));
+});
+
+test('personaInstructions asks for the language and output format', () => {
+    const persona = new PersonaRegistry([{ id: 'api', language: 'French', outputFormat: 'json', jsonSchema: { type: 'object' } }]).get();
+
+    assert.match(personaInstructions(persona), /^Always answer in French, .*\n\nAnswer with a single JSON object .*\{"type":"object"\}$/s);
+    assert.equal(personaInstructions(persona, { format: false }), 'Always answer in French, whatever the language of the question or the sources.');
+    assert.equal(personaInstructions(new PersonaRegistry().get()), null);
+});
+
+test('reload picks up a changed config file and keeps the current personas when it is invalid', () => {
+    const file = path.join(directory, 'personas.json');
+    writeFileSync(file, JSON.stringify([{ id: 'support' }]));
+    const registry = createPersonaRegistry({ PERSONAS_CONFIG: file });
+    assert.deepEqual(registry.list().map(persona => persona.id), ['support']);
+
+    writeFileSync(file, JSON.stringify([{ id: 'support' }, { id: 'legal', default: true }]));
+    assert.deepEqual(registry.reload().map(persona => persona.id), ['support', 'legal']);
+    assert.equal(registry.get().id, 'legal');
+
+    writeFileSync(file, JSON.stringify([{ id: 'support', errorFallbackPrompt: 'Sorry.' }]));
+    assert.throws(() => registry.reload(), { name: 'InvalidPersonaError' });
+    assert.deepEqual(registry.list().map(persona => persona.id), ['support', 'legal']);
+
+    assert.throws(() => createPersonaRegistry({ PERSONAS: '[{"id":"inline"}]' }).reload(), /nothing to reload/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, TimeoutError, retry } from '../utils/resilience.js';
+import './support/quietLogs.js';
+
+function openBreaker() {
+    let now = 0;
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeoutMs: 1000, now: () => now });
+    breaker.recordFailure();
+    return { breaker, advance: (ms) => { now += ms; } };
+}
+
+test('a half-open circuit breaker lets a single trial request through', () => {
+    const { breaker, advance } = openBreaker();
+    assert.equal(breaker.canRequest(), false);
+
+    advance(1000);
+    // Two concurrent callers: only the first one gets the trial, until it records its outcome.
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.isAvailable(), false);
+
+    breaker.recordSuccess();
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.canRequest(), true);
+});
+
+test('a failed trial reopens the breaker, and an abandoned one is given up after the reset timeout', () => {
+    const { breaker, advance } = openBreaker();
+    advance(1000);
+    assert.equal(breaker.canRequest(), true);
+    breaker.recordFailure();
+    assert.equal(breaker.snapshot().state, 'open');
+    assert.equal(breaker.canRequest(), false);
+
+    advance(1000);
+    assert.equal(breaker.canRequest(), true);
+    advance(999);
+    assert.equal(breaker.canRequest(), false);
+    advance(1);
+    assert.equal(breaker.canRequest(), true);
+
+    breaker.releaseTrial();
+    assert.equal(breaker.isAvailable(), true);
+});
+
+test('retry stops waiting for the backoff as soon as the signal is aborted', async () => {
+    const controller = new AbortController();
+    let attempts = 0;
+    const started = Date.now();
+    const pending = retry(() => {
+        attempts++;
+        setTimeout(() => controller.abort(new Error('Cancelled')), 10);
+        throw new TimeoutError('Request', 5);
+    }, { retries: 3, baseDelayMs: 10000, maxDelayMs: 10000, signal: controller.signal });
+
+    await assert.rejects(pending, /Cancelled/);
+    assert.equal(attempts, 1);
+    assert.ok(Date.now() - started < 1000);
+});
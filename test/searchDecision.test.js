@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeuristicSearchDecision } from '../search/searchDecision.js';
+import { createTestAgent } from './support/testAgent.js';
+
+const { agent } = createTestAgent();
+
+test('shouldSearchWeb searches for explicit commands, time-sensitive and dynamic-fact questions', () => {
+    for (const message of [
+        'Search for the best hiking trails near Denver',
+        'Look up the opening hours of the Louvre',
+        'What is the latest news about the Mars rover?',
+        'What happened today in the markets?',
+        'What is the weather in Paris?',
+        'stock price of ACME',
+        'Who won the match last night?',
+    ]) {
+        assert.equal(agent.shouldSearchWeb(message), true, message);
+    }
+});
+
+test('shouldSearchWeb answers general knowledge, creative and coding requests directly', () => {
+    for (const message of [
+        'Explain how photosynthesis works',
+        'Write a haiku about autumn',
+        'Refactor this function to use async/await',
+        'Tell me a joke',
+    ]) {
+        assert.equal(agent.shouldSearchWeb(message), false, message);
+    }
+});
+
+test('shouldSearchWeb treats factual questions as needing search', () => {
+    assert.equal(agent.shouldSearchWeb('Who wrote The Brothers Karamazov?'), true);
+    assert.equal(agent.shouldSearchWeb('How many moons does Jupiter have?'), true);
+});
+
+test('shouldSearchWeb searches for follow-ups only when the previous answer used search', () => {
+    const searched = [
+        { role: 'user', content: 'What is the GDP of France?' },
+        { role: 'assistant', content: 'About $3 trillion [1].', usedSearch: true },
+    ];
+    const unsearched = [
+        { role: 'user', content: 'Explain recursion' },
+        { role: 'assistant', content: 'Recursion is ...', usedSearch: false },
+    ];
+    assert.equal(agent.shouldSearchWeb('and what about its population', searched), true);
+    assert.equal(agent.shouldSearchWeb('and what about its population', unsearched), false);
+});
+
+test('only last year onward counts as a recent year', () => {
+    const decision = new HeuristicSearchDecision({ now: () => new Date('2026-06-01T00:00:00Z') });
+    assert.deepEqual(decision.evaluate('Summarize the 2025 budget debate'), {
+        strategy: 'heuristic', needsSearch: true, reason: 'Mentions a recent year', confidence: 0.85, rewrittenQuery: null,
+    });
+    assert.equal(decision.evaluate('Summarize the 2019 budget debate').needsSearch, false);
+    assert.equal(decision.evaluate('Describe the 1969 moon landing').needsSearch, false);
+});
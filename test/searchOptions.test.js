@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchResult } from '../agents/searchAgent.js';
+import { normalizeSources, formatSearchContext } from '../search/citations.js';
+import {
+    NO_SEARCH_OPTIONS,
+    normalizeSearchOptions,
+    loadSearchOptions,
+    mergeSearchOptions,
+    searchCacheKey,
+    filterSearchResult,
+} from '../search/searchOptions.js';
+
+test('normalizeSearchOptions cleans up domains and codes and fills in the missing options', () => {
+    assert.deepEqual(normalizeSearchOptions({
+        includeDomains: ['https://www.NodeJS.org/en/', 'nodejs.org', 'developer.mozilla.org'],
+        recency: 'Week',
+        country: 'de',
+        language: 'DE',
+        maxSources: 5,
+    }), {
+        includeDomains: ['nodejs.org', 'developer.mozilla.org'],
+        excludeDomains: [],
+        recency: 'week',
+        country: 'DE',
+        language: 'de',
+        contextSize: null,
+        maxSources: 5,
+    });
+    assert.deepEqual(normalizeSearchOptions({}), NO_SEARCH_OPTIONS);
+});
+
+test('normalizeSearchOptions rejects invalid options, naming the field', () => {
+    for (const [raw, message] of [
+        [[], 'searchOptions must be an object.'],
+        [{ includeDomains: 'not a domain' }, 'searchOptions.includeDomains contains an invalid domain: "not a domain".'],
+        [{ excludeDomains: { domain: 'example.com' } }, 'searchOptions.excludeDomains must be a list of domains.'],
+        [{ recency: 'decade' }, 'searchOptions.recency must be one of: day, week, month, year.'],
+        [{ country: 'XX' }, 'searchOptions.country "XX" is not a known country code.'],
+        [{ language: 'english' }, 'searchOptions.language must be a language code, e.g. "en".'],
+        [{ contextSize: 'huge' }, 'searchOptions.contextSize must be one of: low, medium, high.'],
+        [{ maxSources: 0 }, 'searchOptions.maxSources must be a whole number from 1 to 50.'],
+    ]) {
+        assert.throws(() => normalizeSearchOptions(raw), { name: 'InvalidSearchOptionsError', message });
+    }
+});
+
+test('loadSearchOptions reads comma-separated domain lists and the other options from the environment', () => {
+    const options = loadSearchOptions({ SEARCH_EXCLUDE_DOMAINS: 'pinterest.com, quora.com,', SEARCH_RECENCY: 'year', SEARCH_MAX_SOURCES: '8' });
+
+    assert.deepEqual(options.excludeDomains, ['pinterest.com', 'quora.com']);
+    assert.equal(options.recency, 'year');
+    assert.equal(options.maxSources, 8);
+    assert.deepEqual(loadSearchOptions({}), NO_SEARCH_OPTIONS);
+});
+
+test('mergeSearchOptions keeps the deployment\'s excluded domains and lets the request override the rest', () => {
+    const deployment = normalizeSearchOptions({ includeDomains: ['nodejs.org'], excludeDomains: ['blocked.example'], recency: 'year', maxSources: 5 });
+    const request = normalizeSearchOptions({ includeDomains: ['blocked.example', 'github.com'], excludeDomains: ['spam.example'], recency: 'week' });
+
+    const merged = mergeSearchOptions(deployment, request);
+
+    assert.deepEqual(merged.includeDomains, ['blocked.example', 'github.com']);
+    assert.deepEqual(merged.excludeDomains, ['blocked.example', 'spam.example']);
+    assert.equal(merged.recency, 'week');
+    assert.equal(merged.maxSources, 5);
+    assert.deepEqual(mergeSearchOptions(deployment, NO_SEARCH_OPTIONS), deployment);
+});
+
+test('searchCacheKey keeps plain queries and tells apart queries with other options', () => {
+    const options = normalizeSearchOptions({ recency: 'day' });
+
+    assert.equal(searchCacheKey('node lts', NO_SEARCH_OPTIONS), 'node lts');
+    assert.notEqual(searchCacheKey('node lts', options), 'node lts');
+    assert.equal(searchCacheKey('node lts', options), searchCacheKey('node lts', normalizeSearchOptions({ recency: 'DAY' })));
+});
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+
+function resultOf(content, sources) {
+    return new SearchResult(content, normalizeSources(sources), sources.map(source => source.url));
+}
+
+test('filterSearchResult removes excluded domains and their subdomains, and the summary that cites them', () => {
+    const result = resultOf('Node 22 is LTS [1]. The blocked forum says Node 23 is LTS [2], see also [3].', [
+        { url: 'https://nodejs.org/en/about/previous-releases', title: 'Node.js Releases', snippet: 'Node.js 22 is the active LTS line.' },
+        { url: 'https://answers.blocked.example/node', title: 'Blocked', snippet: 'Node 23 is LTS.' },
+        { url: 'https://github.com/nodejs/release', title: 'nodejs/release' },
+    ]);
+
+    const { result: filtered, removed } = filterSearchResult(result, normalizeSearchOptions({ excludeDomains: ['blocked.example'] }), NOW);
+
+    assert.equal(removed, 1);
+    assert.equal(filtered.content, '');
+    assert.deepEqual(filtered.sources.map(source => [source.index, source.domain]), [[1, 'nodejs.org'], [2, 'github.com']]);
+    assert.deepEqual(filtered.citations, ['https://nodejs.org/en/about/previous-releases', 'https://github.com/nodejs/release']);
+    const context = formatSearchContext(filtered);
+    assert.match(context, /\[1\] Node\.js Releases\n.*\nNode\.js 22 is the active LTS line\./);
+    assert.doesNotMatch(context, /Node 23|blocked/i);
+});
+
+test('filterSearchResult drops sources without a domain when domains are excluded', () => {
+    const result = new SearchResult('Answer [1][2].', [
+        { index: 1, url: 'not a url', title: 'Unknown', snippet: '', domain: null, publishedAt: null },
+        { index: 2, url: 'https://nodejs.org/a', title: 'Node.js', snippet: '', domain: null, publishedAt: null },
+    ], []);
+
+    const { result: filtered } = filterSearchResult(result, normalizeSearchOptions({ excludeDomains: ['blocked.example'] }), NOW);
+
+    assert.deepEqual(filtered.sources.map(source => source.url), ['https://nodejs.org/a']);
+    assert.equal(filterSearchResult(result, normalizeSearchOptions({ excludeDomains: ['nodejs.org'] }), NOW).result.sources.length, 0);
+});
+
+test('filterSearchResult keeps only included domains, recent or undated sources, up to maxSources', () => {
+    const result = resultOf('Answer [1][2][3][4][5].', [
+        { url: 'https://nodejs.org/a', date: '2026-03-14' },
+        { url: 'https://github.com/b' },
+        { url: 'https://nodejs.org/old', date: '2025-01-01' },
+        { url: 'https://blog.nodejs.org/c' },
+        { url: 'https://nodejs.org/d' },
+    ]);
+    const options = normalizeSearchOptions({ includeDomains: ['nodejs.org'], recency: 'month', maxSources: 2 });
+
+    const { result: filtered, removed } = filterSearchResult(result, options, NOW);
+
+    assert.equal(removed, 3);
+    assert.deepEqual(filtered.sources.map(source => source.url), ['https://nodejs.org/a', 'https://blog.nodejs.org/c']);
+    assert.equal(filtered.content, 'Answer [1][2].');
+});
+
+test('filterSearchResult remaps grounding supports and leaves results without options alone', () => {
+    const result = new SearchResult('Tall.[1, 2] Old.[2]', normalizeSources([
+        { url: 'https://www.toureiffel.paris/en', title: 'toureiffel.paris' },
+        { url: 'https://en.wikipedia.org/wiki/Eiffel_Tower', title: 'wikipedia.org' },
+    ]), [{ text: 'Tall.', sourceIndices: [1, 2] }, { text: 'Old.', sourceIndices: [2] }]);
+
+    const { result: filtered } = filterSearchResult(result, normalizeSearchOptions({ includeDomains: ['wikipedia.org'] }), NOW);
+
+    assert.equal(filtered.content, 'Tall.[1] Old.[1]');
+    assert.deepEqual(filtered.citations.map(support => support.sourceIndices), [[1], [1]]);
+    const { result: excluded } = filterSearchResult(result, normalizeSearchOptions({ excludeDomains: ['toureiffel.paris'] }), NOW);
+    assert.equal(excluded.content, '');
+    assert.deepEqual(excluded.citations, []);
+    assert.equal(filterSearchResult(result, NO_SEARCH_OPTIONS, NOW).result, result);
+});
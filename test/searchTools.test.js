@@ -0,0 +1,76 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerplexitySearchTool } from '../tools/PerplexitySearchTool.js';
+import { GoogleGroundingTool } from '../tools/GoogleGroundingTool.js';
+import { CacheStore } from '../stores/cacheStore.js';
+import { UsageTracker } from '../utils/usage.js';
+import { HttpCassette } from './support/httpReplay.js';
+import './support/quietLogs.js';
+
+// Recorded provider responses from test/fixtures/http; HTTP_RECORD=1 (with real API keys in PERPLEXITY_API_KEY
+// and GOOGLE_API_KEY) re-records them.
+let cassette;
+afterEach(() => cassette?.stop());
+
+test.describe('PerplexitySearchTool', () => {
+    beforeEach(() => {
+        cassette = new HttpCassette('perplexity-search').start();
+    });
+
+    test('parses the answer, numbered sources and token usage', async () => {
+        const tool = new PerplexitySearchTool(process.env.PERPLEXITY_API_KEY || 'test-key', { retries: 0, cache: new CacheStore() });
+        const usage = new UsageTracker();
+
+        const result = await tool.search('latest node.js lts release', { usage });
+
+        assert.equal(result.content, 'Node.js 22 is the active LTS line [1], and Node.js 20 is in maintenance [2].');
+        assert.deepEqual(result.sources.map(source => [source.index, source.url, source.title, source.publishedAt]), [
+            [1, 'https://nodejs.org/en/about/previous-releases', 'Node.js Releases', '2025-10-28'],
+            [2, 'https://github.com/nodejs/release', 'nodejs/release: Node.js Release Working Group', null],
+        ]);
+        assert.deepEqual(result.usage, { inputTokens: 18, outputTokens: 24 });
+        assert.deepEqual(usage.summary().searches.map(search => search.tool), ['perplexity_web_search']);
+    });
+
+    test('serves repeated queries from the cache', async () => {
+        const tool = new PerplexitySearchTool('test-key', { retries: 0, cache: new CacheStore() });
+
+        const first = await tool.search('latest node.js lts release');
+        const second = await tool.search('Latest Node.js LTS release?');
+
+        assert.deepEqual(second, first);
+        assert.equal(cassette.unplayed().length, 1, 'only the rate-limited interaction is left');
+    });
+
+    test('reports provider errors with their status', async () => {
+        const tool = new PerplexitySearchTool('test-key', { retries: 0, cache: new CacheStore() });
+
+        await assert.rejects(tool.search('rate limited query'), { message: 'Failed to perform Perplexity search: Perplexity API error: 429' });
+    });
+});
+
+test.describe('GoogleGroundingTool', () => {
+    beforeEach(() => {
+        cassette = new HttpCassette('gemini-grounding').start();
+    });
+
+    test('marks grounded spans with their sources', async () => {
+        const tool = new GoogleGroundingTool(process.env.GOOGLE_API_KEY || 'test-key', { retries: 0, cache: new CacheStore() });
+
+        const result = await tool.search('how tall is the eiffel tower');
+
+        assert.equal(result.content, 'The Eiffel Tower is 330 metres tall.[1, 2] It was completed in 1889.[2]');
+        assert.deepEqual(result.sources.map(source => [source.index, source.url]), [
+            [1, 'https://www.toureiffel.paris/en/the-monument/key-figures'],
+            [2, 'https://en.wikipedia.org/wiki/Eiffel_Tower'],
+        ]);
+        assert.deepEqual(result.citations.map(support => support.sourceIndices), [[1, 2], [2]]);
+        assert.deepEqual(result.usage, { inputTokens: 9, outputTokens: 17 });
+    });
+
+    test('fails on requests the cassette has no response for', async () => {
+        const tool = new GoogleGroundingTool('test-key', { retries: 0, cache: new CacheStore() });
+
+        await assert.rejects(tool.search('an unrecorded question'), /No recorded response in cassette "gemini-grounding"/);
+    });
+});
@@ -0,0 +1,117 @@
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+import { RunnableLambda } from '@langchain/core/runnables';
+
+// A chat model that plays back a script instead of calling a provider. Each call (invoke or stream) takes the
+// next response off `responses`:
+//   "text"                                        streamed word by word
+//   { text, toolCalls: [{ id, name, args }] }     text (optional) followed by tool calls
+//   { text, error, afterChunks }                  streams `afterChunks` chunks of text, then throws `error`
+//   { error }                                     throws before streaming anything
+// Structured output (withStructuredOutput) plays back `structured` the same way. Calls are recorded in `calls`,
+// and every response reports token usage, so UsageTracker sees it like a real provider's.
+class ScriptedChatModel extends BaseChatModel {
+    constructor({ responses = [], structured = [], model = null, chunkDelayMs = 0, usage = { input_tokens: 10, output_tokens: 5 }, ...fields } = {}) {
+        super(fields);
+        this.responses = [...responses];
+        this.structured = [...structured];
+        this.model = model;
+        this.chunkDelayMs = chunkDelayMs;
+        this.usage = usage;
+        this.calls = [];
+        this.boundTools = null;
+    }
+
+    _llmType() {
+        return 'scripted';
+    }
+
+    // UsageTracker reads the model id from here, as it does for the provider clients.
+    invocationParams() {
+        return { model: this.model };
+    }
+
+    // Tool calls come from the script, so binding only records what the agent offered.
+    bindTools(tools) {
+        this.boundTools = tools;
+        return this;
+    }
+
+    withStructuredOutput() {
+        return RunnableLambda.from(async () => {
+            const next = this.structured.shift();
+            if (next === undefined) {
+                throw new Error('ScriptedChatModel has no structured response left.');
+            }
+            if (next instanceof Error) {
+                throw next;
+            }
+            return next;
+        });
+    }
+
+    _nextResponse(messages, options) {
+        this.calls.push({ messages, signal: options?.signal || null });
+        const next = this.responses.shift();
+        if (next === undefined) {
+            throw new Error(`ScriptedChatModel "${this.model}" has no response left.`);
+        }
+        return typeof next === 'string' ? { text: next } : next;
+    }
+
+    async *_streamResponseChunks(messages, options) {
+        const response = this._nextResponse(messages, options);
+        const pieces = (response.text || '').match(/\S+\s*|\s+/g) || [];
+        if (response.error && !response.afterChunks) {
+            throw toError(response.error);
+        }
+        for (const [i, piece] of pieces.entries()) {
+            if (response.error && i === response.afterChunks) {
+                throw toError(response.error);
+            }
+            if (this.chunkDelayMs) {
+                await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+            }
+            options?.signal?.throwIfAborted();
+            yield new ChatGenerationChunk({ text: piece, message: new AIMessageChunk({ content: piece }) });
+        }
+        if (response.error) {
+            throw toError(response.error);
+        }
+        const toolCallChunks = (response.toolCalls || []).map((call, index) => ({
+            type: 'tool_call_chunk', index, id: call.id || `call_${index}`, name: call.name, args: JSON.stringify(call.args || {}),
+        }));
+        const usage = { ...this.usage, total_tokens: this.usage.input_tokens + this.usage.output_tokens };
+        yield new ChatGenerationChunk({ text: '', message: new AIMessageChunk({ content: '', tool_call_chunks: toolCallChunks, usage_metadata: usage }) });
+    }
+
+    async _generate(messages, options, runManager) {
+        let message = null;
+        for await (const chunk of this._streamResponseChunks(messages, options, runManager)) {
+            message = message ? message.concat(chunk.message) : chunk.message;
+        }
+        return { generations: [{ text: String(message.content), message }] };
+    }
+}
+
+function toError(error) {
+    return error instanceof Error ? error : new Error(String(error));
+}
+
+// A chatModelFactory for LangChainChatAgent: scripted models by catalog id ("gpt-4o-mini") or by
+// "provider:tier" ("openai:fast"); anything else gets a model with an empty script. Models built without a
+// `model` name take the entry's id.
+function scriptedModelFactory(models = {}) {
+    const built = [];
+    const factory = (entry, fields) => {
+        const model = models[entry.id] || models[`${entry.provider}:${entry.tier}`] || new ScriptedChatModel();
+        model.model ??= entry.id;
+        built.push({ entry, fields, model });
+        return model;
+    };
+    factory.built = built;
+    return factory;
+}
+
+export { ScriptedChatModel, scriptedModelFactory };
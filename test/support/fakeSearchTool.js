@@ -0,0 +1,55 @@
+import { z } from 'zod';
+import { StructuredTool } from '@langchain/core/tools';
+import { SearchResult } from '../../agents/searchAgent.js';
+import { formatSearchContext, normalizeSources } from '../../search/citations.js';
+
+// A search tool for LangChainChatAgent's `tools` option that answers from a script instead of a provider.
+// `results` maps a query to { content, sources: [{ url, title, snippet }] } or an Error to throw; queries not in
+// it get `fallback` (or fail if there is none). Queries are recorded in `queries`, the search options they came
+// with in `searchOptions`. Name it "perplexity_web_search" or "google_search_grounding" to stand in for a
+// built-in tool in rules mode.
+class FakeSearchTool extends StructuredTool {
+    schema = z.object({
+        query: z.string().describe('The search query.'),
+    });
+
+    constructor({ name = 'perplexity_web_search', description = 'Searches the web (scripted).', results = {}, fallback = null, delayMs = 0, cache = null } = {}) {
+        super();
+        this.name = name;
+        this.description = description;
+        this.results = results;
+        this.fallback = fallback;
+        this.delayMs = delayMs;
+        this.cache = cache;
+        this.queries = [];
+        this.searchOptions = [];
+    }
+
+    // Same signature as the built-in tools; with a `cache` it goes through CacheStore.getOrSet like they do.
+    async search(query, { usage, signal, span, searchOptions } = {}) {
+        const run = async () => {
+            this.queries.push(query);
+            this.searchOptions.push(searchOptions);
+            if (this.delayMs) {
+                await new Promise(resolve => setTimeout(resolve, this.delayMs));
+            }
+            signal?.throwIfAborted();
+            const scripted = this.results[query] ?? this.fallback;
+            if (!scripted) {
+                throw new Error(`No scripted result for "${query}".`);
+            }
+            if (scripted instanceof Error) {
+                throw scripted;
+            }
+            usage?.recordSearch(this.name, null);
+            return new SearchResult(scripted.content || '', normalizeSources(scripted.sources || []), scripted.sources || []);
+        };
+        return this.cache ? this.cache.getOrSet(this.name, query, run, { span }) : run();
+    }
+
+    async _call(input, runManager, config) {
+        return formatSearchContext(await this.search(input.query, { signal: config?.signal }));
+    }
+}
+
+export { FakeSearchTool };
@@ -0,0 +1,149 @@
+import { promises as fs, readFileSync } from 'fs';
+import { isDeepStrictEqual } from 'util';
+import axios, { AxiosError } from 'axios';
+
+const FIXTURE_DIR = new URL('../fixtures/http/', import.meta.url);
+// Query parameters that carry credentials; they are dropped from recorded and matched URLs.
+const SECRET_PARAMS = ['key', 'api_key', 'apikey'];
+
+function cleanUrl(url) {
+    const parsed = new URL(url);
+    for (const param of SECRET_PARAMS) {
+        parsed.searchParams.delete(param);
+    }
+    return parsed.toString();
+}
+
+function parseBody(body) {
+    if (body === undefined || body === null || body === '') {
+        return null;
+    }
+    try {
+        return JSON.parse(body);
+    } catch {
+        return String(body);
+    }
+}
+
+function serializeBody(body) {
+    return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+// Record/replay for the HTTP calls the search tools make: Perplexity through axios, Gemini through the global
+// fetch. A cassette is a JSON file in test/fixtures/http/ holding [{ request: { method, url, body }, response:
+// { status, headers, body } }]. In replay mode (the default) requests are answered from it, matched on method,
+// URL and body, in recorded order, and anything unmatched fails; with HTTP_RECORD=1 the requests go out for real
+// and are written to the cassette when it is stopped. Request headers (API keys) are never recorded.
+class HttpCassette {
+    constructor(name, { mode = process.env.HTTP_RECORD === '1' ? 'record' : 'replay', dir = FIXTURE_DIR } = {}) {
+        this.name = name;
+        this.mode = mode;
+        this.file = new URL(`${name}.json`, dir);
+        this.interactions = [];
+        this.played = new Set();
+        this.originalAdapter = null;
+        this.originalFetch = null;
+    }
+
+    start() {
+        if (this.mode === 'replay') {
+            this.interactions = JSON.parse(readFileSync(this.file, 'utf8'));
+        }
+        this.originalAdapter = axios.defaults.adapter;
+        this.originalFetch = globalThis.fetch;
+        const recordAdapter = axios.getAdapter(this.originalAdapter);
+        axios.defaults.adapter = config => this.mode === 'record' ? this._recordAxios(recordAdapter, config) : this._replayAxios(config);
+        globalThis.fetch = (input, init = {}) => this.mode === 'record' ? this._recordFetch(input, init) : this._replayFetch(input, init);
+        return this;
+    }
+
+    async stop() {
+        axios.defaults.adapter = this.originalAdapter;
+        globalThis.fetch = this.originalFetch;
+        if (this.mode === 'record') {
+            await fs.mkdir(new URL('.', this.file), { recursive: true });
+            await fs.writeFile(this.file, `${JSON.stringify(this.interactions, null, 2)}\n`);
+        }
+    }
+
+    // Recorded interactions no request has matched, so tests can check that everything expected was called.
+    unplayed() {
+        return this.interactions.filter((interaction, i) => !this.played.has(i));
+    }
+
+    _match(method, url, body) {
+        const request = { method: method.toUpperCase(), url: cleanUrl(url), body: parseBody(body) };
+        const index = this.interactions.findIndex((interaction, i) => !this.played.has(i)
+            && interaction.request.method === request.method
+            && interaction.request.url === request.url
+            && isDeepStrictEqual(interaction.request.body ?? null, request.body));
+        if (index === -1) {
+            throw new Error(`No recorded response in cassette "${this.name}" for ${request.method} ${request.url}.`);
+        }
+        this.played.add(index);
+        return this.interactions[index].response;
+    }
+
+    _record(method, url, body, response) {
+        this.interactions.push({ request: { method: method.toUpperCase(), url: cleanUrl(url), body: parseBody(body) }, response });
+    }
+
+    async _replayAxios(config) {
+        const url = axios.getUri(config);
+        const recorded = this._match(config.method || 'get', url, config.data);
+        config.signal?.throwIfAborted();
+        const response = {
+            data: serializeBody(recorded.body),
+            status: recorded.status,
+            statusText: '',
+            headers: recorded.headers || {},
+            config,
+            request: {},
+        };
+        if (config.validateStatus && !config.validateStatus(response.status)) {
+            const code = response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+            throw new AxiosError(`Request failed with status code ${response.status}`, code, config, response.request, response);
+        }
+        return response;
+    }
+
+    async _recordAxios(adapter, config) {
+        const url = axios.getUri(config);
+        const store = response => this._record(config.method || 'get', url, config.data, {
+            status: response.status,
+            headers: { 'content-type': response.headers['content-type'] },
+            body: parseBody(response.data),
+        });
+        try {
+            const response = await adapter(config);
+            store(response);
+            return response;
+        } catch (error) {
+            if (error.response) {
+                store(error.response);
+            }
+            throw error;
+        }
+    }
+
+    async _replayFetch(input, init) {
+        const url = typeof input === 'string' ? input : input.url;
+        const recorded = this._match(init.method || 'GET', url, init.body);
+        init.signal?.throwIfAborted();
+        return new Response(serializeBody(recorded.body), { status: recorded.status, headers: recorded.headers || { 'content-type': 'application/json' } });
+    }
+
+    async _recordFetch(input, init) {
+        const url = typeof input === 'string' ? input : input.url;
+        const response = await this.originalFetch(input, init);
+        const text = await response.clone().text();
+        this._record(init.method || 'GET', url, init.body, {
+            status: response.status,
+            headers: { 'content-type': response.headers.get('content-type') },
+            body: parseBody(text),
+        });
+        return response;
+    }
+}
+
+export { HttpCassette };
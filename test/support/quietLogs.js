@@ -0,0 +1,4 @@
+import { logger } from '../../utils/logger.js';
+
+// Test runs print only test output; set LOG_LEVEL to see the logs while debugging a test.
+logger.configure({ level: process.env.LOG_LEVEL || 'silent' });
@@ -0,0 +1,39 @@
+import { LangChainChatAgent } from '../../agents/chatAgent.js';
+import { ModelCatalog } from '../../models/modelCatalog.js';
+import { CacheStore } from '../../stores/cacheStore.js';
+import { scriptedModelFactory } from './fakeModels.js';
+import './quietLogs.js';
+
+const TEST_MODELS = [
+    { provider: 'openai', id: 'gpt-test', tier: 'capable', cost: { inputPerMillion: 1, outputPerMillion: 2 } },
+    { provider: 'openai', id: 'gpt-test-mini', tier: 'fast' },
+    { provider: 'anthropic', id: 'claude-test', tier: 'capable' },
+    { provider: 'anthropic', id: 'claude-test-haiku', tier: 'fast' },
+    { provider: 'google', id: 'gemini-test', tier: 'capable', supportsGrounding: true },
+    { provider: 'google', id: 'gemini-test-flash', tier: 'fast' },
+];
+
+// A LangChainChatAgent on the test catalog, with scripted models (see scriptedModelFactory) and the given
+// search tools instead of real providers. Providers in `apiKeys` count as configured.
+function createTestAgent({ models = {}, tools = [], apiKeys = { openai: 'test-key', anthropic: 'test-key' }, ...options } = {}) {
+    const chatModelFactory = scriptedModelFactory(models);
+    const agent = new LangChainChatAgent(apiKeys, {
+        modelCatalog: new ModelCatalog(TEST_MODELS),
+        cache: new CacheStore(),
+        chatModelFactory,
+        tools,
+        ...options,
+    });
+    return { agent, chatModelFactory };
+}
+
+// Collects the events processMessage yields, parsed.
+async function collectEvents(stream) {
+    const events = [];
+    for await (const line of stream) {
+        events.push(JSON.parse(line));
+    }
+    return events;
+}
+
+export { createTestAgent, collectEvents, TEST_MODELS };
@@ -0,0 +1,28 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { FileUsageStore } from '../stores/usageStore.js';
+import './support/quietLogs.js';
+
+const directory = mkdtempSync(path.join(tmpdir(), 'usage-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+const SUMMARY = { promptTokens: 10, completionTokens: 5, searchContextTokens: 0, totalTokens: 15, searches: [], cost: { total: 0.001 } };
+
+test('FileUsageStore keeps recording after a failed write and saves the totals with the next one', async () => {
+    const blocker = path.join(directory, 'data');
+    const filePath = path.join(blocker, 'usage.json');
+    const store = new FileUsageStore(filePath, { now: () => new Date('2026-03-15T12:00:00Z') });
+    await store.ready;
+
+    // A plain file where the usage file's directory should be makes the first write fail.
+    writeFileSync(blocker, '');
+    await store.record('alice', SUMMARY);
+    rmSync(blocker);
+    const totals = await store.record('alice', SUMMARY);
+
+    assert.equal(totals.requests, 2);
+    assert.equal(JSON.parse(readFileSync(filePath, 'utf8')).alice['2026-03'].requests, 2);
+});
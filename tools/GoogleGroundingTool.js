@@ -1,6 +1,23 @@
 import { z } from "zod";
 import { StructuredTool } from "@langchain/core/tools";
 import { GoogleGenerativeAI, GoogleGenerativeAIFetchError } from '@google/generative-ai';
+import { SearchResult } from '../agents/searchAgent.js';
+import { normalizeSources, formatSearchContext } from '../search/citations.js';
+import { CacheStore } from '../stores/cacheStore.js';
+import { retry } from '../utils/resilience.js';
+import { logger } from '../utils/logger.js';
+import { NO_SEARCH_OPTIONS, recencyCutoff, searchCacheKey } from '../search/searchOptions.js';
+
+const log = logger.child({ component: 'GoogleGroundingTool' });
+
+// Grounding chunks usually link through a Google redirect, with the site's domain as their title; that domain
+// is what the source is filtered and shown by.
+const GROUNDING_REDIRECT_HOST = 'vertexaisearch.cloud.google.com';
+
+function groundingSource(web) {
+    const redirected = typeof web.uri === 'string' && web.uri.startsWith(`https://${GROUNDING_REDIRECT_HOST}/`);
+    return redirected && /^[\w-]+(\.[\w-]+)+$/.test(web.title || '') ? { ...web, domain: web.title.toLowerCase().replace(/^www\./, '') } : web;
+}
 
 class GoogleGroundingTool extends StructuredTool {
     name = "google_search_grounding";
@@ -12,70 +29,93 @@ class GoogleGroundingTool extends StructuredTool {
     });
 
     constructor(apiKey, fields) {
-        super(fields);
+        const { cache, timeoutMs = 30000, retries = 2, ...toolFields } = fields || {};
+        super(toolFields);
         if (!apiKey) {
-            console.warn("Google API key is missing. GoogleGroundingTool will not function.");
+            log.warn('Google API key is missing. GoogleGroundingTool will not function.');
             this.apiKey = null;
         } else {
             this.apiKey = apiKey;
             this.genAI = new GoogleGenerativeAI(apiKey);
         }
         this.modelName = 'gemini-2.5-pro';
-        this.cache = {};
-        this.cacheTTL = 5 * 60 * 1000;
+        this.cache = cache || new CacheStore();
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
     }
 
-    async _call(input) {
+    // Returns the full SearchResult (annotated text, sources, supported spans); _call formats it as text for the model.
+    // `usage` (a per-request UsageTracker) is told about searches that reach Gemini, not cache hits;
+    // `signal` aborts the Gemini request when the chat request is cancelled, and `span` is the request's tracing
+    // span for this search (see utils/tracing.js). Of the `searchOptions` (see search/searchOptions.js) only the
+    // recency window has a Google Search equivalent; the agent post-filters for the rest.
+    async search(query, { usage, signal, span, searchOptions = NO_SEARCH_OPTIONS } = {}) {
         if (!this.apiKey || !this.genAI) {
             throw new Error("Google API key is not set. Cannot perform Google Grounding.");
         }
 
-        const { query } = input;
-        const cacheKey = `grounded_${query.toLowerCase()}`;
+        const requestLog = span ? span.log.child({ component: 'GoogleGroundingTool' }) : log;
+        return this.cache.getOrSet(this.name, searchCacheKey(query, searchOptions), async () => {
+            requestLog.info('Calling Gemini Grounding', { query: requestLog.content(query) });
+            try {
+                const model = this.genAI.getGenerativeModel({
+                    model: this.modelName,
+                    tools: [{
+                        googleSearch: this._googleSearchConfig(searchOptions) // Enable Google Search tool
+                    }]
+                }, { timeout: this.timeoutMs });
 
-        const cachedResult = this.cache[cacheKey];
-        if (cachedResult && (Date.now() - cachedResult.timestamp < this.cacheTTL)) {
-            console.log(`[GoogleGroundingTool] Cache Hit for query: "${query}"`);
-            return cachedResult.data; // Return content directly
-        }
+                const result = await retry(() => model.generateContent(query, { signal }), { retries: this.retries, label: 'Google Grounding', signal });
+                const response = await result.response;
+                const groundingMetadata = response.candidates?.[0]?.groundingMetadata;
+                const searchResult = this._parseGroundedResponse(response.text(), groundingMetadata);
+                if (response.usageMetadata) {
+                    searchResult.usage = { inputTokens: response.usageMetadata.promptTokenCount || 0, outputTokens: response.usageMetadata.candidatesTokenCount || 0 };
+                }
+                usage?.recordSearch(this.name, searchResult.usage);
+                return searchResult;
+            } catch (error) {
+                if (error instanceof GoogleGenerativeAIFetchError) {
+                    requestLog.warn('Google API error', { query: requestLog.content(query), error });
+                    throw new Error(`Google Grounding failed: ${error.message}.`);
+                }
+                requestLog.error('Google Grounding failed', { query: requestLog.content(query), error });
+                throw error;
+            }
+        }, { span });
+    }
 
-        console.log(`[GoogleGroundingTool] Calling Gemini Grounding for query: "${query}"`);
-        try {
-            const model = this.genAI.getGenerativeModel({
-                model: this.modelName,
-                tools: [{
-                    googleSearch: {} // Enable Google Search tool
-                }]
-            });
+    async _call(input, runManager, config) {
+        return formatSearchContext(await this.search(input.query, { signal: config?.signal }));
+    }
 
-            const result = await model.generateContent(query);
-            const response = await result.response;
-            const content = response.text();
-            const citationMetadata = response.candidates?.[0]?.content?.parts?.[0]?.citationMetadata; // Raw citation metadata
+    _googleSearchConfig(searchOptions) {
+        const startTime = recencyCutoff(searchOptions.recency);
+        return startTime ? { timeRangeFilter: { startTime: startTime.toISOString(), endTime: new Date().toISOString() } } : {};
+    }
 
-            // Store content and raw citation metadata in tool's cache
-            this.cache[cacheKey] = { data: content, timestamp: Date.now(), citations: citationMetadata };
+    // groundingChunks are the web pages Gemini used; each groundingSupport ties a span of the answer
+    // (byte offsets into the UTF-8 text) to the chunks backing it. The spans are returned as citations and
+    // marked inline with [n] so the answering model can carry the numbering through.
+    _parseGroundedResponse(text, groundingMetadata) {
+        const sources = normalizeSources((groundingMetadata?.groundingChunks || []).map(chunk => groundingSource(chunk.web || {})));
+        const supports = (groundingMetadata?.groundingSupports || [])
+            .filter(support => support.segment?.endIndex !== undefined && support.groundingChunkIndices?.length)
+            .map(support => ({
+                text: support.segment.text,
+                startIndex: support.segment.startIndex || 0,
+                endIndex: support.segment.endIndex,
+                sourceIndices: support.groundingChunkIndices.map(i => i + 1),
+                confidenceScores: support.confidenceScores || []
+            }));
 
-            return content;
-        } catch (error) {
-            if (error instanceof GoogleGenerativeAIFetchError) {
-                console.error(`[GoogleGroundingTool Error] for query "${query}": Google API Error:`, error.message);
-                throw new Error(`Google Grounding failed: ${error.message}.`);
-            }
-            console.error(`[GoogleGroundingTool Error] for query "${query}":`, error);
-            throw error;
+        let bytes = Buffer.from(text, 'utf8');
+        for (const support of [...supports].sort((a, b) => b.endIndex - a.endIndex)) {
+            const marker = Buffer.from(`[${support.sourceIndices.join(', ')}]`, 'utf8');
+            bytes = Buffer.concat([bytes.subarray(0, support.endIndex), marker, bytes.subarray(support.endIndex)]);
         }
-    }
 
-    // Helper to parse citations from raw metadata (for external use, e.g., by the agent)
-    _parseCitations(citationMetadata) {
-        if (!citationMetadata || !citationMetadata.citationSources) {
-            return [];
-        }
-        return citationMetadata.citationSources.map(source => ({
-            url: source.uri,
-            title: source.title || 'Untitled Source',
-        }));
+        return new SearchResult(bytes.toString('utf8'), sources, supports);
     }
 }
 
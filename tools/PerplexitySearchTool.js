@@ -1,6 +1,10 @@
 import { z } from "zod";
 import { StructuredTool } from "@langchain/core/tools";
+import { formatSearchContext } from "../search/citations.js";
 import { PerplexitySearchAgent } from '../agents/searchAgent.js';
+import { CacheStore } from '../stores/cacheStore.js';
+import { logger } from '../utils/logger.js';
+import { searchCacheKey } from '../search/searchOptions.js';
 
 class PerplexitySearchTool extends StructuredTool {
     name = "perplexity_web_search";
@@ -12,37 +16,35 @@ class PerplexitySearchTool extends StructuredTool {
     });
 
     constructor(apiKey, fields) {
-        super(fields);
-        this.perplexityAgent = new PerplexitySearchAgent(apiKey);
-        this.cache = {}; // Simple in-memory cache for this tool's raw results
-        this.cacheTTL = 5 * 60 * 1000; // 5 minutes
+        // A pre-built agent (e.g. from the search provider registry) may be passed as fields.searchAgent,
+        // and the shared CacheStore as fields.cache.
+        const { searchAgent, cache, timeoutMs, retries, ...toolFields } = fields || {};
+        super(toolFields);
+        this.perplexityAgent = searchAgent || new PerplexitySearchAgent(apiKey, { timeoutMs, retries });
+        this.cache = cache || new CacheStore();
     }
 
-    async _call(input) {
-        const { query } = input;
-        const cacheKey = query.toLowerCase(); // Cache key for Perplexity tool's internal cache
-
-        // This cache is specific to the tool's raw output.
-        // The higher-level LangChainChatAgent manages its own cache for processed search results.
-        const cachedResult = this.cache[cacheKey];
-        if (cachedResult && (Date.now() - cachedResult.timestamp < this.cacheTTL)) {
-            console.log(`[PerplexitySearchTool] Cache Hit for query: "${query}"`);
-            return cachedResult.data.content;
-        }
-
-        console.log(`[PerplexitySearchTool] Calling Perplexity API for query: "${query}"`);
-        try {
-            const result = await this.perplexityAgent.searchWeb(query); // result is SearchResult object
-            const outputContent = result.content;
-
-            // Store the full SearchResult object in this tool's cache
-            this.cache[cacheKey] = { data: result, timestamp: Date.now() };
+    // Returns the full SearchResult (with normalized sources); _call formats it as text for the model.
+    // `usage` (a per-request UsageTracker) is told about searches that reach the API, not cache hits;
+    // `signal` aborts the API request when the chat request is cancelled, `span` is the request's tracing
+    // span for this search (see utils/tracing.js), and `searchOptions` go to Perplexity's filters.
+    async search(query, { usage, signal, span, searchOptions } = {}) {
+        const requestLog = (span ? span.log : logger).child({ component: 'PerplexitySearchTool' });
+        return this.cache.getOrSet(this.name, searchCacheKey(query, searchOptions), async () => {
+            requestLog.info('Calling Perplexity API', { query: requestLog.content(query) });
+            try {
+                const result = await this.perplexityAgent.searchWeb(query, undefined, { signal, searchOptions });
+                usage?.recordSearch(this.name, result.usage);
+                return result;
+            } catch (error) {
+                requestLog.warn('Perplexity search failed', { query: requestLog.content(query), error });
+                throw new Error(`Failed to perform Perplexity search: ${error.message}`);
+            }
+        }, { span });
+    }
 
-            return outputContent;
-        } catch (error) {
-            console.error(`[PerplexitySearchTool Error] for query "${query}":`, error.message);
-            throw new Error(`Failed to perform Perplexity search: ${error.message}`);
-        }
+    async _call(input, runManager, config) {
+        return formatSearchContext(await this.search(input.query, { signal: config?.signal }));
     }
 }
 
@@ -0,0 +1,48 @@
+import { z } from "zod";
+import { StructuredTool } from "@langchain/core/tools";
+import { formatSearchContext } from "../search/citations.js";
+import { CacheStore } from "../stores/cacheStore.js";
+import { logger } from "../utils/logger.js";
+import { searchCacheKey } from "../search/searchOptions.js";
+
+// Exposes any registered search provider (see search/providerRegistry.js) as a LangChain tool.
+class SearchProviderTool extends StructuredTool {
+    schema = z.object({
+        query: z.string().describe("A concise search query."),
+    });
+
+    constructor(provider, fields) {
+        const { cache, ...toolFields } = fields || {};
+        super(toolFields);
+        this.provider = provider;
+        this.name = `${provider.name}_search`;
+        this.description = provider.description || `Searches with the "${provider.name}" search provider.`;
+        this.cache = cache || new CacheStore();
+    }
+
+    // Returns the full SearchResult (with normalized sources); _call formats it as text for the model.
+    // `usage` (a per-request UsageTracker) is told about searches that reach the provider, not cache hits;
+    // `signal` and `searchOptions` are passed on to the provider, so it can abort its request when the chat request
+    // is cancelled and apply the options it supports; `span` is the request's tracing span for this search
+    // (see utils/tracing.js).
+    async search(query, { usage, signal, span, searchOptions } = {}) {
+        const requestLog = (span ? span.log : logger).child({ component: 'SearchProviderTool', provider: this.provider.name });
+        return this.cache.getOrSet(this.name, searchCacheKey(query, searchOptions), async () => {
+            requestLog.info('Searching', { query: requestLog.content(query) });
+            try {
+                const result = await this.provider.search(query, { signal, searchOptions });
+                usage?.recordSearch(this.name, result.usage);
+                return result;
+            } catch (error) {
+                requestLog.warn('Search failed', { query: requestLog.content(query), error });
+                throw new Error(`Failed to search with ${this.provider.name}: ${error.message}`);
+            }
+        }, { span });
+    }
+
+    async _call(input, runManager, config) {
+        return formatSearchContext(await this.search(input.query, { signal: config?.signal }));
+    }
+}
+
+export { SearchProviderTool };
@@ -0,0 +1,128 @@
+// Structured logging: one JSON object per line on stdout, e.g.
+// {"time":"...","level":"info","msg":"Search call finished","component":"LangChainChatAgent","requestId":"...","durationMs":812}
+// Child loggers add fields (a component, a request's id and trace id) to every line they write.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+// What content() does with user content (messages, search queries, search results) before it is logged.
+const CONTENT_MODES = ['redact', 'truncate', 'full'];
+const TRUNCATE_LENGTH = 200;
+
+function serializeError(error, withStack = true) {
+    const serialized = { name: error.name, message: error.message };
+    if (error.code) {
+        serialized.code = error.code;
+    }
+    const status = error.response?.status ?? error.status;
+    if (status) {
+        serialized.status = status;
+    }
+    if (withStack && error.stack) {
+        serialized.stack = error.stack;
+    }
+    return serialized;
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, component, ...fields } = entry;
+    const extra = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    return [time, level.toUpperCase().padEnd(5), component ? `[${component}]` : null, msg, ...extra].filter(Boolean).join(' ');
+}
+
+class Logger {
+    // `config` is shared by a logger and all of its children, so configure() on the root logger also changes
+    // the loggers modules created from it at import time.
+    constructor(config = {}, fields = {}) {
+        this.config = config.write ? config : { level: 'info', content: 'redact', format: 'json', write: line => process.stdout.write(`${line}\n`), ...config };
+        this.fields = fields;
+    }
+
+    // Options: level ("debug" | "info" | "warn" | "error" | "silent"), content (see CONTENT_MODES),
+    // format ("json" | "pretty") and write(line). Unknown values are ignored.
+    configure({ level, content, format, write } = {}) {
+        if (level && LEVELS[level.toLowerCase()] !== undefined) {
+            this.config.level = level.toLowerCase();
+        }
+        if (content && CONTENT_MODES.includes(content.toLowerCase())) {
+            this.config.content = content.toLowerCase();
+        }
+        if (format === 'json' || format === 'pretty') {
+            this.config.format = format;
+        }
+        if (write) {
+            this.config.write = write;
+        }
+        return this;
+    }
+
+    child(fields) {
+        return new Logger(this.config, { ...this.fields, ...fields });
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.config.level];
+    }
+
+    // User content as it may appear in logs: "[redacted, 42 chars]" by default, the first 200 characters with
+    // LOG_USER_CONTENT=truncate, or unchanged with LOG_USER_CONTENT=full.
+    content(text) {
+        if (text === null || text === undefined) {
+            return text;
+        }
+        const value = String(text);
+        switch (this.config.content) {
+            case 'full':
+                return value;
+            case 'truncate':
+                return value.length > TRUNCATE_LENGTH ? `${value.substring(0, TRUNCATE_LENGTH)}…` : value;
+            default:
+                return `[redacted, ${value.length} chars]`;
+        }
+    }
+
+    debug(message, fields) {
+        this._write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this._write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this._write('warn', message, fields);
+    }
+
+    // Error objects, under any field (usually `error`), are logged as { name, message, code, status }, plus
+    // their stack at this level.
+    error(message, fields) {
+        this._write('error', message, fields);
+    }
+
+    _write(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) {
+                entry[key] = value instanceof Error ? serializeError(value, level === 'error') : value;
+            }
+        }
+        let line;
+        try {
+            line = this.config.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+        } catch {
+            line = JSON.stringify({ time: entry.time, level, msg: message, ...this.fields, unserializableFields: Object.keys(fields) });
+        }
+        this.config.write(line);
+    }
+}
+
+// The process-wide root logger. server.js configures it from the environment once dotenv has loaded;
+// modules log through children of it: logger.child({ component: 'CacheStore' }).
+const logger = new Logger();
+
+function configureLogger(env = process.env) {
+    return logger.configure({ level: env.LOG_LEVEL, content: env.LOG_USER_CONTENT, format: env.LOG_FORMAT });
+}
+
+export { Logger, logger, configureLogger, serializeError, LEVELS };
@@ -0,0 +1,144 @@
+// A small Prometheus registry: counters, gauges and histograms with labels, rendered in the text exposition
+// format for GET /metrics. Instruments can also take a `collect()` function returning [{ labels, value }],
+// read at scrape time, for values that are already counted elsewhere (cache stats, circuit breaker states).
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    constructor(name, help, { labelNames = [], collect = null } = {}) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collectFn = collect;
+        this.series = new Map(); // label values joined -> { labels, ... }
+    }
+
+    _series(labels, init) {
+        const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+        const key = this.labelNames.map(name => picked[name]).join('\u0000');
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: picked, ...init() });
+        }
+        return this.series.get(key);
+    }
+
+    _samples() {
+        const samples = [...this.series.values()].map(({ labels, value }) => ({ labels, value }));
+        return this.collectFn ? [...samples, ...this.collectFn()] : samples;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, value } of this._samples()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    type = 'counter';
+
+    inc(labels = {}, value = 1) {
+        this._series(labels, () => ({ value: 0 })).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    type = 'gauge';
+
+    set(labels, value) {
+        this._series(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    type = 'histogram';
+
+    constructor(name, help, { buckets = DEFAULT_BUCKETS, ...options } = {}) {
+        super(name, help, options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`));
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+// Registering a name twice returns the instrument already registered, so modules can declare what they use.
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    _register(Type, name, help, options) {
+        const existing = this.metrics.get(name);
+        if (existing) {
+            if (!(existing instanceof Type)) {
+                throw new Error(`Metric "${name}" is already registered as a ${existing.type}.`);
+            }
+            return existing;
+        }
+        const metric = new Type(name, help, options);
+        this.metrics.set(name, metric);
+        return metric;
+    }
+
+    counter(name, help, options) {
+        return this._register(Counter, name, help, options);
+    }
+
+    gauge(name, help, options) {
+        return this._register(Gauge, name, help, options);
+    }
+
+    histogram(name, help, options) {
+        return this._register(Histogram, name, help, options);
+    }
+
+    get(name) {
+        return this.metrics.get(name) || null;
+    }
+
+    render() {
+        return [...this.metrics.values()].map(metric => metric.render()).join('\n\n') + '\n';
+    }
+}
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export { MetricsRegistry, Counter, Gauge, Histogram, DEFAULT_BUCKETS, METRICS_CONTENT_TYPE };
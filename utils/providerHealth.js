@@ -0,0 +1,56 @@
+import axios from 'axios';
+import { errorStatus } from './resilience.js';
+
+// Reachability checks for the model providers, for GET /health. Listing models is free, needs only the API key,
+// and fails the way a chat request would on a bad key or an outage.
+const DEFAULT_PROBES = {
+    openai: apiKey => ({ url: 'https://api.openai.com/v1/models', headers: { Authorization: `Bearer ${apiKey}` } }),
+    anthropic: apiKey => ({ url: 'https://api.anthropic.com/v1/models', headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' } }),
+    google: apiKey => ({ url: 'https://generativelanguage.googleapis.com/v1beta/models', headers: { 'x-goog-api-key': apiKey } }),
+};
+
+// Results are cached for `ttlMs`, so frequent health checks don't turn into a request per check; concurrent
+// checks of the same provider share one request.
+class ProviderHealthChecker {
+    constructor({ apiKeys = {}, probes = DEFAULT_PROBES, timeoutMs = 3000, ttlMs = 60000, request = config => axios.get(config.url, config), now = Date.now } = {}) {
+        this.apiKeys = apiKeys;
+        this.probes = probes;
+        this.timeoutMs = timeoutMs;
+        this.ttlMs = ttlMs;
+        this.request = request;
+        this.now = now;
+        this.results = new Map(); // provider -> { promise, expiresAt }
+    }
+
+    canCheck(provider) {
+        return Boolean(this.probes[provider] && this.apiKeys[provider]);
+    }
+
+    // Resolves to { reachable, latencyMs, checkedAt, error }, or null for a provider without a probe or key.
+    async check(provider) {
+        if (!this.canCheck(provider)) {
+            return null;
+        }
+        const cached = this.results.get(provider);
+        if (cached && cached.expiresAt > this.now()) {
+            return cached.promise;
+        }
+        const promise = this._probe(provider);
+        this.results.set(provider, { promise, expiresAt: this.now() + this.ttlMs });
+        return promise;
+    }
+
+    async _probe(provider) {
+        const started = this.now();
+        const checkedAt = new Date(started).toISOString();
+        try {
+            await this.request({ ...this.probes[provider](this.apiKeys[provider]), timeout: this.timeoutMs });
+            return { reachable: true, latencyMs: this.now() - started, checkedAt, error: null };
+        } catch (error) {
+            const status = errorStatus(error);
+            return { reachable: false, latencyMs: this.now() - started, checkedAt, error: status ? `HTTP ${status}` : error.message };
+        }
+    }
+}
+
+export { ProviderHealthChecker, DEFAULT_PROBES };
@@ -0,0 +1,169 @@
+import { logger } from './logger.js';
+
+// Retry, timeout and circuit-breaker helpers shared by the search providers and the chat agent.
+
+const log = logger.child({ component: 'resilience' });
+
+// Rejects with the signal's reason as soon as it is aborted, instead of sleeping on.
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            return reject(signal.reason);
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class TimeoutError extends Error {
+    constructor(label, ms) {
+        super(`${label} timed out after ${ms}ms`);
+        this.name = 'TimeoutError';
+    }
+}
+
+// HTTP status of an axios, Gemini or LangChain error, if it has one.
+function errorStatus(error) {
+    return error?.response?.status ?? error?.status ?? null;
+}
+
+// Timeouts, network failures, rate limits and server errors are worth retrying; 4xx client errors are not.
+function isRetryableError(error) {
+    if (error instanceof TimeoutError || error?.code === 'ECONNABORTED' || error?.code === 'ECONNRESET' ||
+        error?.code === 'ETIMEDOUT' || error?.code === 'ENOTFOUND' || error?.code === 'EAI_AGAIN') {
+        return true;
+    }
+    const status = errorStatus(error);
+    return status === null ? error?.name === 'TypeError' : status === 408 || status === 429 || status >= 500;
+}
+
+function withTimeout(promise, ms, label = 'Request') {
+    if (!ms) {
+        return promise;
+    }
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new TimeoutError(label, ms)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Calls fn(attempt) until it succeeds, with exponential backoff and jitter between attempts.
+// Each attempt is bounded by timeoutMs; non-retryable errors are thrown immediately, and once `signal`
+// is aborted no further attempts are made.
+async function retry(fn, { retries = 2, baseDelayMs = 300, maxDelayMs = 4000, timeoutMs = 0, label = 'Request', shouldRetry = isRetryableError, signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted();
+        try {
+            return await withTimeout(Promise.resolve().then(() => fn(attempt)), timeoutMs, label);
+        } catch (error) {
+            if (attempt >= retries || signal?.aborted || !shouldRetry(error)) {
+                throw error;
+            }
+            const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+            log.warn('Retrying after failure', { label, attempt: attempt + 1, attempts: retries + 1, delayMs: Math.round(delay), error });
+            await sleep(delay, signal);
+        }
+    }
+}
+
+// Closed: requests flow. After `failureThreshold` consecutive failures the breaker opens and requests are
+// skipped for `resetTimeoutMs`; then one trial request is let through (half-open) to decide whether to close again.
+// canRequest() claims that trial, so concurrent callers are turned away until it records its outcome; a trial
+// that never does (its caller went away) is given up after another `resetTimeoutMs`. isAvailable() asks
+// without claiming anything.
+class CircuitBreaker {
+    constructor(name, { failureThreshold = 3, resetTimeoutMs = 30000, now = Date.now } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.now = now;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialStartedAt = null;
+    }
+
+    isAvailable() {
+        if (this.state === 'open' && this.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.state = 'half-open';
+        }
+        if (this.state === 'half-open') {
+            return this.trialStartedAt === null || this.now() - this.trialStartedAt >= this.resetTimeoutMs;
+        }
+        return this.state === 'closed';
+    }
+
+    canRequest() {
+        if (!this.isAvailable()) {
+            return false;
+        }
+        if (this.state === 'half-open') {
+            this.trialStartedAt = this.now();
+        }
+        return true;
+    }
+
+    // For a trial request that ended without telling anything about the provider, e.g. because it was cancelled.
+    releaseTrial() {
+        this.trialStartedAt = null;
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialStartedAt = null;
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.trialStartedAt = null;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                log.warn('Circuit breaker opened', { breaker: this.name, failures: this.failures });
+            }
+            this.state = 'open';
+            this.openedAt = this.now();
+        }
+    }
+
+    snapshot() {
+        return { name: this.name, state: this.state, failures: this.failures, openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null };
+    }
+}
+
+class CircuitBreakerRegistry {
+    constructor(options = {}) {
+        this.options = options;
+        this.breakers = new Map();
+    }
+
+    get(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker(name, this.options));
+        }
+        return this.breakers.get(name);
+    }
+
+    snapshot() {
+        return [...this.breakers.values()].map(breaker => breaker.snapshot());
+    }
+}
+
+export {
+    retry,
+    withTimeout,
+    isRetryableError,
+    errorStatus,
+    TimeoutError,
+    CircuitBreaker,
+    CircuitBreakerRegistry,
+};
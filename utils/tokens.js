@@ -0,0 +1,29 @@
+// Rough token estimate (~4 characters per token for English text). Good enough for budgeting
+// history and context; provider-reported usage should be preferred wherever it is available.
+function estimateTokens(text) {
+    if (!text) {
+        return 0;
+    }
+    return Math.ceil(String(text).length / 4);
+}
+
+// Keeps the most recent messages whose combined size fits in maxTokens. Messages are dropped
+// oldest-first, and always in whole user/assistant pairs so the model never sees an orphaned reply.
+function trimMessagesToTokenBudget(messages, maxTokens) {
+    const kept = [];
+    let total = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(messages[i].content);
+        if (total + cost > maxTokens) {
+            break;
+        }
+        kept.unshift(messages[i]);
+        total += cost;
+    }
+    while (kept.length && kept[0].role !== 'user') {
+        kept.shift();
+    }
+    return kept;
+}
+
+export { estimateTokens, trimMessagesToTokenBudget };
@@ -0,0 +1,172 @@
+import { randomBytes } from 'crypto';
+import { performance } from 'perf_hooks';
+import { logger as rootLogger } from './logger.js';
+
+// OpenTelemetry-style tracing without an SDK: every chat request is a trace of timed spans (search decision,
+// search calls, cache lookups, model streams, ...) with W3C trace and span ids. Finished spans are written to
+// the log and turned into Prometheus metrics; an incoming `traceparent` header joins the caller's trace.
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+// Returns { traceId, spanId } from a W3C traceparent header, or null if it is missing or malformed.
+function parseTraceparent(header) {
+    const match = typeof header === 'string' ? header.trim().toLowerCase().match(TRACEPARENT_PATTERN) : null;
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+        return null;
+    }
+    return { traceId: match[1], spanId: match[2] };
+}
+
+class Span {
+    constructor(trace, name, attributes = {}, parentSpanId = null) {
+        this.trace = trace;
+        this.name = name;
+        this.spanId = randomBytes(8).toString('hex');
+        this.parentSpanId = parentSpanId;
+        this.attributes = { ...attributes };
+        this.events = [];
+        this.status = 'unset';
+        this.error = null;
+        this.startTime = new Date();
+        this.start = performance.now();
+        this.durationMs = null;
+    }
+
+    get traceId() {
+        return this.trace.traceId;
+    }
+
+    // The request's logger (with its requestId and traceId), for code that is handed a span; add a component
+    // with span.log.child({ component }).
+    get log() {
+        return this.trace.log;
+    }
+
+    get ended() {
+        return this.durationMs !== null;
+    }
+
+    child(name, attributes) {
+        return this.trace.startSpan(name, attributes, this);
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    // A point in time within the span, e.g. the first token of a model stream.
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, offsetMs: this.elapsedMs(), ...attributes });
+        return this;
+    }
+
+    elapsedMs() {
+        return Math.round((performance.now() - this.start) * 10) / 10;
+    }
+
+    // Ends the span as failed; a failure caused by the request being cancelled ends it as "cancelled".
+    fail(error, attributes) {
+        this.error = error;
+        return this.end(attributes, this.trace.signal?.aborted ? 'cancelled' : 'error');
+    }
+
+    end(attributes = {}, status = 'ok') {
+        if (this.ended) {
+            return this;
+        }
+        this.setAttributes(attributes);
+        this.status = status;
+        this.durationMs = this.elapsedMs();
+        this.trace.tracer.onEnd(this);
+        return this;
+    }
+}
+
+// One request's spans. `root` spans the whole request; spans started without a parent are its children.
+class Trace {
+    constructor(tracer, name, { requestId = null, traceparent, signal = null, attributes = {} } = {}) {
+        const parent = parseTraceparent(traceparent);
+        this.tracer = tracer;
+        this.traceId = parent?.traceId || randomBytes(16).toString('hex');
+        this.requestId = requestId;
+        this.signal = signal;
+        this.log = tracer.logger.child({ requestId: requestId || undefined, traceId: this.traceId });
+        this.root = new Span(this, name, attributes, parent?.spanId || null);
+    }
+
+    startSpan(name, attributes = {}, parent = this.root) {
+        return new Span(this, name, attributes, parent.spanId);
+    }
+
+    // Runs fn(span) inside a new span, ending it with fn's outcome.
+    async inSpan(name, attributes, fn, parent = this.root) {
+        const span = this.startSpan(name, attributes, parent);
+        try {
+            const result = await fn(span);
+            span.end();
+            return result;
+        } catch (error) {
+            span.fail(error);
+            throw error;
+        }
+    }
+
+    // The W3C header for passing this trace on to another service.
+    traceparent(span = this.root) {
+        return `00-${this.traceId}-${span.spanId}-01`;
+    }
+}
+
+// Creates traces, and on every finished span writes a "span" log line and updates the metrics registry (if
+// any): span durations by name and status, model time-to-first-token, and request outcomes per provider for
+// model streams and search calls (search calls answered from the cache don't count).
+class Tracer {
+    constructor({ logger = rootLogger, metrics = null, spanLogLevel = 'info' } = {}) {
+        this.logger = logger;
+        this.spanLogLevel = spanLogLevel;
+        this.metrics = metrics;
+        if (metrics) {
+            this.spanDuration = metrics.histogram('span_duration_seconds', 'Duration of traced operations, by span name and status.', { labelNames: ['span', 'status'] });
+            this.timeToFirstToken = metrics.histogram('llm_time_to_first_token_seconds', 'Time from starting a model stream to its first token.', { labelNames: ['provider'] });
+            this.providerRequests = metrics.counter('provider_requests_total', 'Model and search provider calls, by outcome.', { labelNames: ['kind', 'provider', 'outcome'] });
+        }
+    }
+
+    startTrace(name, options) {
+        return new Trace(this, name, options);
+    }
+
+    onEnd(span) {
+        if (this.logger.isEnabled(this.spanLogLevel)) {
+            span.log[this.spanLogLevel]('span', {
+                span: span.name,
+                spanId: span.spanId,
+                parentSpanId: span.parentSpanId || undefined,
+                startTime: span.startTime.toISOString(),
+                durationMs: span.durationMs,
+                status: span.status,
+                attributes: span.attributes,
+                events: span.events.length ? span.events : undefined,
+                error: span.error?.message,
+            });
+        }
+        if (!this.metrics) {
+            return;
+        }
+        this.spanDuration.observe({ span: span.name, status: span.status }, span.durationMs / 1000);
+        const provider = span.attributes['llm.provider'] || span.attributes['search.tool'];
+        if (span.name === 'llm.stream') {
+            const firstToken = span.events.find(event => event.name === 'first_token');
+            if (firstToken) {
+                this.timeToFirstToken.observe({ provider }, firstToken.offsetMs / 1000);
+            }
+        }
+        if ((span.name === 'llm.stream' || span.name === 'search.call') && span.status !== 'cancelled' && !span.attributes['cache.hit']) {
+            const kind = span.name === 'llm.stream' ? 'llm' : 'search';
+            this.providerRequests.inc({ kind, provider, outcome: span.status === 'ok' ? 'success' : 'error' });
+        }
+    }
+}
+
+export { Tracer, Trace, Span, parseTraceparent };
@@ -0,0 +1,161 @@
+import { BaseCallbackHandler } from "@langchain/core/callbacks/base";
+import { estimateTokens } from "./tokens.js";
+
+// USD per search request, plus per million tokens for providers that also bill the tokens their own model
+// reads and writes. Model prices come from the model catalog; override these with SEARCH_PRICES.
+const DEFAULT_SEARCH_PRICES = {
+    perplexity_web_search: { perRequest: 0.005, inputPerMillion: 1, outputPerMillion: 1 },
+    google_search_grounding: { perRequest: 0.035, inputPerMillion: 0.3, outputPerMillion: 2.5 },
+    tavily_search: { perRequest: 0.008 },
+    brave_search: { perRequest: 0.005 },
+};
+
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+function tokenCost(price, inputTokens, outputTokens) {
+    if (!price) {
+        return 0;
+    }
+    return ((price.inputPerMillion || 0) * inputTokens + (price.outputPerMillion || 0) * outputTokens) / 1e6;
+}
+
+function messageText(message) {
+    return typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+}
+
+// Collects the token usage and cost of one request. It is passed as a LangChain callback to every model call,
+// so provider-reported usage is picked up wherever it is streamed back (estimated from text length otherwise),
+// and the search tools report their billable requests through recordSearch.
+class UsageTracker extends BaseCallbackHandler {
+    name = "usage_tracker";
+
+    constructor({ modelCatalog = null, searchPrices = DEFAULT_SEARCH_PRICES, signal = null } = {}) {
+        // Handlers run in the background by default; usage has to be complete when the summary is built.
+        super({ _awaitHandler: true });
+        this.modelCatalog = modelCatalog;
+        this.searchPrices = searchPrices;
+        this.signal = signal;
+        this.pending = new Map(); // runId -> call started but not yet finished
+        this.llmCalls = [];
+        this.searches = [];
+        this.searchContextTokens = 0;
+    }
+
+    _modelEntry(modelId) {
+        if (!this.modelCatalog || !modelId) {
+            return null;
+        }
+        return this.modelCatalog.list().find(entry => entry.id === modelId || entry.aliases.includes(modelId)) || null;
+    }
+
+    handleChatModelStart(llm, messages, runId, parentRunId, extraParams, tags, metadata) {
+        const invocationParams = extraParams?.invocation_params || {};
+        this.pending.set(runId, {
+            purpose: tags?.find(tag => !tag.includes(':')) || 'llm',
+            model: metadata?.ls_model_name || invocationParams.model || invocationParams.model_name || llm?.id?.at(-1) || 'unknown',
+            estimatedInputTokens: messages.flat().reduce((sum, message) => sum + estimateTokens(messageText(message)), 0),
+        });
+    }
+
+    handleLLMEnd(output, runId) {
+        const call = this.pending.get(runId);
+        if (!call) {
+            return;
+        }
+        this.pending.delete(runId);
+        const generation = output.generations?.[0]?.[0];
+        const reported = generation?.message?.usage_metadata;
+        const tokenUsage = output.llmOutput?.tokenUsage;
+        let inputTokens;
+        let outputTokens;
+        let estimated = false;
+        if (reported) {
+            inputTokens = reported.input_tokens || 0;
+            outputTokens = reported.output_tokens || 0;
+        } else if (tokenUsage) {
+            inputTokens = tokenUsage.promptTokens || 0;
+            outputTokens = tokenUsage.completionTokens || 0;
+        } else {
+            inputTokens = call.estimatedInputTokens;
+            outputTokens = estimateTokens(generation?.text || JSON.stringify(generation?.message?.tool_calls || ''));
+            estimated = true;
+        }
+        const entry = this._modelEntry(call.model);
+        this.llmCalls.push({
+            purpose: call.purpose,
+            model: call.model,
+            inputTokens,
+            outputTokens,
+            estimated,
+            cost: roundCost(tokenCost(entry?.cost, inputTokens, outputTokens)),
+        });
+    }
+
+    // Failed calls aren't billed. Calls cancelled with the request stay pending (an aborted stream may not
+    // report an error at all) and are counted by summary().
+    handleLLMError(error, runId) {
+        if (!this.signal?.aborted) {
+            this.pending.delete(runId);
+        }
+    }
+
+    // A cancelled call has already been charged for its prompt, and for whatever it had generated, which
+    // isn't known here.
+    _recordCancelledCalls() {
+        if (!this.signal?.aborted) {
+            return;
+        }
+        for (const call of this.pending.values()) {
+            const entry = this._modelEntry(call.model);
+            this.llmCalls.push({
+                purpose: call.purpose,
+                model: call.model,
+                inputTokens: call.estimatedInputTokens,
+                outputTokens: 0,
+                estimated: true,
+                cancelled: true,
+                cost: roundCost(tokenCost(entry?.cost, call.estimatedInputTokens, 0)),
+            });
+        }
+        this.pending.clear();
+    }
+
+    // Called by a search tool when it actually hit its provider (cache hits are free).
+    // `usage` is the provider's own token usage, { inputTokens, outputTokens }, if it reports one.
+    recordSearch(toolName, usage = null) {
+        const price = this.searchPrices[toolName];
+        const inputTokens = usage?.inputTokens || 0;
+        const outputTokens = usage?.outputTokens || 0;
+        this.searches.push({
+            tool: toolName,
+            inputTokens,
+            outputTokens,
+            cost: roundCost((price?.perRequest || 0) + tokenCost(price, inputTokens, outputTokens)),
+        });
+    }
+
+    // Search results handed to the model; these tokens are part of the prompt, reported separately.
+    recordSearchContext(text) {
+        this.searchContextTokens += estimateTokens(text);
+    }
+
+    summary() {
+        this._recordCancelledCalls();
+        const promptTokens = this.llmCalls.reduce((sum, call) => sum + call.inputTokens, 0);
+        const completionTokens = this.llmCalls.reduce((sum, call) => sum + call.outputTokens, 0);
+        const llmCost = this.llmCalls.reduce((sum, call) => sum + call.cost, 0);
+        const searchCost = this.searches.reduce((sum, search) => sum + search.cost, 0);
+        return {
+            promptTokens,
+            completionTokens,
+            searchContextTokens: this.searchContextTokens,
+            totalTokens: promptTokens + completionTokens,
+            estimated: this.llmCalls.some(call => call.estimated),
+            cost: { llm: roundCost(llmCost), search: roundCost(searchCost), total: roundCost(llmCost + searchCost), currency: "USD" },
+            llmCalls: this.llmCalls,
+            searches: this.searches,
+        };
+    }
+}
+
+export { UsageTracker, DEFAULT_SEARCH_PRICES };